@@ -0,0 +1,51 @@
+import { CodedErrorMatcher, Matched } from '../errors'
+
+/**
+ * An entry describing a cause found while traversing a cause chain.
+ */
+export interface CauseEntry {
+  /** The keys leading from the error being traversed to the cause, like `['cause', 0, 'cause']`. */
+  path: Array<string | number>
+  /** The cause. */
+  error: unknown
+}
+
+export interface TraversalOptions {
+  /** `'depth'` for depth-first or `'breadth'` for breadth-first traversal. */
+  order?: 'depth' | 'breadth'
+}
+
+/**
+ * Returns the immediate causes of the given error, which are its `cause`, which may be an array, followed by the elements of its `errors` array, if any.
+ */
+export declare function immediateCauses (error: unknown): unknown[]
+
+/**
+ * Traverses the causes of the given error, skipping those already seen.
+ */
+export declare function walkCauses (error: unknown, options?: TraversalOptions): IterableIterator<CauseEntry>
+
+/**
+ * Returns an iterator over the causes of the given error.
+ */
+export declare function causes (error: unknown, options?: TraversalOptions): IterableIterator<unknown>
+
+/**
+ * Returns the first cause of the given error that matches the given code or class, or `undefined` if there is none.
+ */
+export declare function findCause<M extends CodedErrorMatcher> (error: unknown, codeOrClass: M, options?: TraversalOptions): Matched<M> | undefined
+
+/**
+ * Returns whether any cause of the given error matches the given code or class.
+ */
+export declare function hasCause (error: unknown, codeOrClass: CodedErrorMatcher): boolean
+
+/**
+ * Returns the causes of the given error that have no causes of their own.
+ */
+export declare function rootCauses (error: unknown): unknown[]
+
+/**
+ * Returns entries for all causes of the given error.
+ */
+export declare function flattenCauses (error: unknown, options?: TraversalOptions): CauseEntry[]
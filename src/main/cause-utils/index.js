@@ -0,0 +1,156 @@
+'use strict'
+
+/**
+ * An entry describing a cause found while traversing a cause chain.
+ * @typedef {object} CauseEntry
+ * @property {Array<string|number>} path The keys leading from the error being traversed to the cause, like `['cause', 0, 'cause']` or `['cause', 'errors', 1]`.
+ * @property {*} error The cause.
+ */
+
+/**
+ * Returns entries for the immediate causes of the given entry's error, which are its `cause`, which may be an array, followed by the elements of its `errors` array, if it has one, like `AggregateError`.
+ * `null` & `undefined` causes are skipped.
+ *
+ * @param {CauseEntry} entry The entry.
+ * @return {CauseEntry[]}
+ * @private
+ */
+const _children = ({ path, error }) => {
+  if (error === null || (typeof error !== 'object' && typeof error !== 'function')) return []
+
+  const children = []
+  const add = (path, it) => {
+    if (it !== undefined && it !== null) children.push({ path, error: it })
+  }
+
+  const cause = error.cause
+  if (Array.isArray(cause)) cause.forEach((it, i) => add(path.concat('cause', i), it))
+  else add(path.concat('cause'), cause)
+
+  const errors = error.errors
+  if (Array.isArray(errors)) errors.forEach((it, i) => add(path.concat('errors', i), it))
+
+  return children
+}
+
+/**
+ * Returns the immediate causes of the given error, which are its `cause`, which may be an array, followed by the elements of its `errors` array, if it has one, like `AggregateError`.
+ * `null` & `undefined` causes are skipped.
+ *
+ * @param {*} error The error.
+ * @return {Array<*>}
+ */
+const immediateCauses = error => _children({ path: [], error }).map(it => it.error)
+
+/**
+ * Returns whether the given value matches the given code or class.
+ *
+ * @param {*} value The value.
+ * @param {Function|string|number|symbol} codeOrClass A class, matched via `instanceof`, or a code, matched against the value's `code` property.
+ * @return {boolean}
+ * @private
+ */
+const _matches = (value, codeOrClass) => {
+  if (typeof codeOrClass === 'function') return value instanceof codeOrClass
+
+  return value !== null && typeof value === 'object' && value.code === codeOrClass
+}
+
+/**
+ * Traverses the causes of the given error, which is not itself included.
+ * A cause can be a single value or an array of values, and native `AggregateError`s have an array of `errors`, so the chain is really a tree.
+ * Each cause is visited once, even if the tree contains cycles.
+ *
+ * @param {*} error The error whose causes are to be traversed.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {string} [arg1.order='depth'] `'depth'` for depth-first or `'breadth'` for breadth-first traversal.
+ * @return {Iterable<CauseEntry>}
+ */
+function * walkCauses (error, { order = 'depth' } = {}) {
+  const seen = new Set([error])
+  const pending = _children({ path: [], error })
+
+  while (pending.length) {
+    const entry = pending.shift()
+
+    if (entry.error !== null && typeof entry.error === 'object') {
+      if (seen.has(entry.error)) continue
+      seen.add(entry.error)
+    }
+
+    yield entry
+
+    const children = _children(entry)
+    if (order === 'breadth') pending.push(...children)
+    else pending.unshift(...children)
+  }
+}
+
+/**
+ * Returns an iterator over the causes of the given error; see {@link walkCauses}.
+ *
+ * @param {*} error The error whose causes are to be traversed.
+ * @param {object} [options] See {@link walkCauses}.
+ * @return {Iterable<*>}
+ */
+function * causes (error, options) {
+  for (const { error: cause } of walkCauses(error, options)) yield cause
+}
+
+/**
+ * Returns the first cause of the given error that matches the given code or class.
+ *
+ * @param {*} error The error whose causes are to be searched.
+ * @param {Function|string|number|symbol} codeOrClass A class, matched via `instanceof`, or a code, matched against the cause's `code` property.
+ * @param {object} [options] See {@link walkCauses}.
+ * @return {*} The cause, or `undefined` if there is none.
+ */
+const findCause = (error, codeOrClass, options) => {
+  for (const cause of causes(error, options)) {
+    if (_matches(cause, codeOrClass)) return cause
+  }
+}
+
+/**
+ * Returns whether any cause of the given error matches the given code or class.
+ *
+ * @param {*} error The error whose causes are to be searched.
+ * @param {Function|string|number|symbol} codeOrClass See {@link findCause}.
+ * @return {boolean}
+ */
+const hasCause = (error, codeOrClass) => {
+  for (const cause of causes(error)) {
+    if (_matches(cause, codeOrClass)) return true
+  }
+  return false
+}
+
+/**
+ * Returns the causes of the given error that have no causes of their own, in depth-first order.
+ * If the given error has no causes, returns an empty array.
+ *
+ * @param {*} error The error whose root causes are to be found.
+ * @return {Array<*>}
+ */
+const rootCauses = error => Array.from(walkCauses(error))
+  .filter(it => _children(it).length === 0)
+  .map(it => it.error)
+
+/**
+ * Returns entries for all causes of the given error.
+ *
+ * @param {*} error The error whose causes are to be flattened.
+ * @param {object} [options] See {@link walkCauses}.
+ * @return {CauseEntry[]}
+ */
+const flattenCauses = (error, options) => Array.from(walkCauses(error, options))
+
+module.exports = {
+  immediateCauses,
+  walkCauses,
+  causes,
+  findCause,
+  hasCause,
+  rootCauses,
+  flattenCauses
+}
@@ -0,0 +1,29 @@
+/**
+ * A method that throws a `MethodNotImplementedError`.
+ */
+export type AbstractMethod = (...args: any[]) => never
+
+/**
+ * Returns an abstract method, which throws a `MethodNotImplementedError` whose `info` has the `class` of the object it's called on & the `method` name.
+ * It can also be used as a method decorator, either a legacy Babel decorator or a standard one.
+ */
+export declare function abstractMethod (target: object, key: string | symbol, descriptor: PropertyDescriptor): PropertyDescriptor
+export declare function abstractMethod (value: (...args: any[]) => unknown, context: { kind: string, name: string | symbol }): AbstractMethod
+export declare function abstractMethod (name?: string | symbol): AbstractMethod
+
+/**
+ * Returns the names of the abstract methods of the given class that haven't been implemented by it or its superclasses.
+ */
+export declare function abstractMethodsOf (Class: abstract new (...args: any[]) => unknown): Array<string | symbol>
+
+/**
+ * Returns the given class, else throws a `MethodNotImplementedError` if it doesn't implement all of the abstract methods of its superclasses.
+ * It can also be used as a class decorator.
+ */
+export declare function concrete<C extends abstract new (...args: any[]) => unknown> (Class: C, context?: unknown): C
+
+/**
+ * Returns the given class made final, so that constructing an instance of any subclass of it throws a `ClassNotExtendableError`.
+ * It can also be used as a class decorator.
+ */
+export declare function final<C extends abstract new (...args: any[]) => unknown> (Class: C, context?: unknown): C
@@ -0,0 +1,123 @@
+'use strict'
+
+const MethodNotImplementedError = require('../errors/MethodNotImplementedError')
+const ClassNotExtendableError = require('../errors/ClassNotExtendableError')
+
+/**
+ * The property with which abstract methods are marked, shared by all copies of this module.
+ * @type {symbol}
+ * @private
+ */
+const ABSTRACT = Symbol.for('@northscaler/error-support/abstract')
+
+/**
+ * Returns whether the given arguments are those given to a [legacy Babel decorator](https://babeljs.io/docs/babel-plugin-proposal-decorators#legacy) of a method, which are the prototype, the name of the method & its property descriptor.
+ *
+ * @param {Array<*>} args The arguments.
+ * @return {boolean}
+ * @private
+ */
+const _isLegacyMethodDecoration = args => args.length === 3 &&
+  typeof args[0] === 'object' &&
+  ['string', 'symbol'].includes(typeof args[1]) &&
+  typeof args[2]?.value === 'function'
+
+/**
+ * Returns whether the given arguments are those given to a [standard decorator](https://github.com/tc39/proposal-decorators), which are the decorated value & a context object with a `kind`.
+ *
+ * @param {Array<*>} args The arguments.
+ * @return {boolean}
+ * @private
+ */
+const _isDecoration = args => args.length === 2 && typeof args[1]?.kind === 'string'
+
+/**
+ * Returns an abstract method, which throws a {@link MethodNotImplementedError} whose `info` has the `class` of the object it's called on & the `method` name.
+ * Abstract methods are marked so that {@link abstractMethodsOf} & {@link concrete} can find those that subclasses never implemented.
+ *
+ * It can also be used as a method decorator, either a legacy Babel decorator or a standard one, like `@abstractMethod area () {}`, in which case the decorated method is replaced with an abstract one.
+ *
+ * @param {string|symbol} [name] The name of the method.
+ * @return {function} The abstract method, or, if used as a decorator, whatever the decorator must return.
+ */
+const abstractMethod = function (name) {
+  if (_isLegacyMethodDecoration(arguments)) return { ...arguments[2], value: abstractMethod(arguments[1]) }
+  if (_isDecoration(arguments)) return abstractMethod(arguments[1].name)
+
+  const method = function () {
+    throw new MethodNotImplementedError({ info: { class: this?.constructor?.name, method: String(name) } })
+  }
+  method[ABSTRACT] = true
+
+  return method
+}
+
+/**
+ * Returns the names of the abstract methods of the given class that haven't been implemented by it or its superclasses, in the order in which they were defined, nearest class first.
+ *
+ * @param {Function} Class The class.
+ * @return {Array<string|symbol>}
+ */
+const abstractMethodsOf = Class => {
+  const names = []
+  const seen = new Set()
+
+  for (let proto = Class.prototype; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Reflect.ownKeys(proto).forEach(it => {
+      if (seen.has(it)) return
+      seen.add(it)
+
+      const value = Object.getOwnPropertyDescriptor(proto, it).value
+      if (typeof value === 'function' && value[ABSTRACT]) names.push(it)
+    })
+  }
+
+  return names
+}
+
+/**
+ * Checks, when a class is defined, that it implements all of the abstract methods of its superclasses, else throws a {@link MethodNotImplementedError} whose `info` has the `class` & the `methods` it never implemented, as well as the first as `method`.
+ * It can be used as a function, like `module.exports = concrete(class Circle extends Shape {})`, or as a class decorator, either a legacy Babel decorator or a standard one, like `@concrete class Circle extends Shape {}`.
+ *
+ * @param {Function} Class The class.
+ * @return {Function} The given class.
+ */
+const concrete = Class => {
+  const methods = abstractMethodsOf(Class).map(String)
+  if (methods.length) {
+    throw new MethodNotImplementedError({
+      message: `Class ${Class.name} doesn't implement abstract method${methods.length === 1 ? '' : 's'} ${methods.join(', ')}`,
+      info: { class: Class.name, method: methods[0], methods }
+    })
+  }
+
+  return Class
+}
+
+/**
+ * Returns the given class made final, so that constructing an instance of any subclass of it throws a {@link ClassNotExtendableError}, like `Class Money is not extendable`, whose `info` has the final `class` & the `subclass`.
+ * Instances of the class itself are constructed as usual.
+ * The returned class is a proxy of the given class, so it has the same name, static members & prototype, and must be used in place of it.
+ * It can be used as a function, like `module.exports = final(class Money {})`, or as a class decorator, either a legacy Babel decorator or a standard one, like `@final class Money {}`.
+ *
+ * @param {Function} Class The class.
+ * @return {Function} The final class.
+ */
+const final = Class => {
+  const Final = new Proxy(Class, {
+    construct (target, args, newTarget) {
+      if (newTarget !== Final) throw new ClassNotExtendableError({ message: `Class ${Class.name} is not extendable`, info: { class: Class.name, subclass: newTarget.name } })
+
+      return Reflect.construct(target, args, newTarget)
+    }
+  })
+
+  return Final
+}
+
+module.exports = {
+  abstractMethod,
+  abstractMethodsOf,
+  concrete,
+  final
+}
@@ -0,0 +1,52 @@
+import { AnyCodedErrorClass, CodeOfName, CodedErrorClass, ErrorClassOptions, NameOfCode } from '../errors'
+
+/**
+ * The definition of an error class in a spec.
+ */
+export interface ErrorDefinition extends Omit<ErrorClassOptions, 'fingerprint'> {
+  /** Fingerprint hooks, which, in a spec, are the dotted paths of the `info` values that matter for grouping. */
+  fingerprint?: { info?: readonly string[] }
+  /** For a definition at the top of the spec, the superclass, or the name or code of another definition in the spec, or the code of a registered class. */
+  supererror?: string | AnyCodedErrorClass
+  /** The definitions of the subclasses of the class. */
+  subclasses?: ErrorsSpec
+}
+
+/**
+ * A spec of error classes, whose keys are names, or, if in upper snake case, codes.
+ */
+export interface ErrorsSpec {
+  readonly [key: string]: ErrorDefinition
+}
+
+/**
+ * The name of the class defined by the given key & definition.
+ */
+type _Name<K extends string, D> = D extends { name: infer N extends string }
+  ? N
+  : K extends Uppercase<K> ? NameOfCode<D extends { code: infer C extends string } ? C : K> : K
+
+/**
+ * The code of the class defined by the given key & definition.
+ */
+type _Code<K extends string, D> = D extends { code: infer C extends string }
+  ? C
+  : K extends Uppercase<K> ? K : CodeOfName<D extends { name: infer N extends string } ? N : K>
+
+type _UnionToIntersection<U> = (U extends unknown ? (it: U) => void : never) extends (it: infer I) => void ? I : never
+
+type _Subclasses<S> = { [K in keyof S]: S[K] extends { subclasses: infer Sub } ? DefinedErrors<Sub> : {} }[keyof S]
+
+/**
+ * The classes defined by the given spec, keyed by name.
+ */
+export type DefinedErrors<S> = string extends keyof S
+  ? Record<string, AnyCodedErrorClass>
+  : { [K in keyof S & string as _Name<K, S[K]>]: CodedErrorClass<_Code<K, S[K]>, unknown> } & _UnionToIntersection<_Subclasses<S>>
+
+/**
+ * Defines a hierarchy of error classes in one call from the given spec, which can be loaded from JSON, and returns them keyed by name.
+ */
+export declare function defineErrors<const S extends ErrorsSpec> (spec: S, options?: { supererror?: AnyCodedErrorClass }): DefinedErrors<S>
+
+export {}
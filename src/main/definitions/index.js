@@ -0,0 +1,208 @@
+'use strict'
+
+const defineErrorClass = require('../errors/CodedError')
+const { registry } = require('../registry')
+const { checkAll } = require('../preconditions')
+
+/**
+ * The keys allowed in each error definition.
+ * @type {string[]}
+ * @private
+ */
+const DEFINITION_KEYS = ['code', 'name', 'description', 'messages', 'http', 'grpc', 'fingerprint', 'composeMessage', 'retryable', 'transient', 'severity', 'supererror', 'subclasses']
+
+/**
+ * Spec keys that are codes rather than names.
+ * @type {RegExp}
+ * @private
+ */
+const CODE_KEY = /^[A-Z0-9_]+$/
+
+/**
+ * Valid class names.
+ * @type {RegExp}
+ * @private
+ */
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/
+
+/**
+ * Returns whether the given value is a plain object, like those parsed from JSON.
+ *
+ * @param {*} value The value.
+ * @return {boolean}
+ * @private
+ */
+const _isPlainObject = value => typeof value === 'object' && value !== null && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+
+/**
+ * Returns the valid definitions in the given spec, recursing into their `subclasses`, as entries like `{ path, code, name, definition, parent }`, where `path` is the dotted path of the definition in the spec & `parent` is the entry of the definition it's nested in, if any.
+ *
+ * @param {object} arg0 The argument to be deconstructed.
+ * @param {object} arg0.spec The spec.
+ * @param {string} [arg0.path] The path of the spec.
+ * @param {object} [arg0.parent] The entry of the definition the spec is nested in.
+ * @param {function} arg0.violate Records a violation, given its message & `info`.
+ * @return {object[]}
+ * @private
+ */
+const _entries = ({
+  spec,
+  path,
+  parent,
+  violate
+}) => Object.keys(spec).reduce((accum, key) => {
+  const at = path ? `${path}.${key}` : key
+  const definition = spec[key]
+
+  if (!_isPlainObject(definition)) {
+    violate(`Error definition ${at} must be an object`, { path: at })
+    return accum
+  }
+
+  const unknown = Object.keys(definition).filter(it => !DEFINITION_KEYS.includes(it))
+  if (unknown.length) {
+    violate(`Error definition ${at} has unknown keys ${unknown.join(', ')}`, { path: at, expected: DEFINITION_KEYS, actual: unknown })
+    return accum
+  }
+
+  if (parent && definition.supererror !== undefined) {
+    violate(`Error definition ${at} must not have a supererror, because it's a subclass of ${parent.name}`, { path: at })
+    return accum
+  }
+
+  const given = CODE_KEY.test(key) ? { code: key } : { name: key }
+  const code = definition.code === undefined ? given.code : definition.code
+  const name = definition.name === undefined ? given.name : definition.name
+  const codename = code || name ? defineErrorClass._determineCodeAndName({ code, name }) : {}
+  if (typeof codename.code !== 'string' || typeof codename.name !== 'string' || !IDENTIFIER.test(codename.name)) {
+    violate(`Can't derive a valid code & name for error definition ${at}`, { path: at, actual: codename })
+    return accum
+  }
+
+  const entry = { path: at, ...codename, definition, parent }
+  accum.push(entry)
+  if (definition.subclasses === undefined) return accum
+
+  if (!_isPlainObject(definition.subclasses)) {
+    violate(`The subclasses of error definition ${at} must be an object`, { path: `${at}.subclasses` })
+    return accum
+  }
+
+  return accum.concat(_entries({ spec: definition.subclasses, path: `${at}.subclasses`, parent: entry, violate }))
+}, [])
+
+/**
+ * Records violations for entries with the same value of the given key.
+ *
+ * @param {object[]} entries The entries.
+ * @param {string} key The key, `'code'` or `'name'`.
+ * @param {function} violate Records a violation, given its message & `info`.
+ * @private
+ */
+const _checkUnique = (entries, key, violate) => {
+  const seen = new Map()
+
+  entries.forEach(entry => {
+    const other = seen.get(entry[key])
+    if (other) violate(`Error definitions ${other.path} & ${entry.path} have the same ${key} ${entry[key]}`, { path: entry.path, actual: entry[key], paths: [other.path, entry.path] })
+    else seen.set(entry[key], entry)
+  })
+}
+
+/**
+ * Defines a hierarchy of error classes in one call from the given spec, which can be loaded from JSON & shared across services.
+ *
+ * The spec is an object whose keys are the names, like `PaymentError`, or, if in upper snake case, the codes, like `E_PAYMENT`, of the classes, and whose values are their definitions.
+ * Each definition is an object with any of the keys below, and the classes nested in its `subclasses` are defined as subclasses of it.
+ *
+ * The whole spec is checked before any class is defined or registered, and, if invalid, an {@link IllegalArgumentError} is thrown for each violation, or, if several, one whose `cause` is the array of violations; see {@link checkAll}.
+ * Each violation's `info` has the dotted `path` of the offending definition in the spec.
+ * Violations include definitions that aren't objects or have unknown keys, names that can't be derived, duplicate codes or names, unknown supererrors, cycles of supererrors, metadata the class factory rejects, like an `http.status` out of range, a `grpc.status` of `OK` or invalid traits, and, if the {@link registry} is configured with `onConflict: 'throw'`, codes or names that conflict with registered classes.
+ *
+ * @param {object} spec The spec, each of whose definitions can have:
+ * * `code`, `name`, `description`, `messages`, `http`, `grpc`, `fingerprint`, `composeMessage`, `retryable`, `transient` & `severity`, which are given to the class factory; see {@link defineErrorClass};
+ * * `supererror`, for a definition at the top of the spec, which is either a class previously returned by the class factory, or the name or code of another definition in the spec, or the code of a registered class; see {@link registry};
+ * * `subclasses`, which is a nested spec.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {Function} [arg1.supererror] The superclass of the definitions at the top of the spec that don't have one.
+ * @return {object} The new classes keyed by name.
+ */
+const defineErrors = (spec, { supererror } = {}) => {
+  const entries = checkAll(({ checkArg }) => {
+    const violate = (message, info) => checkArg(false, 'spec', { message, ...info })
+
+    if (!_isPlainObject(spec)) {
+      violate('The spec must be an object', { path: '' })
+      return []
+    }
+
+    const entries = _entries({ spec, violate })
+    _checkUnique(entries, 'code', violate)
+    _checkUnique(entries, 'name', violate)
+
+    entries.forEach(entry => {
+      try {
+        defineErrorClass._checkDefinition(entry.definition)
+      } catch (e) {
+        violate(`Error definition ${entry.path} is invalid: ${e.message}`, { path: entry.path })
+      }
+
+      const conflict = registry.onConflict === 'throw' && registry._conflict(entry)
+      if (conflict) violate(`Error definition ${entry.path} conflicts with a registered class: ${conflict}`, { path: entry.path })
+    })
+
+    entries.forEach(entry => {
+      if (entry.parent) return
+
+      const ref = entry.definition.supererror === undefined ? supererror : entry.definition.supererror
+      if (ref === undefined || typeof ref === 'function') {
+        entry.supererror = ref
+        return
+      }
+
+      entry.parent = typeof ref === 'string' && entries.find(it => it.name === ref || it.code === ref)
+      if (entry.parent) return
+
+      entry.supererror = typeof ref === 'string' && registry.get(ref)
+      if (!entry.supererror) violate(`The supererror ${String(ref)} of error definition ${entry.path} is unknown`, { path: entry.path, supererror: String(ref) })
+    })
+
+    const cyclic = new Set()
+    entries.forEach(entry => {
+      const chain = [entry]
+      for (let it = entry.parent; it && !cyclic.has(it); it = it.parent) {
+        if (it === entry) {
+          chain.forEach(it => cyclic.add(it))
+          violate(`Error definitions ${chain.concat(entry).map(it => it.name).join(' -> ')} form a cycle`, { path: entry.path, cycle: chain.map(it => it.path) })
+          return
+        }
+        if (chain.includes(it)) return // a cycle not including this entry, reported for its members
+        chain.push(it)
+      }
+    })
+
+    return entries
+  })
+
+  const classes = {}
+  const define = entry => {
+    if (classes[entry.name]) return classes[entry.name]
+
+    const { supererror: _, subclasses, ...definition } = entry.definition
+    classes[entry.name] = defineErrorClass({
+      ...definition,
+      code: entry.code,
+      name: entry.name,
+      supererror: entry.parent ? define(entry.parent) : entry.supererror
+    })
+
+    return classes[entry.name]
+  }
+  entries.forEach(define)
+
+  return classes
+}
+
+module.exports = {
+  defineErrors
+}
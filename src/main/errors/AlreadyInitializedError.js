@@ -7,6 +7,10 @@ const CodedError = require('./CodedError')
  * @typedef {object} AlreadyInitializedError
  * @extends CodedError
  */
-const E = CodedError({ name: 'AlreadyInitializedError' })
+const E = CodedError({
+  name: 'AlreadyInitializedError',
+  messages: { en: 'Already initialized' },
+  grpc: { status: 'FAILED_PRECONDITION' }
+})
 
 module.exports = E
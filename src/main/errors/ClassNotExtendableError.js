@@ -4,9 +4,14 @@ const IllegalStateError = require('./IllegalStateError')
 
 /**
  * Error class indicating that a class cannot be extended.
+ * Its name & code are those of {@link IllegalStateError}, so it has no template of its own, and it isn't registered, so that it doesn't replace that class in the {@link registry}.
  * @typedef {object} IllegalStateError
- * @extends CodedError
+ * @extends IllegalStateError
  */
-const E = IllegalStateError.subclass({ name: 'IllegalStateError' })
+const E = IllegalStateError.subclass({
+  name: 'IllegalStateError',
+  fingerprint: { info: ['class'] },
+  register: false
+})
 
 module.exports = E
@@ -1,6 +1,23 @@
 'use strict'
 
+const { STATUS_CODES } = require('http')
+const util = require('util')
 const { toUpperSnake, toUpperCamel } = require('../string-utils')
+const { registry } = require('../registry')
+const { walkCauses, causes, findCause, hasCause, rootCauses, flattenCauses } = require('../cause-utils')
+const { toRedactor } = require('../redaction')
+const { messageCatalog, toMessageComposer, getDefaultMessageComposer } = require('../messages')
+const { GRPC_STATUS, ERROR_INFO_TYPE, toGrpcStatusCode, grpcStatusName } = require('../grpc')
+const { stackFrames } = require('../stack')
+const { fingerprint } = require('../fingerprint')
+const { renderError } = require('../render')
+
+/**
+ * The native `Error` classes that can be rehydrated by name.
+ * @private
+ */
+const NATIVE_ERRORS = { Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError }
+if (global.AggregateError) NATIVE_ERRORS.AggregateError = global.AggregateError
 
 /**
  * A base error class that has a `cause` property, forming a chain of `Error`s, as well as convenient message & object formatting.
@@ -25,105 +42,549 @@ class CodedError extends Error {
   static OMISSION = null
 
   /**
-   * Formats an error message suitable for the `Error` constructor.
-   * Always includes information from available `message`, `code` properties recursively through `cause`.
+   * The content type of the objects returned by {@link CodedError#toProblem}.
+   * @type {string}
+   */
+  static PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+  /**
+   * The GraphQL error returned by {@link CodedError.toGraphQLError} for values that aren't {@link CodedError}s.
+   * @type {object}
+   */
+  static MASKED_GRAPHQL_ERROR = Object.freeze({
+    message: 'Internal server error',
+    extensions: Object.freeze({ code: 'INTERNAL_SERVER_ERROR' })
+  })
+
+  /**
+   * The HTTP metadata of this class, which classes defined by the class factory replace; see {@link defineErrorClass}.
+   * @type {object}
+   */
+  static HTTP = Object.freeze({ status: 500 })
+
+  /**
+   * The gRPC metadata of this class, which classes defined by the class factory replace; see {@link defineErrorClass}.
+   * @type {object}
+   */
+  static GRPC = Object.freeze({ status: GRPC_STATUS.UNKNOWN })
+
+  /**
+   * The fingerprint hooks of this class, which classes defined by the class factory replace; see {@link defineErrorClass}.
+   * @type {object}
+   */
+  static FINGERPRINT = Object.freeze({})
+
+  /**
+   * Whether the operations that fail with instances of this class can be retried, which classes defined by the class factory can replace; see {@link defineErrorClass}.
+   * @type {boolean}
+   */
+  static RETRYABLE = false
+
+  /**
+   * Whether instances of this class are caused by temporary conditions, like timeouts, which classes defined by the class factory can replace; see {@link defineErrorClass}.
+   * @type {boolean}
+   */
+  static TRANSIENT = false
+
+  /**
+   * The severity of instances of this class, which is one of {@link CodedError.SEVERITIES} & which classes defined by the class factory can replace; see {@link defineErrorClass}.
+   * @type {string}
+   */
+  static SEVERITY = 'error'
+
+  /**
+   * The severities of errors, from least to most severe.
+   * @type {string[]}
+   */
+  static SEVERITIES = Object.freeze(['debug', 'info', 'warning', 'error', 'critical'])
+
+  /**
+   * The message composer of this class, which classes defined by the class factory can replace, or `undefined` to use the default; see {@link defineErrorClass} & {@link setDefaultMessageComposer}.
+   * @type {function|undefined}
+   */
+  static MESSAGE_COMPOSER = undefined
+
+  /**
+   * Traverses the causes of the given error; see {@link walkCauses}.
+   * @type {function}
+   */
+  static walkCauses = walkCauses
+
+  /**
+   * Returns an iterator over the causes of the given error; see {@link causes}.
+   * @type {function}
+   */
+  static causes = causes
+
+  /**
+   * Returns the first cause of the given error that matches the given code or class; see {@link findCause}.
+   * @type {function}
+   */
+  static findCause = findCause
+
+  /**
+   * Returns whether any cause of the given error matches the given code or class; see {@link hasCause}.
+   * @type {function}
+   */
+  static hasCause = hasCause
+
+  /**
+   * Returns the causes of the given error that have no causes of their own; see {@link rootCauses}.
+   * @type {function}
+   */
+  static rootCauses = rootCauses
+
+  /**
+   * Returns `{ path, error }` entries for all causes of the given error; see {@link flattenCauses}.
+   * @type {function}
+   */
+  static flattenCauses = flattenCauses
+
+  /**
+   * Returns a fingerprint of the given error for deduplicating & grouping errors; see {@link fingerprint}.
+   * @type {function}
+   */
+  static fingerprint = fingerprint
+
+  /**
+   * Renders the given error & its tree of causes as multiple, human-readable lines; see {@link renderError}.
+   * @type {function}
+   */
+  static format = renderError
+
+  /**
+   * Returns the own message of the given error, which, for {@link CodedError}s, is its `rawMessage`, excluding the leading code & the trailing messages of its causes.
+   * If its `rawMessage` is `null`, meaning it's unknown, the code & the causes' messages are taken off its `message` instead.
+   * For other values, returns their `message`.
+   *
+   * @param {*} error The error.
+   * @return {string|undefined}
+   */
+  static ownMessage (error) {
+    if (!CodedError._isCodedError(error)) return error?.message
+    if (error.rawMessage !== null) return error.rawMessage || CodedError.NO_MESSAGE
+
+    // the raw message is unknown, as it is for errors rehydrated from objects without one, so take the message apart
+    let message = error.message
+    try {
+      const marker = '\u0000'
+      const [prefix, suffix] = CodedError._message({
+        code: error.code,
+        message: marker,
+        cause: error.cause,
+        composer: error.constructor.MESSAGE_COMPOSER
+      }).split(marker)
+
+      if (suffix && message.endsWith(suffix)) message = message.substring(0, message.length - suffix.length)
+      if (message.startsWith(prefix)) message = message.substring(prefix.length)
+    } catch (e) {
+      // leave the message as is
+    }
+
+    return message
+  }
+
+  /**
+   * Formats an error message suitable for the `Error` constructor via the given message composer, or the default one; see {@link createMessageComposer}.
+   * By default, always includes information from available `message`, `code` properties recursively through `cause`, including the native `cause` & `AggregateError` `errors` of native `Error`s.
    * Though not prevented or removed, callers are discouraged from using newlines or carriage returns in `message` text.
    *
    * @param {object} [arg0={}] The argument to be deconstructed.
    * @param {string|number} [arg0.code=undefined] The error code; if falsey, then {@link CodedError.NO_CODE} is used.
-   * @param {string} [arg0.message=undefined] The error message.
+   * @param {string} [arg0.message=undefined] The error message; if falsey, then {@link CodedError.NO_MESSAGE} is used.
    * @param {*} [arg0.cause=undefined] The error's cause.
+   * @param {function} [arg0.composer=undefined] The message composer; if `undefined`, then the default is used; see {@link getDefaultMessageComposer}.
    * @return {string} The formatted error message.
    */
   static _message ({
     code,
     message,
-    cause
+    cause,
+    composer
+  } = {}) {
+    return (composer || getDefaultMessageComposer())({
+      code,
+      message,
+      cause,
+      noCode: CodedError.NO_CODE,
+      noMessage: CodedError.NO_MESSAGE
+    })
+  }
+
+  /**
+   * Returns a new serialization context, which tracks the state of a single call to {@link CodedError#toObject}.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {number} [arg0.maxDepth=Infinity] The maximum depth of nested objects & arrays.
+   * @param {number} [arg0.maxArrayLength=Infinity] The maximum number of elements of each array.
+   * @param {number} [arg0.maxStringLength=Infinity] The maximum length of each string.
+   * @param {number} [arg0.maxSize=Infinity] The approximate maximum size, in characters, of the JSON representation of the result.
+   * @param {object|Redactor|boolean} [arg0.redacting] The redaction policy; see {@link toRedactor}.
+   * @param {object|boolean} [arg0.frames] The structured stack frame options; see {@link CodedError#toObject}.
+   * @return {object}
+   * @private
+   */
+  static _context ({
+    maxDepth = Infinity,
+    maxArrayLength = Infinity,
+    maxStringLength = Infinity,
+    maxSize = Infinity,
+    redacting,
+    frames
   } = {}) {
-    let m = code || CodedError.NO_CODE
-
-    m += `: ${message || CodedError.NO_MESSAGE}`
-
-    if (Array.isArray(cause)) {
-      m += `: [${cause
-        .map(it => it instanceof Error ? it?.message || CodedError.NO_MESSAGE : it)
-        .filter(it => it !== null && it !== undefined)
-        .join(', ')
-      }]`
-    } else {
-      m += cause
-        ? `: ${cause instanceof Error ? (cause?.message || CodedError.NO_MESSAGE) : cause}`
-        : ''
+    return {
+      maxDepth,
+      maxArrayLength,
+      maxStringLength,
+      maxSize,
+      redactor: toRedactor(redacting),
+      frames: frames === true ? {} : frames || undefined,
+      size: 0,
+      ancestors: [],
+      paths: []
     }
+  }
+
+  /**
+   * Returns a truncation marker.
+   *
+   * @param {string} reason Why the value was truncated.
+   * @return {string}
+   * @private
+   */
+  static _truncated (reason) {
+    return `[Truncated: ${reason}]`
+  }
+
+  /**
+   * Returns whether the given serialization context has spent its size budget.
+   *
+   * @param {object} context The serialization context.
+   * @return {boolean}
+   * @private
+   */
+  static _spent (context) {
+    return context.size > context.maxSize
+  }
+
+  /**
+   * Returns the truncation marker for values beyond the size budget of the given serialization context.
+   *
+   * @param {object} context The serialization context.
+   * @return {string}
+   * @private
+   */
+  static _oversized (context) {
+    const marker = CodedError._truncated(`size > ${context.maxSize}`)
+    context.size += marker.length + 2
+    return marker
+  }
+
+  /**
+   * Returns the path to the given key of the value at the given path, like `$.cause[0].info.foo`.
+   *
+   * @param {string} path The path of the value.
+   * @param {string|number} key The key.
+   * @return {string}
+   * @private
+   */
+  static _path (path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+  }
 
-    return m
+  /**
+   * Returns `from[key]`, or, if getting it throws, a marker describing what was thrown.
+   *
+   * @param {object} from The object.
+   * @param {string|number} key The key.
+   * @return {*}
+   * @private
+   */
+  static _get (from, key) {
+    try {
+      return from[key]
+    } catch (e) {
+      return `[Thrown: ${e?.message}]`
+    }
   }
 
   /**
-   * If the given `key` is not omitted, sets `on[key]` to the value of `from[key]`.
-   * If the given `key` _is_ omitted, set `on[key]` to `null`.
+   * Converts the given keys of the given object, setting omitted keys' values to {@link CodedError.OMISSION} and redacted keys' values to the redaction policy's mask.
+   * Once the size budget is spent, the next defined key's value is a truncation marker & the remaining keys are left out.
    *
    * @param {object} arg0 The argument to be deconstructed.
-   * @param {string[]} omitting The normalized array of property names being omitted.
-   * @param {object} on The target object whose properties are being set or omitted.
-   * @param {object} from The source object whose properties are being set or ommitted on `target`.
-   * @param {string} key The key being set or omitted on `target` from `from`.
-   * @return The value given in `on`.
+   * @param {object} arg0.from The object whose keys are being converted.
+   * @param {string[]} arg0.keys The keys to convert.
+   * @param {string[]} arg0.omitting The normalized array of property names being omitted.
+   * @param {object} arg0.context The serialization context.
+   * @param {string} arg0.path The path of `from`.
+   * @param {number} arg0.depth The depth of `from`.
+   * @param {Array<string|number>} arg0.segments The path segments of `from`, relative to the nearest error containing it.
+   * @param {function} [arg0.omittingFor] Returns the property names to omit within the value of the given key, if different from `omitting`.
+   * @return {object}
    * @private
    */
-  static _setOrOmit ({
-    omitting,
-    on,
+  static _keysToObject ({
     from,
-    key
+    keys,
+    omitting,
+    context,
+    path,
+    depth,
+    segments,
+    omittingFor = () => omitting
+  }) {
+    const result = {}
+
+    for (const key of keys) {
+      if (CodedError._spent(context)) {
+        if (CodedError._get(from, key) === undefined) continue // left out anyway
+
+        result[key] = CodedError._oversized(context)
+        break
+      }
+      context.size += key.length + 4
+
+      result[key] = omitting.includes(key)
+        ? CodedError.OMISSION
+        : CodedError._valueToObject({
+          item: CodedError._get(from, key),
+          key,
+          omitting: omittingFor(key),
+          context,
+          path,
+          depth,
+          segments
+        })
+    }
+
+    return result
+  }
+
+  /**
+   * Adds the structured frames of the given error's stack to the given object representing it, if the serialization context calls for them.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {object} arg0.object The object representing the error.
+   * @param {Error} arg0.error The error.
+   * @param {string[]} arg0.omitting The normalized array of property names being omitted.
+   * @param {object} arg0.context The serialization context.
+   * @param {string} arg0.path The path of the error.
+   * @param {number} arg0.depth The depth of the error.
+   * @return {object} The given object.
+   * @private
+   */
+  static _framesToObject ({
+    object,
+    error,
+    omitting,
+    context,
+    path,
+    depth
+  }) {
+    if (!context.frames) return object
+
+    const { maxFrames = Infinity, filter, sourceMaps } = context.frames
+    const stack = CodedError._get(error, 'stack')
+    if (typeof stack !== 'string') return object
+
+    context.size += 10
+    if (omitting.includes('frames')) {
+      object.frames = CodedError.OMISSION
+      return object
+    }
+
+    const frames = stackFrames({ stack }, { filter, sourceMaps })
+    const item = frames.slice(0, maxFrames)
+    if (frames.length > item.length) item.push(CodedError._truncated(`${frames.length - item.length} more frames`))
+
+    object.frames = CodedError._valueToObject({ item, key: 'frames', omitting, context, path, depth, segments: [] })
+    return object
+  }
+
+  /**
+   * Converts the value at the given key of a container being converted, redacting it if the redaction policy says so.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {*} arg0.item The value.
+   * @param {string|number} arg0.key The key of the value.
+   * @param {string[]} arg0.omitting The normalized array of property names being omitted.
+   * @param {object} arg0.context The serialization context.
+   * @param {string} arg0.path The path of the container.
+   * @param {number} arg0.depth The depth of the container.
+   * @param {Array<string|number>} arg0.segments The path segments of the container, relative to the nearest error containing it.
+   * @return {*}
+   * @private
+   */
+  static _valueToObject ({
+    item,
+    key,
+    omitting,
+    context,
+    path,
+    depth,
+    segments
   }) {
-    on[key] = omitting.includes(key) ? CodedError.OMISSION : from[key]
-    return on
+    path = CodedError._path(path, key)
+    segments = segments.concat(key)
+
+    if (context.redactor?.redactsKey(key, segments)) {
+      const masked = context.redactor.mask(item, { key, path })
+      context.size += String(masked).length
+      return masked
+    }
+
+    return CodedError._anyToObject({ item, omitting, context, path, depth: depth + 1, segments })
   }
 
   /**
    * Safely returns the given item as a plain object or primitive type with special consideration for {@link CodedError}s & `Error`s.
+   * The result can always be given to `JSON.stringify`.
    *
-   * * If `item` is `null` or `undefined`, returns the item.
-   * * If `item` satisfies `typeof item !== 'object'`, returns the item.
-   * * If `item` is an `Array`, returns an `Array` with its elements passed to this method.
-   * * If `item` is a {@link CodedError} or `Error`, returns the item using {@link CodedError#toObject} or as a literal object, respectively.
+   * * If `item` is `undefined`, `null`, a `boolean` or a `number`, returns the item.
+   * * If `item` is a `string`, returns the item, truncated to `maxStringLength`.
+   * * If `item` is a `bigint` or `symbol`, returns its string representation; if a `function`, returns a description of it.
+   * * If `item` is a `Date` or `Buffer`, returns its ISO 8601 or base 64 string representation, respectively.
+   * * If `item` is an `Array`, `Set` or typed array, returns an `Array` with its elements passed to this method, truncated to `maxArrayLength`.
+   * * If `item` is a `Map`, returns an object whose keys are the stringified keys of the `Map` and whose values are passed to this method.
+   * * If `item` is a {@link CodedError}, returns the item using {@link CodedError#toObject}.
+   * * If `item` is an `Error`, returns a literal object with its `message`, `name`, `stack` & enumerable own properties, like the `code`, `errno`, `syscall` & `path` of Node.js system errors, as well as its native `cause` & `AggregateError` `errors`, if present, passed to this method.
+   * * If `item` has a `toJSON` method, returns its result passed to this method.
    * * Otherwise, the item's keys are enumerated (via `Object.keys(item)`) and passed to this method recursively; the return value becomes the value at that key.
    *
+   * Values are redacted according to the redaction policy in the context, whose paths are relative to the nearest error containing the value.
+   *
+   * If `item` is an object that is already being converted, which means the item is part of a cycle, returns an object like `{ $ref: '$.cause[0]' }`, whose `$ref` is the path from the root of the result to the item.
+   * If `item` is an object or array deeper than `maxDepth`, or the result has grown larger than `maxSize`, returns a truncation marker like `'[Truncated: depth > 10]'`.
+   * A string that would grow the result larger than `maxSize` is clipped, and, once it has, the rest of each array & object being converted is replaced with a single truncation marker.
+   *
    * @param {object} [arg0={}] The argument to be deconstructed.
    * @param {*} [arg0.item=undefined] The item to convert.
    * @param {string|string[]|boolean} [arg0.omitting=[]] The property names to omit recursively during (@link CodedError#toObject}.
    * If a `boolean`, whether to omit `stack` if `true`, or include `stack` if `false.
    * If a property is omitted, its value is explicitly set to `null`, as apposed to `undefined`, in an effort to communicate that it was present but actively omitted.
+   * @param {object} [arg0.context] The serialization context; see {@link CodedError._context}.
+   * @param {string} [arg0.path='$'] The path of the item.
+   * @param {number} [arg0.depth=0] The depth of the item.
+   * @param {Array<string|number>} [arg0.segments=[]] The path segments of the item, relative to the nearest error containing it.
    * @return {object}
    * @private
    */
   static _anyToObject ({
     item,
-    omitting = 'stack'
+    omitting = 'stack',
+    context = CodedError._context(),
+    path = '$',
+    depth = 0,
+    segments = []
   } = {}) {
-    if (item === undefined || item === null) return item
+    if (item === undefined) return item
 
-    if (typeof item !== 'object') return item
+    if (CodedError._spent(context)) return CodedError._oversized(context)
 
-    if (Array.isArray(item)) return item.map(it => CodedError._anyToObject({ item: it, omitting }))
+    if (item === null || typeof item === 'boolean' || typeof item === 'number') {
+      context.size += String(item).length
+      return item
+    }
 
-    if (item instanceof CodedError) return item.toObject({ omitting })
+    if (typeof item === 'bigint' || typeof item === 'symbol') item = item.toString()
+    else if (typeof item === 'function') item = `[Function: ${item.name || 'anonymous'}]`
+    else if (item instanceof Date) item = isNaN(item.getTime()) ? 'Invalid Date' : item.toISOString()
+    else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(item)) item = item.toString('base64')
 
-    omitting = CodedError._normalizeOmitting(omitting)
+    if (typeof item === 'string') {
+      if (context.redactor) item = context.redactor.redactString(item, { key: segments[segments.length - 1], path })
+      if (item.length > context.maxStringLength) {
+        item = item.substring(0, context.maxStringLength) + CodedError._truncated(`${item.length - context.maxStringLength} more characters`)
+      }
+      const size = JSON.stringify(item).length // counts quotes & escapes, like those of newlines in stacks
+      const remaining = Math.max(0, context.maxSize - context.size)
+      if (size > remaining) {
+        let clipped = item.substring(0, Math.max(0, remaining - 2))
+        for (let over = JSON.stringify(clipped).length - remaining; over > 0; over = JSON.stringify(clipped).length - remaining) {
+          clipped = clipped.substring(0, clipped.length - over)
+        }
+        context.size += JSON.stringify(clipped).length - 2
+        return clipped + CodedError._oversized(context)
+      }
+      context.size += size
+      return item
+    }
 
-    if (item instanceof Error) {
-      return ['message', 'name', 'stack']
-        .reduce((accum, key) => CodedError._setOrOmit({ omitting, on: accum, from: item, key }), {})
+    const ancestor = context.ancestors.indexOf(item)
+    if (ancestor >= 0) {
+      context.size += context.paths[ancestor].length + 12
+      return { $ref: context.paths[ancestor] }
     }
 
-    return Object.keys(item)
-      .reduce((accum, key) => {
-        accum[key] = omitting.includes(key)
-          ? CodedError.OMISSION
-          : CodedError._anyToObject({ item: item[key], omitting })
-        return accum
-      }, {})
+    if (depth > context.maxDepth) return CodedError._truncated(`depth > ${context.maxDepth}`)
+
+    omitting = CodedError._normalizeOmitting(omitting)
+
+    context.ancestors.push(item)
+    context.paths.push(path)
+    try {
+      if (item instanceof CodedError) return item._toObject({ omitting, context, path, depth })
+
+      const args = { omitting, context, path, depth, segments }
+
+      if (Array.isArray(item) || item instanceof Set || (ArrayBuffer.isView(item) && !(item instanceof DataView))) {
+        const array = Array.from(item)
+        const length = Math.min(array.length, context.maxArrayLength)
+        const result = []
+        for (let i = 0; i < length; i++) {
+          if (CodedError._spent(context)) {
+            result.push(CodedError._oversized(context))
+            return result
+          }
+          result.push(CodedError._valueToObject({ ...args, item: array[i], key: i }))
+          context.size += 1
+        }
+        if (array.length > result.length) result.push(CodedError._truncated(`${array.length - result.length} more items`))
+        return result
+      }
+
+      if (item instanceof Map) {
+        return CodedError._keysToObject({
+          from: Array.from(item.entries()).reduce((accum, [key, value]) => {
+            accum[String(key)] = value
+            return accum
+          }, {}),
+          keys: Array.from(item.keys()).map(String),
+          ...args
+        })
+      }
+
+      if (item instanceof Error) {
+        const keys = ['message', 'name', 'stack']
+        Object.keys(item).concat('cause').forEach(it => {
+          if (!keys.includes(it) && Object.prototype.hasOwnProperty.call(item, it)) keys.push(it)
+        })
+        if (Array.isArray(item.errors) && !keys.includes('errors')) keys.push('errors')
+
+        return CodedError._framesToObject({
+          ...args,
+          object: CodedError._keysToObject({ ...args, from: item, keys, segments: [] }),
+          error: item
+        })
+      }
+
+      if (typeof item.toJSON === 'function') {
+        let json
+        try {
+          json = item.toJSON()
+        } catch (e) {
+          json = `[Thrown: ${e?.message}]`
+        }
+        if (json !== item) return CodedError._anyToObject({ ...args, item: json })
+      }
+
+      return CodedError._keysToObject({ ...args, from: item, keys: Object.keys(item) })
+    } finally {
+      context.ancestors.pop()
+      context.paths.pop()
+    }
   }
 
   /**
@@ -136,15 +597,329 @@ class CodedError extends Error {
    * @return {string[]} An array of strings.
    * @private
    */
-  static _normalizeOmitting (omitting = []) {
-    if (omitting === null || omitting === undefined) omitting = true
-    if (typeof omitting === 'boolean') return omitting ? ['stack'] : []
+  static _normalizeOmitting (omitting = []) {
+    if (omitting === null || omitting === undefined) omitting = true
+    if (typeof omitting === 'boolean') return omitting ? ['stack'] : []
+
+    return (omitting ? Array.isArray(omitting) ? omitting : [omitting] : [])
+      .reduce((accum, it) => {
+        if (typeof it === 'string') accum.push(it)
+        return accum
+      }, [])
+  }
+
+  /**
+   * Returns whether the given value is an instance of this class.
+   * Classes defined by the class factory also consider a value to be an instance if this class's `CODE` is the value's `code` or is in the value's code lineage, which is the value's `code` followed by
+   * * the `CODE`s of the classes in the value's prototype chain, and
+   * * the codes of the supererrors of the value's `code` in the {@link registry}.
+   *
+   * This allows the check to succeed across duplicate copies of this module, across realms, and on plain objects, like those returned by {@link CodedError#toObject}.
+   * This method is also used by `instanceof`.
+   *
+   * @param {*} value The value to test.
+   * @return {boolean}
+   */
+  static is (value) {
+    if (Function.prototype[Symbol.hasInstance].call(this, value)) return true
+    if (!Object.prototype.hasOwnProperty.call(this, 'CODE')) return false
+
+    return CodedError._codeLineage(value).includes(this.CODE)
+  }
+
+  /**
+   * Returns whether the given value is a {@link CodedError}, including those from other copies of this module & other realms, which are recognized by their code & their conversion methods, rather than their prototype.
+   *
+   * @param {*} value The value.
+   * @return {boolean}
+   * @private
+   */
+  static _isCodedError (value) {
+    if (value instanceof CodedError) return true
+
+    return value !== null &&
+      typeof value === 'object' &&
+      typeof value.code === 'string' &&
+      ['toObject', 'toProblem', 'toGrpcStatus', 'toGraphQLError'].every(it => typeof value[it] === 'function')
+  }
+
+  /**
+   * Delegates to {@link CodedError.is}.
+   *
+   * @param {*} value The value to test.
+   * @return {boolean}
+   */
+  static [Symbol.hasInstance] (value) {
+    return this.is(value)
+  }
+
+  /**
+   * Returns the code lineage of the given value; see {@link CodedError.is}.
+   *
+   * @param {*} value The value.
+   * @return {string[]} The codes, without duplicates.
+   * @private
+   */
+  static _codeLineage (value) {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return []
+
+    const codes = []
+    const add = it => {
+      if (it !== undefined && it !== null && !codes.includes(it)) codes.push(it)
+    }
+
+    add(value.code)
+
+    for (let proto = Object.getPrototypeOf(value); proto; proto = Object.getPrototypeOf(proto)) {
+      const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor
+      if (ctor && Object.prototype.hasOwnProperty.call(ctor, 'CODE')) add(ctor.CODE)
+    }
+
+    codes.slice().forEach(code => registry.ancestorsOf(code).forEach(it => add(it.CODE)))
+
+    return codes
+  }
+
+  /**
+   * Rehydrates an error chain from the plain object representation returned by {@link CodedError#toObject}.
+   *
+   * * If `object` is the fallback representation returned by {@link CodedError#toJson}, its `error` property is rehydrated.
+   * * Objects with `code`, `name` & `message` properties become instances of the class defined with that `code`, or, if no such class is known but they have a `rawMessage` or `info` property, which only {@link CodedError}s have, of a generic {@link CodedError}.
+   * Objects without `info` are also rehydrated this way if a class is known for their `code`.
+   * * Other objects with `message`, `name` & `stack` properties become native `Error`s, using the native subclass of the same name if there is one, with their other properties, including any native `cause` & `AggregateError` `errors`, restored.
+   * * Causes are rehydrated recursively; anything else is returned as is.
+   *
+   * Rehydrated errors retain the `message`, `info` and, if it wasn't omitted, `stack` of the given object.
+   *
+   * @param {*} object The object to rehydrate.
+   * @param {object} [arg1={}] The argument to be deconstructed.
+   * @param {Function[]} [arg1.classes=[]] Classes previously returned by the class factory to prefer when matching codes.
+   * @return {*} The rehydrated error.
+   */
+  static fromObject (object, { classes = [] } = {}) {
+    if (CodedError._isJsonFallback(object)) object = { ...object.error, info: undefined }
+
+    return CodedError._anyFromObject({ item: object, classes })
+  }
+
+  /**
+   * Rehydrates an error chain from the JSON returned by {@link CodedError#toJson}.
+   * Throws if `json` isn't valid JSON.
+   *
+   * @param {string} json The JSON to rehydrate.
+   * @param {object} [arg1={}] The argument to be deconstructed; see {@link CodedError.fromObject}.
+   * @return {*} The rehydrated error.
+   */
+  static fromJson (json, { classes = [] } = {}) {
+    return CodedError.fromObject(JSON.parse(json), { classes })
+  }
+
+  /**
+   * Rehydrates an error chain from the `google.rpc.Status`-shaped object returned by {@link CodedError#toGrpcStatus}.
+   *
+   * If `status` has a `google.rpc.ErrorInfo` detail, the error is rehydrated as by {@link CodedError.fromObject}, using the detail's `reason` as the `code` & its `metadata` for the `name`, `info` & `cause`.
+   * Otherwise, the error is a generic {@link CodedError} whose code is derived from the gRPC status, like `E_GRPC_UNAVAILABLE`, and whose `info` holds the status's `code` & any `details`.
+   *
+   * @param {object} status The status, with a numeric `code`, a `message` and optional `details`.
+   * @param {object} [arg1={}] The argument to be deconstructed; see {@link CodedError.fromObject}.
+   * @return {*} The rehydrated error.
+   */
+  static fromGrpcStatus (status, { classes = [] } = {}) {
+    const details = status.details || []
+    const errorInfo = details.find(it => it && it['@type'] === ERROR_INFO_TYPE)
+
+    if (!errorInfo) {
+      const info = { status: status.code }
+      if (details.length) info.details = details
+
+      return CodedError.fromObject({
+        ..._determineCodeAndName({ code: `E_GRPC_${grpcStatusName(status.code) || status.code}` }),
+        message: status.message,
+        info
+      }, { classes })
+    }
+
+    const metadata = errorInfo.metadata || {}
+    const object = {
+      code: errorInfo.reason,
+      name: metadata.name,
+      message: status.message,
+      info: CodedError._parseMetadata(metadata.info)
+    }
+    if ('cause' in metadata) object.cause = CodedError._parseMetadata(metadata.cause)
+
+    return CodedError.fromObject(object, { classes })
+  }
+
+  /**
+   * Returns the given `google.rpc.ErrorInfo` metadata value parsed as JSON, or as is if it isn't valid JSON.
+   *
+   * @param {string} [value] The value.
+   * @return {*}
+   * @private
+   */
+  static _parseMetadata (value) {
+    if (value === undefined) return value
+
+    try {
+      return JSON.parse(value)
+    } catch (e) {
+      return value
+    }
+  }
+
+  /**
+   * Returns whether the given item is the fallback object produced by {@link CodedError#toJson} when `JSON.stringify` throws.
+   *
+   * @param {*} item The item to test.
+   * @return {boolean}
+   * @private
+   */
+  static _isJsonFallback (item) {
+    return !!item &&
+      typeof item === 'object' &&
+      Object.keys(item).length === 2 &&
+      'jsonStringifyError' in item &&
+      'error' in item
+  }
+
+  /**
+   * The inverse of {@link CodedError._anyToObject}.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {*} [arg0.item=undefined] The item to rehydrate.
+   * @param {Function[]} [arg0.classes=[]] Classes to prefer when matching codes.
+   * @return {*}
+   * @private
+   */
+  static _anyFromObject ({
+    item,
+    classes = []
+  } = {}) {
+    if (item === undefined || item === null) return item
+
+    if (typeof item !== 'object') return item
+
+    if (Array.isArray(item)) return item.map(it => CodedError._anyFromObject({ item: it, classes }))
+
+    if (typeof item.message !== 'string' && item.message !== null) return item
+    if (typeof item.name !== 'string' && item.name !== null) return item
+
+    const C = 'code' in item && (classes.find(it => it?.CODE === item.code) || registry.get(item.code))
+    const coded = 'code' in item && ('info' in item || 'rawMessage' in item) // since JSON drops undefined values, info may be missing, but rawMessage never is
+
+    if (C || coded) {
+      const cause = CodedError._anyFromObject({ item: item.cause, classes })
+      const error = C
+        ? new C({ cause, info: item.info })
+        : new CodedError({ cause, info: item.info, _c: item.code, _n: item.name })
+
+      if (!('rawMessage' in item)) error.rawMessage = null // unknown, since the message may not be the constructed one
+
+      return CodedError._restore({
+        error,
+        from: item,
+        keys: Object.keys(item).filter(it => !['code', 'name', 'cause', 'info'].includes(it))
+      })
+    }
+
+    if (!('stack' in item)) return item
+
+    const E = NATIVE_ERRORS[item.name] || Error
+    const message = item.message === null ? undefined : item.message
+    const error = E === NATIVE_ERRORS.AggregateError ? new E([], message) : new E(message)
+
+    ;['cause', 'errors'].forEach(key => {
+      if (!(key in item)) return
+      Object.defineProperty(error, key, { // like native causes & errors, these are not enumerable
+        value: CodedError._anyFromObject({ item: item[key], classes }),
+        writable: true,
+        configurable: true
+      })
+    })
+
+    return CodedError._restore({
+      error,
+      from: item,
+      keys: Object.keys(item).filter(it => !['cause', 'errors'].includes(it))
+    })
+  }
+
+  /**
+   * Throws if the given value isn't valid for the given trait, which is `retryable`, `transient` or `severity`.
+   *
+   * @param {string} trait The trait.
+   * @param {*} value The value.
+   * @private
+   */
+  static _checkTrait (trait, value) {
+    if (CodedError._isValidTrait(trait, value)) return
+
+    throw new Error(trait === 'severity'
+      ? `severity must be one of ${CodedError.SEVERITIES.join(', ')}; got ${String(value)}`
+      : `${trait} must be a boolean; got ${String(value)}`)
+  }
+
+  /**
+   * Returns whether the given value is valid for the given trait, which is `retryable`, `transient` or `severity`.
+   *
+   * @param {string} trait The trait.
+   * @param {*} value The value.
+   * @return {boolean}
+   * @private
+   */
+  static _isValidTrait (trait, value) {
+    return trait === 'severity' ? CodedError.SEVERITIES.includes(value) : typeof value === 'boolean'
+  }
+
+  /**
+   * Overrides the given trait of the given error with the given value, as an own, enumerable property, so that it's serialized & rehydrated, which is checked whenever it's set.
+   *
+   * @param {Error} error The error.
+   * @param {string} trait The trait, which is `retryable`, `transient` or `severity`.
+   * @param {*} value The value.
+   * @private
+   */
+  static _overrideTrait (error, trait, value) {
+    CodedError._checkTrait(trait, value)
+
+    Object.defineProperty(error, trait, {
+      get: () => value,
+      set: it => {
+        CodedError._checkTrait(trait, it)
+        value = it
+      },
+      enumerable: true,
+      configurable: true
+    })
+  }
+
+  /**
+   * Sets the given keys on a rehydrated error from the object it was rehydrated from.
+   * Omitted `message`s & `stack`s and `message`s & `name`s that are the same as the error's are not set,
+   * nor are the traits of {@link CodedError}s that were omitted, redacted or are otherwise invalid, which are left to their classes' defaults.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {Error} arg0.error The rehydrated error.
+   * @param {object} arg0.from The object the error was rehydrated from.
+   * @param {string[]} arg0.keys The keys to set.
+   * @return {Error} The given error.
+   * @private
+   */
+  static _restore ({
+    error,
+    from,
+    keys
+  }) {
+    keys.forEach(key => {
+      if (key === 'stack' && typeof from.stack !== 'string') return
+      if (key === 'message' && from.message === null) return
+      if (['message', 'name'].includes(key) && error[key] === from[key]) return
+      if (error instanceof CodedError && ['retryable', 'transient', 'severity'].includes(key) && !CodedError._isValidTrait(key, from[key])) return
+      error[key] = from[key]
+    })
 
-    return (omitting ? Array.isArray(omitting) ? omitting : [omitting] : [])
-      .reduce((accum, it) => {
-        if (typeof it === 'string') accum.push(it)
-        return accum
-      }, [])
+    return error
   }
 
   /**
@@ -155,6 +930,9 @@ class CodedError extends Error {
    * @param {string} [arg0.msg] An optional message.
    * Though not prevented or removed, callers are discouraged from using newlines or carriage returns in `message` text.
    * @param {*} [arg0.info] An optional value of any kind.
+   * @param {boolean} [arg0.retryable] Overrides whether the operation that failed with this error can be retried, which defaults to the `RETRYABLE` of this error's class.
+   * @param {boolean} [arg0.transient] Overrides whether this error is caused by a temporary condition, which defaults to the `TRANSIENT` of this error's class.
+   * @param {string} [arg0.severity] Overrides the severity of this error, which defaults to the `SEVERITY` of this error's class.
    * @param {string} [arg0._n]  A name for instances of this class.
    * Not intended for public consumption.
    * @param {string} [arg0._c] A code for instances of this class.
@@ -164,43 +942,140 @@ class CodedError extends Error {
     cause,
     msg,
     info,
+    retryable,
+    transient,
+    severity,
     _n,
     _c
   } = {}) {
-    super(CodedError._message({ code: _c, msg, cause }))
+    super(CodedError._message({ code: _c, msg, cause, composer: new.target.MESSAGE_COMPOSER }))
 
     this.name = _n
     this.code = _c
     this.cause = cause
     this.info = info
+    this.rawMessage = msg // the message without the code & the causes' messages
+
+    if (retryable !== undefined) this.retryable = retryable
+    if (transient !== undefined) this.transient = transient
+    if (severity !== undefined) this.severity = severity
+  }
+
+  /**
+   * Whether the operation that failed with this error can be retried, which is the `RETRYABLE` of this error's class unless overridden.
+   * @type {boolean}
+   */
+  get retryable () {
+    return this.constructor.RETRYABLE
+  }
+
+  set retryable (value) {
+    CodedError._overrideTrait(this, 'retryable', value)
+  }
+
+  /**
+   * Whether this error is caused by a temporary condition, like a timeout, which is the `TRANSIENT` of this error's class unless overridden.
+   * @type {boolean}
+   */
+  get transient () {
+    return this.constructor.TRANSIENT
+  }
+
+  set transient (value) {
+    CodedError._overrideTrait(this, 'transient', value)
+  }
+
+  /**
+   * The severity of this error, which is one of {@link CodedError.SEVERITIES} & is the `SEVERITY` of this error's class unless overridden.
+   * @type {string}
+   */
+  get severity () {
+    return this.constructor.SEVERITY
+  }
+
+  set severity (value) {
+    CodedError._overrideTrait(this, 'severity', value)
   }
 
   /**
    * Safely returns this object as a plain, JavaScript object literal, suitable for use with `JSON.stringify()`, etc.
+   * Cycles are replaced with reference markers, and the result can be bounded in size; see README.md.
    *
    * @param {object|boolean} [arg0={}] The argument to be deconstructed, or, if a `boolean`, an indication to omit `stack` if `true`, else include `stack` if `false`.
    * @param {string|string[]|boolean} [arg0.omitting='stack'] The property names to omit recursively during (@link CodedError#toObject}.
    * If a `boolean`, whether to omit `stack` if `true`, or include `stack` if `false`.
    * If a property is omitted, its value is explicitly set to `null`, as apposed to `undefined`, in an effort to communicate that it was present but actively omitted.
+   * @param {number} [arg0.maxDepth=Infinity] The maximum depth of nested objects & arrays, beyond which they're replaced with truncation markers.
+   * @param {number} [arg0.maxArrayLength=Infinity] The maximum number of elements of each array, beyond which they're replaced with a truncation marker.
+   * @param {number} [arg0.maxStringLength=Infinity] The maximum length of each string, beyond which it's truncated.
+   * @param {number} [arg0.maxSize=Infinity] The approximate maximum size, in characters, of the JSON representation of the result, beyond which values are replaced with truncation markers.
+   * It isn't a hard cap: the result can exceed it by the truncation markers & the punctuation around them, which is typically up to a few hundred characters.
+   * @param {object|Redactor|boolean} [arg0.redacting] The redaction policy, which, unlike `omitting`, also applies within `info`; see {@link Redactor}.
+   * If not given, the process-wide default policy, if any, is used; give `false` to redact nothing.
+   * @param {object|boolean} [arg0.frames] Whether to include a `frames` property with the structured frames of the stack of each error in the cause chain, including native `Error`s; see {@link stackFrames}.
+   * If an object, the options for the frames, which are included.
+   * Like `stack`, `frames` can be omitted via `omitting`.
+   * @param {boolean|function} [arg0.frames.filter=true] Whether to leave out frames in `node_modules`, in Node.js's internals & in this library, or a function that returns whether to keep the given frame.
+   * @param {number} [arg0.frames.maxFrames=Infinity] The maximum number of frames of each error, beyond which they're replaced with a truncation marker.
+   * @param {boolean} [arg0.frames.sourceMaps=true] Whether to remap positions to original sources via the `sourceMappingURL`s of the files in the frames.
    * @return {object} A plain, literal JavaScript object representation of this error.  See README.md for more information.
    */
   toObject ({
-    omitting = 'stack'
+    omitting = 'stack',
+    maxDepth,
+    maxArrayLength,
+    maxStringLength,
+    maxSize,
+    redacting,
+    frames
   } = {}) {
     omitting = CodedError._normalizeOmitting(typeof arguments[0] === 'boolean' ? arguments[0] : omitting)
 
-    return Object.keys(this).concat(['message', 'stack'])
-      .reduce((accum, key) => {
-        if (key === 'cause') { // possibly recurse here
-          accum.cause = omitting.includes(key)
-            ? CodedError.OMISSION
-            : CodedError._anyToObject({
-              item: this.cause, omitting
-            })
-          return accum
-        }
-        return CodedError._setOrOmit({ omitting, on: accum, from: this, key })
-      }, {})
+    return CodedError._anyToObject({
+      item: this,
+      omitting,
+      context: CodedError._context({ maxDepth, maxArrayLength, maxStringLength, maxSize, redacting, frames })
+    })
+  }
+
+  /**
+   * Implements {@link CodedError#toObject} within the given serialization context.
+   * Omissions don't apply within `info`.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {string[]} arg0.omitting The normalized array of property names being omitted.
+   * @param {object} arg0.context The serialization context.
+   * @param {string} arg0.path The path of this error.
+   * @param {number} arg0.depth The depth of this error.
+   * @return {object}
+   * @private
+   */
+  _toObject ({
+    omitting,
+    context,
+    path,
+    depth
+  }) {
+    const object = CodedError._keysToObject({
+      from: this,
+      keys: Object.keys(this).concat(['message', 'stack']),
+      omitting,
+      context,
+      path,
+      depth,
+      segments: [],
+      omittingFor: key => key === 'info' ? [] : omitting
+    })
+    if (!('rawMessage' in object)) object.rawMessage = null // marks it as a CodedError for CodedError.fromObject, even if cut off by maxSize
+
+    return CodedError._framesToObject({
+      object,
+      error: this,
+      omitting,
+      context,
+      path,
+      depth
+    })
   }
 
   /**
@@ -214,17 +1089,29 @@ class CodedError extends Error {
    * @param {string|string[]|boolean} [arg0.omitting='stack'] The property names to omit recursively during (@link CodedError#toObject}.
    * If a `boolean`, whether to omit `stack` if `true`, or include `stack` if `false.
    * If a property is omitted, its value is explicitly set to `null`, as apposed to `undefined`, in an effort to communicate that it was present but actively omitted.
+   * @param {number} [arg0.maxDepth=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxArrayLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxStringLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxSize=Infinity] See {@link CodedError#toObject}.
+   * @param {object|Redactor|boolean} [arg0.redacting] See {@link CodedError#toObject}.
+   * @param {object|boolean} [arg0.frames] See {@link CodedError#toObject}.
    * @param {function} [arg0.replacer] The [`toJSON` replacer function](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify) to use.
    * @param {number} [arg0.spaces] The number of spaces to use for indentation.
    * @return {string}
    */
   toJson ({
     omitting = 'stack',
+    maxDepth,
+    maxArrayLength,
+    maxStringLength,
+    maxSize,
+    redacting,
+    frames,
     replacer,
     spaces
   } = {}) {
     try {
-      return JSON.stringify(this.toObject({ omitting }), replacer, spaces)
+      return JSON.stringify(this.toObject({ omitting, maxDepth, maxArrayLength, maxStringLength, maxSize, redacting, frames }), replacer, spaces)
     } catch (e) {
       const fallback = { jsonStringifyError: {}, error: {} }
 
@@ -232,13 +1119,392 @@ class CodedError extends Error {
 
       ['message', 'code', 'name', 'stack'].forEach(key => {
         ['jsonStringifyError', 'error'].forEach(prop => {
-          fallback[prop][key] = omitting.includes(key) ? null : (prop === 'error' ? this : e)[key]
+          if (omitting.includes(key)) {
+            fallback[prop][key] = null
+            return
+          }
+          try {
+            fallback[prop][key] = CodedError._valueToObject({
+              item: (prop === 'error' ? this : e)?.[key],
+              key,
+              omitting,
+              context: CodedError._context({ redacting }),
+              path: `$.${prop}`,
+              depth: 1,
+              segments: []
+            })
+          } catch (x) { // if it can't be safely redacted, leave it out
+            fallback[prop][key] = null
+          }
         })
       })
 
       return JSON.stringify(fallback, null, spaces)
     }
   }
+
+  /**
+   * Returns this error's message template for the given locale, interpolated with this error's `code`, `name`, `message` & `info`.
+   * Templates are looked up by this error's code lineage (see {@link CodedError.is}), through the given locale's fallback chain; see {@link MessageCatalog}.
+   *
+   * @param {string} [locale] The locale; defaults to the default locale of {@link messageCatalog}.
+   * @return {string} The localized message, or, if there is no template, this error's `message`.
+   */
+  localize (locale) {
+    const localized = messageCatalog.format(CodedError._codeLineage(this), {
+      code: this.code,
+      name: this.name,
+      message: this.message,
+      info: this.info
+    }, locale)
+
+    return localized === undefined ? this.message : localized
+  }
+
+  /**
+   * Safely returns the given value as a plain, JavaScript object literal, as {@link CodedError#toObject} does.
+   * Unlike {@link CodedError#toObject}, the value needn't be a {@link CodedError}; native `Error`s, for example, are converted with their native `cause`s, `AggregateError` `errors` & enumerable properties.
+   *
+   * @param {*} value The value.
+   * @param {object} [arg1={}] The argument to be deconstructed; see {@link CodedError#toObject}.
+   * @return {*}
+   */
+  static toObject (value, {
+    omitting = 'stack',
+    maxDepth,
+    maxArrayLength,
+    maxStringLength,
+    maxSize,
+    redacting,
+    frames
+  } = {}) {
+    return CodedError._anyToObject({
+      item: value,
+      omitting: CodedError._normalizeOmitting(omitting),
+      context: CodedError._context({ maxDepth, maxArrayLength, maxStringLength, maxSize, redacting, frames })
+    })
+  }
+
+  /**
+   * Returns an [RFC 7807](https://tools.ietf.org/html/rfc7807) `application/problem+json` object representing the given error.
+   * If the given error is a {@link CodedError}, returns the result of {@link CodedError#toProblem}.
+   * Otherwise, returns a generic problem with status `500` that doesn't include anything from the given error, so as not to leak internal information.
+   *
+   * @param {*} error The error.
+   * @param {object} [options] See {@link CodedError#toProblem}.
+   * @return {object}
+   */
+  static toProblem (error, options = {}) {
+    if (CodedError._isCodedError(error)) return error.toProblem(options)
+
+    return CodedError._problem({ http: CodedError.HTTP, instance: options.instance })
+  }
+
+  /**
+   * Returns a `google.rpc.Status`-shaped object representing the given error.
+   * If the given error is a {@link CodedError}, returns the result of {@link CodedError#toGrpcStatus}.
+   * Otherwise, returns a generic status with code `UNKNOWN` that doesn't include anything from the given error, so as not to leak internal information.
+   *
+   * @param {*} error The error.
+   * @param {object} [options] See {@link CodedError#toGrpcStatus}.
+   * @return {object}
+   */
+  static toGrpcStatus (error, options = {}) {
+    if (CodedError._isCodedError(error)) return error.toGrpcStatus(options)
+
+    return { code: CodedError.GRPC.status, message: 'Unknown error', details: [] }
+  }
+
+  /**
+   * Returns a GraphQL error object representing the given error.
+   * If the given error is a {@link CodedError}, returns the result of {@link CodedError#toGraphQLError}.
+   * Otherwise, returns {@link CodedError.MASKED_GRAPHQL_ERROR}, so as not to leak internal information, unless `masking` is `false`, in which case the given error's `message` is used.
+   *
+   * @param {*} error The error.
+   * @param {object} [options] See {@link CodedError#toGraphQLError}.
+   * @param {boolean} [options.masking=true] Whether to mask values that aren't {@link CodedError}s.
+   * @return {object}
+   */
+  static toGraphQLError (error, { masking = true, ...options } = {}) {
+    if (CodedError._isCodedError(error)) return error.toGraphQLError(options)
+
+    const graphQLError = masking || typeof error?.message !== 'string'
+      ? { ...CodedError.MASKED_GRAPHQL_ERROR, extensions: { ...CodedError.MASKED_GRAPHQL_ERROR.extensions } }
+      : { message: error.message, extensions: { code: CodedError.MASKED_GRAPHQL_ERROR.extensions.code } }
+
+    return CodedError._graphQLLocation({ graphQLError, ...options })
+  }
+
+  /**
+   * Adds the given `locations` & `path`, if any, to the given GraphQL error object.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {object} arg0.graphQLError The GraphQL error object.
+   * @param {object[]} [arg0.locations] The locations in the GraphQL document.
+   * @param {Array<string|number>} [arg0.path] The path of the field in the response.
+   * @return {object} The given GraphQL error object.
+   * @private
+   */
+  static _graphQLLocation ({
+    graphQLError,
+    locations,
+    path
+  }) {
+    if (locations !== undefined) graphQLError.locations = locations
+    if (path !== undefined) graphQLError.path = path
+
+    return graphQLError
+  }
+
+  /**
+   * Returns the standard members of a problem object.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {object} arg0.http The HTTP metadata of the error's class.
+   * @param {string} [arg0.instance] The problem's `instance`.
+   * @return {object}
+   * @private
+   */
+  static _problem ({
+    http,
+    instance
+  }) {
+    const status = http.status || 500
+    const problem = {
+      type: http.type || 'about:blank',
+      title: http.title || STATUS_CODES[status] || 'Unknown Error',
+      status
+    }
+    if (instance !== undefined) problem.instance = instance
+
+    return problem
+  }
+
+  /**
+   * Returns the message of this error for the given object representation of it, which, if causes are excluded, is composed without the messages of the causes, since they can reveal internal details, like addresses, to clients.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {object} arg0.object The object representation of this error returned by {@link CodedError#toObject}.
+   * @param {boolean} arg0.causes Whether causes are included.
+   * @param {number} [arg0.maxStringLength] See {@link CodedError#toObject}.
+   * @return {string|null}
+   * @private
+   */
+  _publicMessage ({
+    object,
+    causes,
+    maxStringLength
+  }) {
+    if (causes || typeof object.message !== 'string') return object.message // included or omitted
+
+    return CodedError._anyToObject({
+      item: CodedError._message({ code: this.code, message: CodedError.ownMessage(this), composer: this.constructor.MESSAGE_COMPOSER }),
+      context: CodedError._context({ maxStringLength })
+    })
+  }
+
+  /**
+   * Returns an [RFC 7807](https://tools.ietf.org/html/rfc7807) `application/problem+json` object representing this error.
+   * The `type`, `title` & `status` come from the HTTP metadata of this error's class, defaulting to `about:blank`, the standard phrase of the status, and `500`, respectively.
+   * The `detail` is this error's `message`, without the messages of its causes if they're excluded, and `code`, `info` & `cause` are included as extension members, as they would be by {@link CodedError#toObject}.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {string} [arg0.instance] A URI reference identifying the occurrence of the problem.
+   * @param {boolean} [arg0.causes=true] Whether to include the cause chain.
+   * @param {string|string[]|boolean} [arg0.omitting='stack'] See {@link CodedError#toObject}.
+   * @param {object|Redactor|boolean} [arg0.redacting] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxDepth=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxArrayLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxStringLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxSize=Infinity] See {@link CodedError#toObject}.
+   * @return {object}
+   */
+  toProblem ({
+    instance,
+    causes = true,
+    omitting = 'stack',
+    redacting,
+    maxDepth,
+    maxArrayLength,
+    maxStringLength,
+    maxSize
+  } = {}) {
+    const object = this.toObject({ omitting, redacting, maxDepth, maxArrayLength, maxStringLength, maxSize })
+    const problem = CodedError._problem({ http: this.constructor.HTTP || CodedError.HTTP, instance })
+
+    problem.detail = this._publicMessage({ object, causes, maxStringLength })
+    problem.code = object.code
+    if (object.info !== undefined) problem.info = object.info
+    if (causes && object.cause !== undefined) problem.cause = object.cause
+
+    return problem
+  }
+
+  /**
+   * Returns a [`google.rpc.Status`](https://cloud.google.com/apis/design/errors#error_model)-shaped object representing this error, which {@link CodedError.fromGrpcStatus} turns back into an error of the same class.
+   * The `code` is the gRPC status code of this error's class, defaulting to `UNKNOWN`, and the `message` is this error's `message`, without the messages of its causes if they're excluded.
+   * The only detail is a `google.rpc.ErrorInfo` whose `reason` is this error's `code`, whose `domain` is that of this error's class, if any, and whose `metadata` holds this error's `name`, and its `info` & `cause` as JSON, as they would be output by {@link CodedError#toObject}.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {boolean} [arg0.causes=true] Whether to include the cause chain.
+   * @param {string|string[]|boolean} [arg0.omitting='stack'] See {@link CodedError#toObject}.
+   * @param {object|Redactor|boolean} [arg0.redacting] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxDepth=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxArrayLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxStringLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxSize=Infinity] See {@link CodedError#toObject}.
+   * @return {object}
+   */
+  toGrpcStatus ({
+    causes = true,
+    omitting = 'stack',
+    redacting,
+    maxDepth,
+    maxArrayLength,
+    maxStringLength,
+    maxSize
+  } = {}) {
+    const object = this.toObject({ omitting, redacting, maxDepth, maxArrayLength, maxStringLength, maxSize })
+    const grpc = this.constructor.GRPC || CodedError.GRPC
+
+    const metadata = { name: object.name }
+    if (object.info !== undefined) metadata.info = JSON.stringify(object.info)
+    if (causes && object.cause !== undefined) metadata.cause = JSON.stringify(object.cause)
+
+    const errorInfo = { '@type': ERROR_INFO_TYPE, reason: object.code }
+    if (grpc.domain !== undefined) errorInfo.domain = grpc.domain
+    errorInfo.metadata = metadata
+
+    return {
+      code: grpc.status,
+      message: this._publicMessage({ object, causes, maxStringLength }),
+      details: [errorInfo]
+    }
+  }
+
+  /**
+   * Returns a GraphQL error object representing this error, as would be returned by a GraphQL server's `formatError` function.
+   * The `message` is this error's `message`, without the messages of its causes if they're excluded, and its `code`, `name`, `info` &, optionally, `cause` are included in `extensions`, as they would be by {@link CodedError#toObject}.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {object[]} [arg0.locations] The locations in the GraphQL document of the error, like `[{ line: 1, column: 2 }]`.
+   * @param {Array<string|number>} [arg0.path] The path of the field in the response that caused the error.
+   * @param {boolean} [arg0.causes=false] Whether to include the cause chain.
+   * @param {string|string[]|boolean} [arg0.omitting='stack'] See {@link CodedError#toObject}.
+   * @param {object|Redactor|boolean} [arg0.redacting] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxDepth=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxArrayLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxStringLength=Infinity] See {@link CodedError#toObject}.
+   * @param {number} [arg0.maxSize=Infinity] See {@link CodedError#toObject}.
+   * @return {object}
+   */
+  toGraphQLError ({
+    locations,
+    path,
+    causes = false,
+    omitting = 'stack',
+    redacting,
+    maxDepth,
+    maxArrayLength,
+    maxStringLength,
+    maxSize
+  } = {}) {
+    const object = this.toObject({ omitting, redacting, maxDepth, maxArrayLength, maxStringLength, maxSize })
+
+    const extensions = { code: object.code, name: object.name }
+    if (object.info !== undefined) extensions.info = object.info
+    if (causes && object.cause !== undefined) extensions.cause = object.cause
+
+    return CodedError._graphQLLocation({
+      graphQLError: { message: this._publicMessage({ object, causes, maxStringLength }), extensions },
+      locations,
+      path
+    })
+  }
+
+  /**
+   * Returns a fingerprint of this error, which is the same for errors that happen on the same code path, for deduplicating & grouping them; see {@link fingerprint}.
+   *
+   * @param {object} [options] See {@link fingerprint}.
+   * @return {string}
+   */
+  fingerprint (options) {
+    return fingerprint(this, options)
+  }
+
+  /**
+   * Renders this error & its tree of causes as multiple, human-readable lines for terminals & development logs; see {@link renderError}.
+   *
+   * @param {object} [options] See {@link renderError}.
+   * @return {string}
+   */
+  format (options) {
+    return renderError(this, options)
+  }
+
+  /**
+   * Renders this error for `util.inspect`, & thus `console.log`, via {@link CodedError#format}, including stacks & colorizing if `util.inspect` is.
+   *
+   * @param {number} depth The depth of this error in the value being inspected.
+   * @param {object} options The `util.inspect` options.
+   * @return {string}
+   */
+  [util.inspect.custom] (depth, options) {
+    return this.format({ stack: true, colors: !!options?.colors })
+  }
+
+  /**
+   * Returns an iterator over this error's causes, which is cycle-safe.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {string} [arg0.order='depth'] `'depth'` for depth-first or `'breadth'` for breadth-first traversal.
+   * @return {Iterable<*>}
+   */
+  causes ({ order = 'depth' } = {}) {
+    return causes(this, { order })
+  }
+
+  /**
+   * Returns the first of this error's causes that matches the given code or class.
+   *
+   * @param {Function|string|number|symbol} codeOrClass A class, matched via `instanceof`, or a code, matched against the cause's `code` property.
+   * @param {object} [arg1={}] The argument to be deconstructed.
+   * @param {string} [arg1.order='depth'] `'depth'` for depth-first or `'breadth'` for breadth-first search.
+   * @return {*} The cause, or `undefined` if there is none.
+   */
+  findCause (codeOrClass, { order = 'depth' } = {}) {
+    return findCause(this, codeOrClass, { order })
+  }
+
+  /**
+   * Returns whether any of this error's causes matches the given code or class.
+   *
+   * @param {Function|string|number|symbol} codeOrClass See {@link CodedError#findCause}.
+   * @return {boolean}
+   */
+  hasCause (codeOrClass) {
+    return hasCause(this, codeOrClass)
+  }
+
+  /**
+   * Returns this error's causes that have no causes of their own, or an empty array if this error has no causes.
+   *
+   * @return {Array<*>}
+   */
+  rootCauses () {
+    return rootCauses(this)
+  }
+
+  /**
+   * Returns `{ path, error }` entries for all of this error's causes, where `path` is the array of keys leading from this error to the cause, like `['cause', 0, 'cause']`.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {string} [arg0.order='depth'] `'depth'` for depth-first or `'breadth'` for breadth-first traversal.
+   * @return {Array<{path: Array<string|number>, error: *}>}
+   */
+  flattenCauses ({ order = 'depth' } = {}) {
+    return flattenCauses(this, { order })
+  }
 }
 
 /**
@@ -261,6 +1527,28 @@ function _determineCodeAndName ({ code, name }) {
   return { code, name }
 }
 
+/**
+ * Throws if the given metadata of an error class definition is invalid; see {@link defineErrorClass}.
+ * @param {object} arg0 The argument to be deconstructed.
+ * @param {object} [arg0.http] The HTTP metadata.
+ * @param {object} [arg0.grpc] The gRPC metadata.
+ * @param {boolean} [arg0.retryable] Whether instances can be retried.
+ * @param {boolean} [arg0.transient] Whether instances are caused by temporary conditions.
+ * @param {string} [arg0.severity] The severity of instances.
+ * @private
+ */
+function _checkDefinition ({ http, grpc, retryable, transient, severity }) {
+  const status = http?.status
+  if (status !== undefined && !(Number.isInteger(status) && status >= 100 && status <= 599)) throw new Error(`http.status must be an integer from 100 to 599; got ${status}`)
+
+  if (grpc?.status !== undefined && toGrpcStatusCode(grpc.status) === GRPC_STATUS.OK) throw new Error('grpc.status must not be OK')
+
+  const traits = { retryable, transient, severity }
+  Object.keys(traits).forEach(it => {
+    if (traits[it] !== undefined) CodedError._checkTrait(it, traits[it])
+  })
+}
+
 /**
  * Defines a new error class.
  *
@@ -272,12 +1560,44 @@ function _determineCodeAndName ({ code, name }) {
  * This argument must be present if `arg0.name` is missing.
  * For example, passing the code `E_SOMETHING_WICKED` causes the `name` to be `SomethingWickedError`.
  * @param {*} [arg0.supererror] An optional superclass previously returned by this function.
+ * @param {string} [arg0.description] An optional description of when instances of this class are thrown, for documentation.
+ * @param {object} [arg0.messages] Optional message templates keyed by locale, like `{ en: 'Argument {{info.name}} is invalid' }`, which are registered with {@link messageCatalog}.
+ * When an instance is constructed without a message, the template for the default locale, if any, interpolated with the instance's `code`, `name` & `info`, is used; see {@link CodedError#localize}.
+ * @param {object} [arg0.http] Optional HTTP metadata, which is merged over that of `supererror`, if any, and used by {@link CodedError#toProblem}.
+ * @param {number} [arg0.http.status] The HTTP status code.
+ * @param {string} [arg0.http.title] The title of the problem type.
+ * @param {string} [arg0.http.type] A URI reference identifying the problem type.
+ * @param {object} [arg0.grpc] Optional gRPC metadata, which is merged over that of `supererror`, if any, and used by {@link CodedError#toGrpcStatus}.
+ * @param {string|number} [arg0.grpc.status] The gRPC status code, by name, like `'INVALID_ARGUMENT'`, or by number.
+ * @param {string} [arg0.grpc.domain] The `domain` of the `google.rpc.ErrorInfo` detail.
+ * @param {object} [arg0.fingerprint] Optional fingerprint hooks, which are merged over those of `supererror`, if any, and used by {@link CodedError#fingerprint}.
+ * @param {string[]|function} [arg0.fingerprint.info] The dotted paths of the `info` values that matter for grouping, like `['method']`, or a function returning a value that matters, given the `info` & the error.
+ * @param {function|object} [arg0.composeMessage] An optional message composer, or the options of one, used to compose the `message` of instances from their code, raw message & causes; see {@link createMessageComposer}.
+ * If not given, that of `supererror`, if any, else the default, is used; see {@link setDefaultMessageComposer}.
+ * @param {boolean} [arg0.retryable] Whether the operations that fail with instances of this class can be retried, which, if not given, is that of `supererror`, if any, else `false`; see {@link retry}.
+ * @param {boolean} [arg0.transient] Whether instances of this class are caused by temporary conditions, like timeouts, which, if not given, is that of `supererror`, if any, else `false`; see {@link retry}.
+ * @param {string} [arg0.severity] The severity of instances of this class, which is one of {@link CodedError.SEVERITIES} &, if not given, is that of `supererror`, if any, else `'error'`.
+ * @param {boolean} [arg0.register=true] Whether to register the class with {@link registry}, which holds it until it's unregistered, and which rehydration by code, matching across copies & realms, and `defineErrors` rely on; give `false` for classes defined dynamically, like per test, that needn't be found by code.
+ * @return {Function} The new class, which is also registered with {@link registry}, unless `register` is `false`.
  */
 const defineErrorClass = ({
   code,
   name,
-  supererror
+  supererror,
+  description,
+  messages,
+  http,
+  grpc,
+  fingerprint,
+  composeMessage,
+  retryable,
+  transient,
+  severity,
+  register = true
 }) => {
+  _checkDefinition({ http, grpc, retryable, transient, severity })
+  if (grpc?.status !== undefined) grpc = { ...grpc, status: toGrpcStatusCode(grpc.status) }
+
   const codename = _determineCodeAndName({ code, name })
   code = codename.code
   name = codename.name
@@ -287,31 +1607,54 @@ const defineErrorClass = ({
       /**
        * Constructs a new instance of this class.
        *
-       * @param {Object} [args0] The argument to be deconstructed.
+       * @param {Object|string} [args0] The argument to be deconstructed, or, if a `string`, the message, in which case the native `Error` options are given as the second argument.
        * @param {Error} [args0.cause] An optional cause of this error.
        * @param {string} [args0.message] An optional message.
        * If both `message` and `msg` are provided, `message` takes precedence.
+       * If neither is provided, the message template for this class, if any, is used.
        * @param {string} [args0.msg] Deprecated; use `message`.
        * If both `message` and `msg` are provided, `message` takes precedence.
        * @param {*} [args0.info] An optional value of any kind.
+       * @param {boolean} [args0.retryable] Overrides whether the operation that failed with this error can be retried.
+       * @param {boolean} [args0.transient] Overrides whether this error is caused by a temporary condition.
+       * @param {string} [args0.severity] Overrides the severity of this error.
        * @param {string} [args0._n] An optional name for instances of this class; defaults to {@param _c}.
        * @param {string} [args0._c] An optional code for instances of this class; defaults to the code value when the class was defined.
+       * @param {Object} [options] If `args0` is a `string`, the argument to be deconstructed, like the options of the native `Error` constructor.
+       * @param {Error} [options.cause] An optional cause of this error.
+       * @param {*} [options.info] An optional value of any kind.
+       * @param {boolean} [options.retryable] Overrides whether the operation that failed with this error can be retried.
+       * @param {boolean} [options.transient] Overrides whether this error is caused by a temporary condition.
+       * @param {string} [options.severity] Overrides the severity of this error.
        */
       constructor ({
         cause,
         message,
         info,
+        retryable,
+        transient,
+        severity,
         _n,
         _c,
         msg
       } = {}) {
-        if (typeof arguments[0] === 'string') message = arguments[0]
+        if (typeof arguments[0] === 'string') {
+          message = arguments[0]
+          const options = arguments[1] || {}
+          cause = options.cause
+          info = options.info
+          retryable = options.retryable
+          transient = options.transient
+          severity = options.severity
+        }
         if (!message) message = msg
 
         _c = _c || code
         _n = _n || name || _c
-        super({ cause, message, info, _c, _n })
-        this.message = CodedError._message({ code: _c, message, cause })
+        if (!message) message = messageCatalog.format([_c].concat(CodedError._codeLineage(new.target.prototype)), { code: _c, name: _n, info })
+        super({ cause, message, info, retryable, transient, severity, _c, _n })
+        this.rawMessage = message
+        this.message = CodedError._message({ code: _c, message, cause, composer: new.target.MESSAGE_COMPOSER })
       }
     }
   }[name] // causes name of class to be value of name
@@ -323,9 +1666,131 @@ const defineErrorClass = ({
    */
   C.CODE = code
 
-  C.subclass = ({ code, name }) => defineErrorClass({ code, name, supererror: C })
+  /**
+   * The description of the class, if any.
+   *
+   * @type {string|undefined}
+   */
+  C.DESCRIPTION = description
+
+  /**
+   * The HTTP metadata of the class.
+   *
+   * @type {object}
+   */
+  C.HTTP = Object.freeze({ ...(supererror || CodedError).HTTP, ...http })
+
+  /**
+   * The gRPC metadata of the class.
+   *
+   * @type {object}
+   */
+  C.GRPC = Object.freeze({ ...(supererror || CodedError).GRPC, ...grpc })
+
+  /**
+   * The fingerprint hooks of the class.
+   *
+   * @type {object}
+   */
+  C.FINGERPRINT = Object.freeze({ ...(supererror || CodedError).FINGERPRINT, ...fingerprint })
+
+  /**
+   * The message composer of the class, or `undefined` to use the default.
+   *
+   * @type {function|undefined}
+   */
+  C.MESSAGE_COMPOSER = composeMessage === undefined ? (supererror || CodedError).MESSAGE_COMPOSER : toMessageComposer(composeMessage)
+
+  /**
+   * Whether the operations that fail with instances of the class can be retried.
+   *
+   * @type {boolean}
+   */
+  C.RETRYABLE = retryable === undefined ? (supererror || CodedError).RETRYABLE : retryable
+
+  /**
+   * Whether instances of the class are caused by temporary conditions.
+   *
+   * @type {boolean}
+   */
+  C.TRANSIENT = transient === undefined ? (supererror || CodedError).TRANSIENT : transient
+
+  /**
+   * The severity of instances of the class.
+   *
+   * @type {string}
+   */
+  C.SEVERITY = severity === undefined ? (supererror || CodedError).SEVERITY : severity
+
+  /**
+   * Defines a subclass of this class; see {@link defineErrorClass}.
+   *
+   * @param {object} arg0 The argument to be deconstructed, without `supererror`.
+   * @return {Function} The new class.
+   */
+  C.subclass = ({ code, name, description, messages, http, grpc, fingerprint, composeMessage, retryable, transient, severity, register }) => defineErrorClass({ code, name, description, messages, http, grpc, fingerprint, composeMessage, retryable, transient, severity, register, supererror: C })
+
+  if (register) registry.register(C, { supererror })
+
+  if (messages) Object.keys(messages).forEach(locale => messageCatalog.register(locale, { [code]: messages[locale] }))
 
   return C
 }
 
+// make CodedError's public static members available on this function
+;[
+  'PROBLEM_CONTENT_TYPE',
+  'SEVERITIES',
+  'fromObject',
+  'fromJson',
+  'walkCauses',
+  'causes',
+  'findCause',
+  'hasCause',
+  'rootCauses',
+  'flattenCauses',
+  'fingerprint',
+  'format',
+  'ownMessage',
+  'toObject',
+  'toProblem',
+  'toGrpcStatus',
+  'fromGrpcStatus',
+  'MASKED_GRAPHQL_ERROR',
+  'toGraphQLError'
+].forEach(it => { defineErrorClass[it] = CodedError[it] })
+
+/**
+ * Derives a code & name if necessary from the given code & name; see {@link defineErrorClass}.
+ * @type {function}
+ * @private
+ */
+defineErrorClass._determineCodeAndName = _determineCodeAndName
+
+/**
+ * Returns whether the given value is a {@link CodedError}, including those from other copies of this module & other realms; see {@link CodedError._isCodedError}.
+ * @type {function}
+ * @private
+ */
+defineErrorClass._isCodedError = CodedError._isCodedError
+
+/**
+ * Throws if the given metadata of an error class definition is invalid; see {@link defineErrorClass}.
+ * @type {function}
+ * @private
+ */
+defineErrorClass._checkDefinition = _checkDefinition
+
+/**
+ * The catalog of message templates used by classes defined by this function.
+ * @type {MessageCatalog}
+ */
+defineErrorClass.messageCatalog = messageCatalog
+
+/**
+ * The registry of all classes defined by this function.
+ * @type {ErrorClassRegistry}
+ */
+defineErrorClass.registry = registry
+
 module.exports = defineErrorClass
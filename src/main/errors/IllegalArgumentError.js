@@ -7,6 +7,12 @@ const CodedError = require('./CodedError')
  * @typedef {object} IllegalArgumentError
  * @extends CodedError
  */
-const E = CodedError({ name: 'IllegalArgumentError' })
+const E = CodedError({
+  name: 'IllegalArgumentError',
+  messages: { en: 'Argument {{info.name|(unnamed)}} is illegal' },
+  http: { status: 400 },
+  grpc: { status: 'INVALID_ARGUMENT' },
+  fingerprint: { info: ['name'] }
+})
 
 module.exports = E
@@ -7,6 +7,9 @@ const IllegalArgumentError = require('./IllegalArgumentError')
  * @typedef {object} IllegalArgumentTypeError
  * @extends IllegalArgumentError
  */
-const E = IllegalArgumentError.subclass({ name: 'IllegalArgumentTypeError' })
+const E = IllegalArgumentError.subclass({
+  name: 'IllegalArgumentTypeError',
+  messages: { en: 'Argument {{info.name|(unnamed)}} is of an illegal type' }
+})
 
 module.exports = E
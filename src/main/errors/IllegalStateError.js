@@ -7,6 +7,10 @@ const CodedError = require('./CodedError')
  * @typedef {object} IllegalStateError
  * @extends CodedError
  */
-const E = CodedError({ name: 'IllegalStateError' })
+const E = CodedError({
+  name: 'IllegalStateError',
+  messages: { en: 'Illegal state' },
+  grpc: { status: 'FAILED_PRECONDITION' }
+})
 
 module.exports = E
@@ -8,6 +8,12 @@ const CodedError = require('./CodedError')
  * @typedef {object} MethodNotImplementedError
  * @extends CodedError
  */
-const E = CodedError({ name: 'MethodNotImplementedError' })
+const E = CodedError({
+  name: 'MethodNotImplementedError',
+  messages: { en: 'Method {{info.method|(unnamed)}} is not implemented' },
+  http: { status: 501 },
+  grpc: { status: 'UNIMPLEMENTED' },
+  fingerprint: { info: ['method'] }
+})
 
 module.exports = E
@@ -7,6 +7,9 @@ const IllegalArgumentError = require('./IllegalArgumentError')
  * @typedef {object} MissingRequiredArgumentError
  * @extends IllegalArgumentError
  */
-const E = IllegalArgumentError.subclass({ name: 'MissingRequiredArgumentError' })
+const E = IllegalArgumentError.subclass({
+  name: 'MissingRequiredArgumentError',
+  messages: { en: 'Required argument {{info.name|(unnamed)}} is missing' }
+})
 
 module.exports = E
@@ -8,6 +8,10 @@ const CodedError = require('./CodedError')
  * @typedef {object} NotInitializedError
  * @extends CodedError
  */
-const E = CodedError({ name: 'NotInitializedError' })
+const E = CodedError({
+  name: 'NotInitializedError',
+  messages: { en: 'Not initialized' },
+  grpc: { status: 'FAILED_PRECONDITION' }
+})
 
 module.exports = E
@@ -0,0 +1,17 @@
+'use strict'
+
+const CodedError = require('./CodedError')
+
+/**
+ * Error class indicating that an operation was given up on after one or more attempts, whose `cause` is the array of the attempts' errors.
+ * Its `info` is like `{ attempts, reason }`, where `reason` is `exhausted`, `not_retryable` or `aborted`.
+ * @typedef {object} RetryFailedError
+ * @extends CodedError
+ */
+const E = CodedError({
+  name: 'RetryFailedError',
+  messages: { en: 'Gave up after {{info.attempts}} attempt(s)' },
+  grpc: { status: 'UNAVAILABLE' }
+})
+
+module.exports = E
@@ -0,0 +1,16 @@
+'use strict'
+
+const CodedError = require('./CodedError')
+
+/**
+ * Error class indicating that something unexpected was thrown, which is usually given as this error's `cause`.
+ * @typedef {object} UnexpectedError
+ * @extends CodedError
+ */
+const E = CodedError({
+  name: 'UnexpectedError',
+  messages: { en: 'An unexpected error occurred' },
+  grpc: { status: 'INTERNAL' }
+})
+
+module.exports = E
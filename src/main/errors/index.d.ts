@@ -0,0 +1,558 @@
+import { CauseEntry, TraversalOptions } from '../cause-utils'
+import { FingerprintOptions } from '../fingerprint'
+import { GrpcStatusName, ERROR_INFO_TYPE } from '../grpc'
+import { MessageCatalog, MessageComposer, MessageComposerOptions } from '../messages'
+import { Redacting } from '../redaction'
+import { ErrorClassRegistry } from '../registry'
+import { RenderOptions } from '../render'
+import { StackFrame, StackFramesOptions } from '../stack'
+
+/**
+ * Converts the given camel case to upper case snake, like `toUpperSnake`.
+ */
+type _UpperSnake<S extends string, A extends string = ''> = S extends `${infer C}${infer R}`
+  ? _UpperSnake<R, `${A}${C extends Lowercase<C> ? Uppercase<C> : `_${C}`}`>
+  : A
+
+/**
+ * Converts the given upper case snake to leading upper camel case, like `toUpperCamel`.
+ */
+type _UpperCamel<S extends string, A extends string = ''> = S extends `${infer H}_${infer T}`
+  ? _UpperCamel<T, `${A}${Capitalize<Lowercase<H>>}`>
+  : `${A}${Capitalize<Lowercase<S>>}`
+
+/**
+ * The code derived from the given name, like `E_SOMETHING_WICKED` from `SomethingWickedError`.
+ */
+export type CodeOfName<Name extends string> = string extends Name
+  ? string
+  : `E_${_UpperSnake<Uncapitalize<Name>>}` extends `${infer P}_ERROR` ? P : `E_${_UpperSnake<Uncapitalize<Name>>}`
+
+/**
+ * The name derived from the given code, like `SomethingWickedError` from `E_SOMETHING_WICKED`.
+ */
+export type NameOfCode<Code extends string> = string extends Code
+  ? string
+  : _UpperCamel<Code extends `E_${infer C}` ? C : Code> extends infer N extends string
+    ? N extends `${string}Error` ? N : `${N}Error`
+    : never
+
+/**
+ * The code of a class defined with the given code, if any, else with the given name.
+ */
+type _Code<Code extends string, Name extends string> = [Code] extends [never]
+  ? [Name] extends [never] ? string : CodeOfName<Name>
+  : Code
+
+/**
+ * A value that serialization can omit, like those of omitted properties.
+ */
+export type Omitting = string | string[] | boolean
+
+/**
+ * The options bounding the size of serialized errors.
+ */
+export interface SerializationOptions {
+  /** The property names to omit recursively; if a `boolean`, whether to omit `stack`. */
+  omitting?: Omitting
+  /** The maximum depth of nested objects & arrays. */
+  maxDepth?: number
+  /** The maximum number of elements of each array. */
+  maxArrayLength?: number
+  /** The maximum length of each string. */
+  maxStringLength?: number
+  /** The approximate maximum size, in characters, of the JSON representation of the result. */
+  maxSize?: number
+  /** The redaction policy, or `false` to redact nothing. */
+  redacting?: Redacting
+}
+
+export interface FramesOptions extends StackFramesOptions {
+  /** The maximum number of frames of each error. */
+  maxFrames?: number
+}
+
+export interface ToObjectOptions extends SerializationOptions {
+  /** Whether to include the structured stack frames of each error, or the options for them. */
+  frames?: boolean | FramesOptions
+}
+
+export interface ToJsonOptions extends ToObjectOptions {
+  /** The `JSON.stringify` replacer function. */
+  replacer?: (this: any, key: string, value: any) => any
+  /** The number of spaces to use for indentation. */
+  spaces?: number | string
+}
+
+export interface ProblemOptions extends SerializationOptions {
+  /** A URI reference identifying the occurrence of the problem. */
+  instance?: string
+  /** Whether to include the cause chain. */
+  causes?: boolean
+}
+
+export interface GrpcStatusOptions extends SerializationOptions {
+  /** Whether to include the cause chain. */
+  causes?: boolean
+}
+
+export interface GraphQLErrorOptions extends SerializationOptions {
+  /** The locations in the GraphQL document of the error. */
+  locations?: Array<{ line: number, column: number }>
+  /** The path of the field in the response that caused the error. */
+  path?: Array<string | number>
+  /** Whether to include the cause chain. */
+  causes?: boolean
+}
+
+/**
+ * The plain object representation of an error returned by `toObject`.
+ */
+export interface ErrorObject<Code extends string = string> {
+  name: string
+  code: Code
+  message: string
+  rawMessage?: string | null
+  /** The `info` as serialized, so not necessarily of the error's `info` type. */
+  info?: unknown
+  cause?: unknown
+  stack?: string | null
+  frames?: Array<StackFrame | object> | null
+  [key: string]: unknown
+}
+
+/**
+ * An [RFC 7807](https://tools.ietf.org/html/rfc7807) `application/problem+json` object.
+ */
+export interface Problem<Code extends string = string> {
+  type: string
+  title: string
+  status: number
+  instance?: string
+  detail?: string
+  code?: Code
+  info?: unknown
+  cause?: unknown
+}
+
+/**
+ * A `google.rpc.ErrorInfo` detail.
+ */
+export interface GrpcErrorInfo {
+  '@type': typeof ERROR_INFO_TYPE
+  reason: string
+  domain?: string
+  metadata: Record<string, string>
+}
+
+/**
+ * A `google.rpc.Status`-shaped object.
+ */
+export interface GrpcStatus {
+  code: number
+  message?: string
+  details?: unknown[]
+}
+
+/**
+ * A plain GraphQL error object.
+ */
+export interface GraphQLErrorObject {
+  message: string
+  locations?: Array<{ line: number, column: number }>
+  path?: Array<string | number>
+  extensions: {
+    code: string
+    name?: string
+    info?: unknown
+    cause?: unknown
+    [key: string]: unknown
+  }
+}
+
+/**
+ * HTTP metadata of an error class.
+ */
+export interface HttpMetadata {
+  /** The HTTP status code. */
+  status?: number
+  /** The title of the problem type. */
+  title?: string
+  /** A URI reference identifying the problem type. */
+  type?: string
+}
+
+/**
+ * gRPC metadata of an error class.
+ */
+export interface GrpcMetadata {
+  /** The gRPC status code, by name or by number. */
+  status?: GrpcStatusName | number
+  /** The `domain` of the `google.rpc.ErrorInfo` detail. */
+  domain?: string
+}
+
+/**
+ * Fingerprint hooks of an error class.
+ */
+export interface FingerprintHooks<Info = unknown> {
+  /** The dotted paths of the `info` values that matter for grouping, or a function returning a value that matters. */
+  info?: string[] | ((info: Info, error: CodedError<string, Info>) => unknown)
+}
+
+/**
+ * A class, matched via `instanceof`, or a code, matched against a `code` property.
+ */
+export type CodedErrorMatcher = (abstract new (...args: any[]) => unknown) | AnyCodedErrorClass | string | number | symbol
+
+/**
+ * What the given matcher matches.
+ */
+export type Matched<M> = M extends { prototype: infer P } ? P : unknown
+
+/**
+ * The severity of an error, from least to most severe.
+ */
+export type Severity = 'debug' | 'info' | 'warning' | 'error' | 'critical'
+
+/**
+ * The traits of an error that can be overridden per instance.
+ */
+export interface Traits {
+  /** Whether the operation that failed with the error can be retried. */
+  retryable?: boolean
+  /** Whether the error is caused by a temporary condition, like a timeout. */
+  transient?: boolean
+  /** The severity of the error. */
+  severity?: Severity
+}
+
+/**
+ * An instance of a class defined by the class factory, whose `code` & `info` are typed.
+ */
+export interface CodedError<Code extends string = string, Info = unknown> extends Error {
+  name: string
+  code: Code
+  info: Info
+  cause: unknown
+  /** The message without the code & the causes' messages, or `null` if unknown. */
+  rawMessage: string | null
+  /** Whether the operation that failed with this error can be retried, which is the class's `RETRYABLE` unless overridden. */
+  retryable: boolean
+  /** Whether this error is caused by a temporary condition, which is the class's `TRANSIENT` unless overridden. */
+  transient: boolean
+  /** The severity of this error, which is the class's `SEVERITY` unless overridden. */
+  severity: Severity
+
+  /**
+   * Returns this error as a plain object, with cycles replaced & its size bounded; if a `boolean`, whether to omit `stack`.
+   */
+  toObject (options?: ToObjectOptions | boolean): ErrorObject<Code>
+
+  /**
+   * Returns this error as JSON, falling back to a minimal representation if `JSON.stringify` throws.
+   */
+  toJson (options?: ToJsonOptions): string
+
+  /**
+   * Returns this error's message template for the given locale, interpolated, or, if there is none, its `message`.
+   */
+  localize (locale?: string): string
+
+  /**
+   * Returns an RFC 7807 problem object representing this error.
+   */
+  toProblem (options?: ProblemOptions): Problem<Code>
+
+  /**
+   * Returns a `google.rpc.Status`-shaped object representing this error.
+   */
+  toGrpcStatus (options?: GrpcStatusOptions): Required<GrpcStatus> & { details: [GrpcErrorInfo] }
+
+  /**
+   * Returns a plain GraphQL error object representing this error.
+   */
+  toGraphQLError (options?: GraphQLErrorOptions): GraphQLErrorObject
+
+  /**
+   * Returns a fingerprint of this error for deduplicating & grouping errors.
+   */
+  fingerprint (options?: FingerprintOptions): string
+
+  /**
+   * Renders this error & its tree of causes as multiple, human-readable lines.
+   */
+  format (options?: RenderOptions): string
+
+  /**
+   * Returns an iterator over this error's causes.
+   */
+  causes (options?: TraversalOptions): IterableIterator<unknown>
+
+  /**
+   * Returns the first of this error's causes that matches the given code or class, if any.
+   */
+  findCause<M extends CodedErrorMatcher> (codeOrClass: M, options?: TraversalOptions): Matched<M> | undefined
+
+  /**
+   * Returns whether any of this error's causes matches the given code or class.
+   */
+  hasCause (codeOrClass: CodedErrorMatcher): boolean
+
+  /**
+   * Returns this error's causes that have no causes of their own.
+   */
+  rootCauses (): unknown[]
+
+  /**
+   * Returns entries for all of this error's causes.
+   */
+  flattenCauses (options?: TraversalOptions): CauseEntry[]
+}
+
+/**
+ * The options of the constructor of a class defined by the class factory.
+ */
+export interface CodedErrorOptions<Info = unknown> extends Traits {
+  /** An optional cause or array of causes. */
+  cause?: unknown
+  /** An optional message; if not given, the class's message template, if any, is used. */
+  message?: string
+  /** Deprecated; use `message`. */
+  msg?: string
+  /** Contextual information. */
+  info?: Info
+}
+
+/**
+ * The arguments of the constructor of a class defined by the class factory, which require `info` unless its type allows `undefined`.
+ */
+export type CodedErrorArgs<Info> = undefined extends Info
+  ? [options?: CodedErrorOptions<Info>] | [message: string, options?: Pick<CodedErrorOptions<Info>, 'cause' | 'info' | keyof Traits>]
+  : [options: CodedErrorOptions<Info> & { info: Info }] | [message: string, options: Pick<CodedErrorOptions<Info>, 'cause' | keyof Traits> & { info: Info }]
+
+/**
+ * The static members of `CodedError` that the class factory also has.
+ */
+export interface CodedErrorStatics {
+  /** The content type of problem objects. */
+  readonly PROBLEM_CONTENT_TYPE: 'application/problem+json'
+  /** The severities of errors, from least to most severe. */
+  readonly SEVERITIES: readonly Severity[]
+  /** The GraphQL error returned by `toGraphQLError` for values that aren't `CodedError`s. */
+  readonly MASKED_GRAPHQL_ERROR: Readonly<{ message: string, extensions: Readonly<{ code: 'INTERNAL_SERVER_ERROR' }> }>
+
+  /**
+   * Rehydrates an error chain from the plain object representation returned by `toObject`.
+   */
+  fromObject (object: unknown, options?: { classes?: AnyCodedErrorClass[] }): unknown
+
+  /**
+   * Rehydrates an error chain from the JSON returned by `toJson`.
+   */
+  fromJson (json: string, options?: { classes?: AnyCodedErrorClass[] }): unknown
+
+  /**
+   * Rehydrates an error chain from the `google.rpc.Status`-shaped object returned by `toGrpcStatus`.
+   */
+  fromGrpcStatus (status: GrpcStatus, options?: { classes?: AnyCodedErrorClass[] }): unknown
+
+  walkCauses: typeof import('../cause-utils').walkCauses
+  causes: typeof import('../cause-utils').causes
+  findCause: typeof import('../cause-utils').findCause
+  hasCause: typeof import('../cause-utils').hasCause
+  rootCauses: typeof import('../cause-utils').rootCauses
+  flattenCauses: typeof import('../cause-utils').flattenCauses
+  fingerprint: typeof import('../fingerprint').fingerprint
+  format: typeof import('../render').renderError
+
+  /**
+   * Returns the own message of the given error, excluding the leading code & the trailing messages of its causes.
+   */
+  ownMessage (error: unknown): string | undefined
+
+  /**
+   * Returns the given value as a plain object, as `toObject` does, even if it isn't a `CodedError`.
+   */
+  toObject (value: unknown, options?: ToObjectOptions): unknown
+
+  /**
+   * Returns an RFC 7807 problem object representing the given error, or a generic one if it isn't a `CodedError`.
+   */
+  toProblem (error: unknown, options?: ProblemOptions): Problem
+
+  /**
+   * Returns a `google.rpc.Status`-shaped object representing the given error, or a generic one if it isn't a `CodedError`.
+   */
+  toGrpcStatus (error: unknown, options?: GrpcStatusOptions): GrpcStatus
+
+  /**
+   * Returns a plain GraphQL error object representing the given error, masked if it isn't a `CodedError`, unless `masking` is `false`.
+   */
+  toGraphQLError (error: unknown, options?: GraphQLErrorOptions & { masking?: boolean }): GraphQLErrorObject
+}
+
+/**
+ * The options of the class factory, & of `subclass`, which define a class.
+ */
+export interface ErrorClassOptions<Code extends string = string, Name extends string = string, Info = unknown> {
+  /** The code; if missing, it's derived from `name`. */
+  code?: [Code] extends [never] ? string : Code
+  /** The name; if missing, it's derived from `code`. */
+  name?: [Name] extends [never] ? string : Name
+  /** A description of when instances are thrown, for documentation. */
+  description?: string
+  /** Message templates keyed by locale, like `{ en: 'Argument {{info.name}} is invalid' }`. */
+  messages?: Record<string, string>
+  /** HTTP metadata, merged over that of the supererror. */
+  http?: HttpMetadata
+  /** gRPC metadata, merged over that of the supererror. */
+  grpc?: GrpcMetadata
+  /** Fingerprint hooks, merged over those of the supererror. */
+  fingerprint?: FingerprintHooks<Info>
+  /** The message composer, or its options. */
+  composeMessage?: MessageComposer | MessageComposerOptions
+  /** Whether the operations that fail with instances can be retried; if missing, that of the supererror. */
+  retryable?: boolean
+  /** Whether instances are caused by temporary conditions; if missing, that of the supererror. */
+  transient?: boolean
+  /** The severity of instances; if missing, that of the supererror. */
+  severity?: Severity
+  /** Whether to register the class with the registry; defaults to `true`. */
+  register?: boolean
+}
+
+/**
+ * A class defined by the class factory, whose instances have the given `code` & `info` types.
+ * Constructing one gives exactly those types, whereas narrowing via `instanceof` or `is` gives a `string` code, because instances of subclasses are also matched.
+ */
+export interface CodedErrorClass<Code extends string = string, Info = unknown> extends CodedErrorStatics {
+  new (...args: CodedErrorArgs<Info>): CodedError<Code, Info>
+  readonly prototype: CodedError<string, Info>
+  readonly name: string
+
+  /** The code of instances of this class. */
+  readonly CODE: Code
+  /** The description of this class, if any. */
+  readonly DESCRIPTION: string | undefined
+  /** The HTTP metadata of this class. */
+  readonly HTTP: Readonly<HttpMetadata & { status: number }>
+  /** The gRPC metadata of this class. */
+  readonly GRPC: Readonly<{ status: number, domain?: string }>
+  /** The fingerprint hooks of this class. */
+  readonly FINGERPRINT: Readonly<FingerprintHooks<Info>>
+  /** Whether the operations that fail with instances of this class can be retried. */
+  readonly RETRYABLE: boolean
+  /** Whether instances of this class are caused by temporary conditions. */
+  readonly TRANSIENT: boolean
+  /** The severity of instances of this class. */
+  readonly SEVERITY: Severity
+  /** The message composer of this class, or `undefined` to use the default. */
+  readonly MESSAGE_COMPOSER: MessageComposer | undefined
+  readonly NO_CODE: string
+  readonly NO_MESSAGE: string
+  readonly OMISSION: null
+
+  /**
+   * Returns whether the given value is an instance of this class, including across copies of this library & realms, and plain objects with its code lineage.
+   */
+  is (value: unknown): value is CodedError<string, Info>
+
+  [Symbol.hasInstance] (value: unknown): value is CodedError<string, Info>
+
+  /**
+   * Defines a subclass of this class, whose `info` type defaults to this class's.
+   * Give the code & `info` type as type arguments to declare them, like `.subclass<'E_BAD', { id: string }>({ code: 'E_BAD' })`.
+   */
+  subclass<SubCode extends string = never, SubInfo extends Info = Info, SubName extends string = never> (options: ErrorClassOptions<SubCode, SubName, SubInfo>): CodedErrorClass<_Code<SubCode, SubName>, SubInfo>
+}
+
+/**
+ * Any class defined by the class factory.
+ */
+export type AnyCodedErrorClass = CodedErrorClass<string, any>
+
+/**
+ * The `info` type of the given class.
+ */
+export type InfoOf<C> = C extends CodedErrorClass<any, infer Info> ? Info : unknown
+
+/**
+ * The class factory, which also has the static members of `CodedError`.
+ */
+export interface CodedErrorFactory extends CodedErrorStatics {
+  /**
+   * Defines a subclass of the given supererror, whose `info` type defaults to the supererror's.
+   */
+  <S extends AnyCodedErrorClass, Code extends string = never, Info extends InfoOf<S> = InfoOf<S>, Name extends string = never> (options: ErrorClassOptions<Code, Name, Info> & { supererror: S }): CodedErrorClass<_Code<Code, Name>, Info>
+
+  /**
+   * Defines a new error class, whose `CODE` is a string literal type.
+   * Give the code & `info` type as type arguments to declare them, like `CodedError<'E_BAD', { id: string }>({ code: 'E_BAD' })`.
+   */
+  <Code extends string = never, Info = unknown, Name extends string = never> (options: ErrorClassOptions<Code, Name, Info> & { supererror?: undefined }): CodedErrorClass<_Code<Code, Name>, Info>
+
+  /** The catalog of message templates used by classes defined by this function. */
+  readonly messageCatalog: MessageCatalog
+  /** The registry of all classes defined by this function. */
+  readonly registry: ErrorClassRegistry
+}
+
+/**
+ * The class factory.
+ */
+export declare const CodedError: CodedErrorFactory
+
+/**
+ * The `info` of errors about arguments, like `{ name, expected, actual }`.
+ */
+export type ArgumentInfo = {
+  name?: string
+  expected?: unknown
+  actual?: unknown
+  [key: string]: unknown
+} | undefined
+
+/**
+ * The `info` of errors about state, like `{ name, expected, actual }`.
+ */
+export type StateInfo = {
+  name?: string
+  expected?: unknown
+  actual?: unknown
+  [key: string]: unknown
+} | undefined
+
+/**
+ * The `info` of errors about classes & their methods.
+ */
+export type ClassInfo = {
+  class?: string
+  subclass?: string
+  method?: string
+  methods?: string[]
+  [key: string]: unknown
+} | undefined
+
+/**
+ * The `info` of errors about giving up on retrying.
+ */
+export interface RetryInfo {
+  /** The number of attempts. */
+  attempts: number
+  /** Why retrying was given up on. */
+  reason: 'exhausted' | 'not_retryable' | 'aborted'
+}
+
+export declare const AlreadyInitializedError: CodedErrorClass<'E_ALREADY_INITIALIZED', StateInfo>
+export declare const ClassNotExtendableError: CodedErrorClass<'E_ILLEGAL_STATE', StateInfo & ClassInfo>
+export declare const IllegalArgumentError: CodedErrorClass<'E_ILLEGAL_ARGUMENT', ArgumentInfo>
+export declare const IllegalArgumentTypeError: CodedErrorClass<'E_ILLEGAL_ARGUMENT_TYPE', ArgumentInfo>
+export declare const IllegalStateError: CodedErrorClass<'E_ILLEGAL_STATE', StateInfo>
+export declare const MethodNotImplementedError: CodedErrorClass<'E_METHOD_NOT_IMPLEMENTED', ClassInfo>
+export declare const MissingRequiredArgumentError: CodedErrorClass<'E_MISSING_REQUIRED_ARGUMENT', ArgumentInfo>
+export declare const NotInitializedError: CodedErrorClass<'E_NOT_INITIALIZED', StateInfo>
+export declare const RetryFailedError: CodedErrorClass<'E_RETRY_FAILED', RetryInfo>
+export declare const UnexpectedError: CodedErrorClass<'E_UNEXPECTED', unknown>
+
+export {}
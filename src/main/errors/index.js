@@ -12,5 +12,7 @@ module.exports = {
   IllegalStateError: require('./IllegalStateError'),
   MethodNotImplementedError: require('./MethodNotImplementedError'),
   MissingRequiredArgumentError: require('./MissingRequiredArgumentError'),
-  NotInitializedError: require('./NotInitializedError')
+  NotInitializedError: require('./NotInitializedError'),
+  RetryFailedError: require('./RetryFailedError'),
+  UnexpectedError: require('./UnexpectedError')
 }
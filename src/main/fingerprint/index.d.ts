@@ -0,0 +1,18 @@
+export interface FingerprintOptions {
+  /** The number of top in-app stack frames to include. */
+  frames?: number
+  /** Whether to include the frames' line numbers. */
+  lines?: boolean
+  /** Whether to include the fingerprints of the cause chain. */
+  causes?: boolean
+}
+
+/**
+ * Returns the given message with its volatile parts, which are quoted values, UUIDs, hexadecimal values & numbers, replaced with placeholders like `<num>`.
+ */
+export declare function normalizeMessage (message: unknown): string
+
+/**
+ * Returns a fingerprint of the given error for deduplicating & grouping errors, as a hexadecimal string.
+ */
+export declare function fingerprint (error: unknown, options?: FingerprintOptions): string
@@ -0,0 +1,177 @@
+'use strict'
+
+const crypto = require('crypto')
+const path = require('path')
+const { fileURLToPath } = require('url')
+const { immediateCauses } = require('../cause-utils')
+const { stackFrames } = require('../stack')
+
+/**
+ * The volatile parts of messages & their replacements, in the order in which they're replaced.
+ * @type {Array<Array<RegExp|string>>}
+ * @private
+ */
+const VOLATILES = [
+  [/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`/g, '<str>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b0x[0-9a-f]+\b|\b(?=[0-9a-f]*\d)[0-9a-f]{16,}\b/gi, '<hex>'],
+  [/[-+]?\d+(?:\.\d+)?(?:e[-+]?\d+)?/gi, '<num>']
+]
+
+/**
+ * Returns the given message with its volatile parts, which are quoted values, UUIDs, hexadecimal values & numbers, replaced with placeholders like `<num>`.
+ *
+ * @param {string} message The message.
+ * @return {string}
+ */
+const normalizeMessage = message => VOLATILES.reduce((accum, [pattern, replacement]) => accum.replace(pattern, replacement), String(message))
+
+/**
+ * Returns the given value as JSON with object keys sorted, so that equal values always give the same JSON.
+ * Cycles are replaced with `"[Circular]"`, and values that aren't JSON are replaced with their string representations.
+ *
+ * @param {*} value The value.
+ * @param {object[]} [ancestors=[]] The objects containing the value.
+ * @return {string}
+ * @private
+ */
+const _stableJson = (value, ancestors = []) => {
+  if (value === null || typeof value === 'boolean' || (typeof value === 'number' && isFinite(value))) return JSON.stringify(value)
+  if (typeof value !== 'object') return JSON.stringify(value === undefined ? null : String(value))
+  if (ancestors.includes(value)) return '"[Circular]"'
+
+  ancestors = ancestors.concat([value])
+  if (Array.isArray(value)) return `[${value.map(it => _stableJson(it, ancestors)).join(',')}]`
+
+  return `{${Object.keys(value).sort().map(it => `${JSON.stringify(it)}:${_stableJson(value[it], ancestors)}`).join(',')}}`
+}
+
+/**
+ * Returns the given stack frame file relative to the current working directory, with forward slashes, so that it's the same across machines.
+ *
+ * @param {string|null} file The file.
+ * @return {string|null}
+ * @private
+ */
+const _normalizeFile = file => {
+  if (!file) return file
+
+  if (file.startsWith('file://')) file = fileURLToPath(file)
+  if (path.isAbsolute(file)) file = path.relative(process.cwd(), file)
+
+  return file.split(path.sep).join('/')
+}
+
+/**
+ * Returns the names of the classes in the prototype chain of the given error, nearest first, up to & including `Error`.
+ *
+ * @param {*} error The error.
+ * @return {string[]}
+ * @private
+ */
+const _lineage = error => {
+  const names = []
+  for (let proto = Object.getPrototypeOf(error); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor
+    if (ctor) names.push(ctor.name)
+  }
+  return names
+}
+
+/**
+ * Returns the values of the given error's `info` that its class's fingerprint hook says matter for grouping.
+ *
+ * @param {*} error The error.
+ * @return {*}
+ * @private
+ */
+const _info = error => {
+  const hook = error.constructor?.FINGERPRINT?.info
+  if (!hook) return
+
+  const info = error.info
+  if (typeof hook === 'function') return hook(info, error)
+
+  return hook.reduce((accum, key) => {
+    accum[key] = key.split('.').reduce((value, it) => value === null || value === undefined ? undefined : value[it], info)
+    return accum
+  }, {})
+}
+
+/**
+ * Returns the parts of the given value that are hashed to fingerprint it.
+ *
+ * @param {*} error The value.
+ * @param {object} options The options; see {@link fingerprint}.
+ * @param {Set} seen The errors already fingerprinted, to prevent cycles.
+ * @return {object}
+ * @private
+ */
+const _parts = (error, options, seen) => {
+  if (error === null || typeof error !== 'object') return { value: normalizeMessage(typeof error === 'symbol' ? error.toString() : error) }
+  if (seen.has(error)) return { circular: true }
+
+  seen.add(error)
+  try {
+    const parts = {
+      code: error.code,
+      lineage: _lineage(error),
+      message: normalizeMessage(error.message),
+      frames: stackFrames(error)
+        .slice(0, options.frames)
+        .map(it => [it.fn, _normalizeFile(it.file)].concat(options.lines ? [it.line] : []))
+    }
+
+    const info = _info(error)
+    if (info !== undefined) parts.info = info
+
+    if (options.causes) parts.causes = immediateCauses(error).map(it => _fingerprint(it, options, seen))
+
+    return parts
+  } finally {
+    seen.delete(error)
+  }
+}
+
+/**
+ * Implements {@link fingerprint}.
+ *
+ * @param {*} error The value.
+ * @param {object} options The options; see {@link fingerprint}.
+ * @param {Set} seen The errors already being fingerprinted.
+ * @return {string}
+ * @private
+ */
+const _fingerprint = (error, options, seen) =>
+  crypto.createHash('sha256').update(_stableJson(_parts(error, options, seen))).digest('hex')
+
+/**
+ * Returns a fingerprint of the given error, which is the same for errors that happen on the same code path, for deduplicating & grouping them.
+ *
+ * The fingerprint is a SHA-256 hash of
+ * * the error's `code`,
+ * * the names of the classes in its prototype chain,
+ * * its `message`, with volatile parts like quoted values, UUIDs & numbers left out (see {@link normalizeMessage}),
+ * * the functions & files of the top in-app frames of its stack, which exclude frames in `node_modules`, Node.js's internals & this library, with files relative to the current working directory,
+ * * the values of any `info` keys that its class's fingerprint hook says matter (see the `fingerprint` option of the class factory), and
+ * * the fingerprints of its immediate causes.
+ *
+ * Values that aren't errors are fingerprinted by their normalized string representations.
+ *
+ * @param {*} error The error.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {number} [arg1.frames=3] The number of top in-app stack frames to include.
+ * @param {boolean} [arg1.lines=false] Whether to include the frames' line numbers, which makes fingerprints differ between throw sites in the same function, but also between versions of the code.
+ * @param {boolean} [arg1.causes=true] Whether to include the fingerprints of the cause chain.
+ * @return {string} The fingerprint, as a hexadecimal string.
+ */
+const fingerprint = (error, {
+  frames = 3,
+  lines = false,
+  causes = true
+} = {}) => _fingerprint(error, { frames, lines, causes }, new Set())
+
+module.exports = {
+  normalizeMessage,
+  fingerprint
+}
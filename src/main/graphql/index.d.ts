@@ -0,0 +1,11 @@
+import { GraphQLErrorObject, GraphQLErrorOptions } from '../errors'
+
+/**
+ * Returns a GraphQL server's error formatter, which takes the formatted error &/or the `GraphQLError`, and returns a plain GraphQL error object.
+ */
+export declare function graphQLErrorFormatter (options?: GraphQLErrorOptions & { masking?: boolean }): (formatted: unknown, error?: unknown) => GraphQLErrorObject
+
+/**
+ * A GraphQL server's error formatter with the default options.
+ */
+export declare const formatError: (formatted: unknown, error?: unknown) => GraphQLErrorObject
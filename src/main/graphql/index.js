@@ -0,0 +1,53 @@
+'use strict'
+
+const CodedError = require('../errors/CodedError')
+
+/**
+ * Returns the value originally thrown by a resolver, given the error reported by a GraphQL server, which usually wraps it in a `GraphQLError` with an `originalError`, possibly several times.
+ *
+ * @param {*} error The reported error.
+ * @return {*}
+ * @private
+ */
+const _originalError = error => {
+  const seen = new Set()
+  while (error?.originalError && !seen.has(error)) {
+    seen.add(error)
+    error = error.originalError
+  }
+
+  return error
+}
+
+/**
+ * Returns a function compatible with the `formatError` option of GraphQL servers, which formats errors via {@link CodedError.toGraphQLError}.
+ *
+ * The returned function can be called either with a `GraphQLError`, like graphql-js's `customFormatErrorFn`, or with an already formatted error followed by the `GraphQLError`, like Apollo Server's `formatError`.
+ * The value originally thrown by the resolver is found via the `originalError` chain.
+ * `GraphQLError`s raised by the server itself, like syntax & validation errors, have no original error and are returned as formatted by the server.
+ *
+ * @param {object} [options={}] See {@link CodedError.toGraphQLError}.
+ * @return {function} A function taking the formatted error &/or the `GraphQLError`, returning a plain GraphQL error object.
+ */
+const graphQLErrorFormatter = (options = {}) => (formatted, error = formatted) => {
+  const original = _originalError(error)
+  const locations = formatted?.locations || error?.locations
+  const path = formatted?.path || error?.path
+
+  if (original === error && error?.name === 'GraphQLError') {
+    return formatted === error && typeof error.toJSON === 'function' ? error.toJSON() : formatted
+  }
+
+  return CodedError.toGraphQLError(original, { ...options, locations, path })
+}
+
+/**
+ * A function compatible with the `formatError` option of GraphQL servers that uses the default options; see {@link graphQLErrorFormatter}.
+ * @type {function}
+ */
+const formatError = graphQLErrorFormatter()
+
+module.exports = {
+  graphQLErrorFormatter,
+  formatError
+}
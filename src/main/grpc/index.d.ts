@@ -0,0 +1,42 @@
+/**
+ * The gRPC status codes keyed by name.
+ */
+export declare const GRPC_STATUS: Readonly<{
+  OK: 0
+  CANCELLED: 1
+  UNKNOWN: 2
+  INVALID_ARGUMENT: 3
+  DEADLINE_EXCEEDED: 4
+  NOT_FOUND: 5
+  ALREADY_EXISTS: 6
+  PERMISSION_DENIED: 7
+  RESOURCE_EXHAUSTED: 8
+  FAILED_PRECONDITION: 9
+  ABORTED: 10
+  OUT_OF_RANGE: 11
+  UNIMPLEMENTED: 12
+  INTERNAL: 13
+  UNAVAILABLE: 14
+  DATA_LOSS: 15
+  UNAUTHENTICATED: 16
+}>
+
+/**
+ * A gRPC status name, like `'INVALID_ARGUMENT'`.
+ */
+export type GrpcStatusName = keyof typeof GRPC_STATUS
+
+/**
+ * The `@type` of the `google.rpc.ErrorInfo` details of the objects returned by `toGrpcStatus`.
+ */
+export declare const ERROR_INFO_TYPE: 'type.googleapis.com/google.rpc.ErrorInfo'
+
+/**
+ * Returns the number of the given gRPC status, given its name or number.
+ */
+export declare function toGrpcStatusCode (status: GrpcStatusName | number): number
+
+/**
+ * Returns the name of the given gRPC status code, if any.
+ */
+export declare function grpcStatusName (code: number): GrpcStatusName | undefined
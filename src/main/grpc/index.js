@@ -0,0 +1,61 @@
+'use strict'
+
+/**
+ * The canonical gRPC status codes, keyed by name.
+ * @type {object}
+ */
+const GRPC_STATUS = Object.freeze({
+  OK: 0,
+  CANCELLED: 1,
+  UNKNOWN: 2,
+  INVALID_ARGUMENT: 3,
+  DEADLINE_EXCEEDED: 4,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  RESOURCE_EXHAUSTED: 8,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+  OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12,
+  INTERNAL: 13,
+  UNAVAILABLE: 14,
+  DATA_LOSS: 15,
+  UNAUTHENTICATED: 16
+})
+
+/**
+ * The `@type` of the `google.rpc.ErrorInfo` details of the objects returned by `toGrpcStatus`.
+ * @type {string}
+ */
+const ERROR_INFO_TYPE = 'type.googleapis.com/google.rpc.ErrorInfo'
+
+/**
+ * Returns the numeric gRPC status code for the given name or number.
+ * Throws if it's not a canonical status code.
+ *
+ * @param {string|number} status The name, like `'INVALID_ARGUMENT'`, or the number, like `3`.
+ * @return {number}
+ */
+const toGrpcStatusCode = status => {
+  const code = typeof status === 'string' ? GRPC_STATUS[status] : status
+
+  if (!Object.values(GRPC_STATUS).includes(code)) throw new Error(`grpc status must be the name or number of a canonical gRPC status code; got ${status}`)
+
+  return code
+}
+
+/**
+ * Returns the name of the given numeric gRPC status code, or `undefined` if it's not a canonical status code.
+ *
+ * @param {number} code The code, like `3`.
+ * @return {string|undefined}
+ */
+const grpcStatusName = code => Object.keys(GRPC_STATUS).find(it => GRPC_STATUS[it] === code)
+
+module.exports = {
+  GRPC_STATUS,
+  ERROR_INFO_TYPE,
+  toGrpcStatusCode,
+  grpcStatusName
+}
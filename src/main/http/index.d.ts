@@ -0,0 +1,63 @@
+import { CodedError, Problem, SerializationOptions } from '../errors'
+
+/**
+ * The content type of error responses.
+ */
+export declare const ERROR_RESPONSE_CONTENT_TYPE: 'application/problem+json; charset=utf-8'
+
+export interface ErrorResponseOptions<Request = any> extends SerializationOptions {
+  /** The request, which is passed to `instance` & `log`. */
+  request?: Request
+  /** A function returning the problem's `instance`, given the request. */
+  instance?: (request: Request) => string | undefined
+  /** Whether to include the cause chain in the body. */
+  causes?: boolean
+  /** A function called with the value as a `CodedError`; anything it throws is ignored. */
+  log?: (error: CodedError, context: { status: number, problem: Problem, request: Request }) => void
+}
+
+/**
+ * An error response.
+ */
+export interface ErrorResponse {
+  status: number
+  headers: { 'Content-Type': string }
+  body: string
+  problem: Problem
+  error: CodedError
+}
+
+/**
+ * Returns the given thrown value if it's a `CodedError`, else an `UnexpectedError` caused by it.
+ */
+export declare function toCodedError (value: unknown): CodedError
+
+/**
+ * Returns the error response for the given thrown value.
+ */
+export declare function errorResponse<Request = any> (value: unknown, options?: ErrorResponseOptions<Request>): ErrorResponse
+
+/**
+ * Returns a function that writes the error response for the given thrown value to a Node.js `http.ServerResponse`.
+ */
+export declare function httpErrorHandler (options?: ErrorResponseOptions): (err: unknown, req: any, res: any) => void
+
+/**
+ * Returns the given Node.js request handler wrapped so that what it throws is written as an error response.
+ */
+export declare function wrapHttpHandler<Req = any, Res = any> (handler: (req: Req, res: Res) => unknown, options?: ErrorResponseOptions<Req>): (req: Req, res: Res) => Promise<unknown>
+
+/**
+ * Returns Express error-handling middleware that writes error responses.
+ */
+export declare function expressErrorHandler (options?: ErrorResponseOptions): (err: unknown, req: any, res: any, next: (err?: unknown) => void) => void
+
+/**
+ * Returns Koa middleware that turns what downstream middleware throws into error responses.
+ */
+export declare function koaErrorHandler (options?: ErrorResponseOptions): (ctx: any, next: () => Promise<unknown>) => Promise<void>
+
+/**
+ * Returns a Fastify error handler that sends error responses.
+ */
+export declare function fastifyErrorHandler (options?: ErrorResponseOptions): (error: unknown, request: any, reply: any) => unknown
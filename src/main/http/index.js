@@ -0,0 +1,266 @@
+'use strict'
+
+const { STATUS_CODES } = require('http')
+const CodedError = require('../errors/CodedError')
+const UnexpectedError = require('../errors/UnexpectedError')
+
+/**
+ * The `Content-Type` of error responses.
+ * @type {string}
+ */
+const ERROR_RESPONSE_CONTENT_TYPE = `${CodedError.PROBLEM_CONTENT_TYPE}; charset=utf-8`
+
+/**
+ * Returns the given thrown value as a {@link CodedError}.
+ * Values that are already {@link CodedError}s are returned as is; anything else becomes the `cause` of a new {@link UnexpectedError}.
+ *
+ * @param {*} value The thrown value.
+ * @return {CodedError}
+ */
+const toCodedError = value => CodedError._isCodedError(value) ? value : new UnexpectedError({ cause: value })
+
+/**
+ * Returns the HTTP error response for the given thrown value.
+ *
+ * If the value is a {@link CodedError}, the status & body come from {@link CodedError#toProblem}.
+ * Otherwise, the body is a generic problem that includes nothing from the value, so as not to leak internal information.
+ * Its status is `500`, unless the value has a `status` or `statusCode` from `400` to `599`, like the errors thrown by many frameworks & middleware.
+ *
+ * @param {*} value The thrown value.
+ * @param {object} [options={}] The options.
+ * @param {*} [options.request] The request, which is passed to `instance` & `log`.
+ * @param {function} [options.instance] A function returning the problem's `instance`, given the request.
+ * @param {boolean} [options.causes=false] Whether to include the cause chain, & the causes' messages in the `detail`, in the body.
+ * @param {string|string[]|boolean} [options.omitting='stack'] See {@link CodedError#toObject}.
+ * @param {object|Redactor|boolean} [options.redacting] See {@link CodedError#toObject}.
+ * @param {number} [options.maxDepth] See {@link CodedError#toObject}.
+ * @param {number} [options.maxArrayLength] See {@link CodedError#toObject}.
+ * @param {number} [options.maxStringLength] See {@link CodedError#toObject}.
+ * @param {number} [options.maxSize] See {@link CodedError#toObject}.
+ * @param {function} [options.log] A function called with the value as a {@link CodedError} and an object with the `status`, `problem` & `request`; anything it throws is ignored.
+ * @return {{status: number, headers: object, body: string, problem: object, error: CodedError}}
+ */
+const errorResponse = (value, {
+  request,
+  instance,
+  causes = false,
+  omitting = 'stack',
+  redacting,
+  maxDepth,
+  maxArrayLength,
+  maxStringLength,
+  maxSize,
+  log
+} = {}) => {
+  const error = toCodedError(value)
+  const options = {
+    instance: instance ? instance(request) : undefined,
+    causes,
+    omitting,
+    redacting,
+    maxDepth,
+    maxArrayLength,
+    maxStringLength,
+    maxSize
+  }
+
+  let problem
+  if (CodedError._isCodedError(value)) {
+    problem = value.toProblem(options)
+  } else {
+    problem = CodedError.toProblem(value, options)
+
+    const status = value?.status || value?.statusCode
+    if (Number.isInteger(status) && status >= 400 && status <= 599) {
+      problem.status = status
+      problem.title = STATUS_CODES[status] || problem.title
+    }
+  }
+
+  if (log) {
+    try {
+      log(error, { status: problem.status, problem, request })
+    } catch (e) {
+      // don't let logging break error handling
+    }
+  }
+
+  return {
+    status: problem.status,
+    headers: { 'Content-Type': ERROR_RESPONSE_CONTENT_TYPE },
+    body: JSON.stringify(problem),
+    problem,
+    error
+  }
+}
+
+/**
+ * Returns a generic `500` error response, like those of {@link errorResponse}, which includes nothing from any thrown value.
+ *
+ * @return {object} The `status`, `headers` & `body` of the response.
+ * @private
+ */
+const _genericResponse = () => ({
+  status: 500,
+  headers: { 'Content-Type': ERROR_RESPONSE_CONTENT_TYPE },
+  body: JSON.stringify(CodedError.toProblem(undefined))
+})
+
+/**
+ * Returns the result of {@link errorResponse} for the given thrown value, or, if that fails, for example because a redaction mask throws, a generic `500` error response.
+ *
+ * @param {*} value The thrown value.
+ * @param {object} options See {@link errorResponse}.
+ * @return {object}
+ * @private
+ */
+const _safeErrorResponse = (value, options) => {
+  try {
+    return errorResponse(value, options)
+  } catch (e) {
+    return _genericResponse()
+  }
+}
+
+/**
+ * Writes the error response for the given thrown value to the given Node.js `http.ServerResponse`, unless headers have already been sent, in which case the response is ended.
+ *
+ * @param {*} value The thrown value.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @param {object} [options] See {@link errorResponse}.
+ * @return {object} The result of {@link errorResponse}.
+ * @private
+ */
+const _send = (value, req, res, options = {}) => {
+  const response = errorResponse(value, { ...options, request: req })
+
+  if (res.headersSent) {
+    res.end()
+    return response
+  }
+
+  res.statusCode = response.status
+  Object.keys(response.headers).forEach(it => res.setHeader(it, response.headers[it]))
+  res.end(response.body)
+
+  return response
+}
+
+/**
+ * Writes a generic `500` error response, which includes nothing from any thrown value, to the given Node.js `http.ServerResponse`, unless headers have already been sent, in which case the response is ended.
+ * Used when handling an error itself fails; anything thrown while writing is ignored.
+ *
+ * @param {http.ServerResponse} res The response.
+ * @private
+ */
+const _sendGeneric = res => {
+  try {
+    if (res.headersSent) {
+      res.end()
+      return
+    }
+
+    const response = _genericResponse()
+    res.statusCode = response.status
+    Object.keys(response.headers).forEach(it => res.setHeader(it, response.headers[it]))
+    res.end(response.body)
+  } catch (e) {
+    // there's nothing more to be done
+  }
+}
+
+/**
+ * Returns an error handler for handlers given to Node.js's `http.createServer`, which writes the error response for the given thrown value.
+ *
+ * @param {object} [options] See {@link errorResponse}.
+ * @return {function} A function taking the thrown value, the request & the response.
+ */
+const httpErrorHandler = (options = {}) => (err, req, res) => {
+  _send(err, req, res, options)
+}
+
+/**
+ * Wraps the given handler for Node.js's `http.createServer` so that anything it throws, or any promise it returns rejects with, is handled by {@link httpErrorHandler}.
+ * If handling the error fails, for example because a redaction mask throws, a generic `500` response is sent instead, so that the returned promise never rejects.
+ *
+ * @param {function} handler The handler, taking the request & the response, which may be `async`.
+ * @param {object} [options] See {@link errorResponse}.
+ * @return {function} The wrapped handler.
+ */
+const wrapHttpHandler = (handler, options = {}) => {
+  const handle = httpErrorHandler(options)
+
+  return (req, res) => new Promise(resolve => resolve(handler(req, res)))
+    .catch(err => {
+      try {
+        handle(err, req, res)
+      } catch (e) {
+        _sendGeneric(res)
+      }
+    })
+}
+
+/**
+ * Returns Express error-handling middleware, which writes the error response for the given thrown value.
+ * If headers have already been sent, the error is delegated to Express's default handler, as recommended by Express.
+ * If handling the error fails, a generic `500` response is sent instead.
+ *
+ * @param {object} [options] See {@link errorResponse}.
+ * @return {function} Middleware taking the error, the request, the response & `next`.
+ */
+const expressErrorHandler = (options = {}) => (err, req, res, next) => {
+  if (res.headersSent) return next(err)
+
+  try {
+    _send(err, req, res, options)
+  } catch (e) {
+    _sendGeneric(res)
+  }
+}
+
+/**
+ * Returns Koa middleware, which should be used before any other middleware, that sets the error response for anything thrown by downstream middleware.
+ * If building the error response fails, a generic `500` response is set instead.
+ *
+ * @param {object} [options] See {@link errorResponse}.
+ * @return {function} Middleware taking the context & `next`.
+ */
+const koaErrorHandler = (options = {}) => async (ctx, next) => {
+  try {
+    await next()
+  } catch (err) {
+    const response = _safeErrorResponse(err, { ...options, request: ctx.request })
+
+    ctx.status = response.status
+    ctx.set(response.headers)
+    ctx.body = response.body
+  }
+}
+
+/**
+ * Returns a Fastify error handler, for use with `fastify.setErrorHandler`, which sends the error response for the given thrown value.
+ * If building the error response fails, a generic `500` response is sent instead.
+ *
+ * @param {object} [options] See {@link errorResponse}.
+ * @return {function} A handler taking the error, the request & the reply.
+ */
+const fastifyErrorHandler = (options = {}) => (error, request, reply) => {
+  const response = _safeErrorResponse(error, { ...options, request })
+
+  return reply
+    .code(response.status)
+    .headers(response.headers)
+    .send(response.body)
+}
+
+module.exports = {
+  ERROR_RESPONSE_CONTENT_TYPE,
+  toCodedError,
+  errorResponse,
+  httpErrorHandler,
+  wrapHttpHandler,
+  expressErrorHandler,
+  koaErrorHandler,
+  fastifyErrorHandler
+}
@@ -0,0 +1,19 @@
+export * from './errors'
+export * from './registry'
+export * from './cause-utils'
+export * from './redaction'
+export * from './messages'
+export * from './http'
+export * from './grpc'
+export * from './graphql'
+export * from './stack'
+export * from './fingerprint'
+export * from './render'
+export * from './logging'
+export * from './otel'
+export * from './preconditions'
+export * from './class-utils'
+export * from './lifecycle'
+export * from './definitions'
+export * from './wrapping'
+export * from './retry'
@@ -1,3 +1,23 @@
 'use strict'
 
-module.exports = require('./errors')
+module.exports = {
+  ...require('./errors'),
+  ...require('./registry'),
+  ...require('./cause-utils'),
+  ...require('./redaction'),
+  ...require('./messages'),
+  ...require('./http'),
+  ...require('./grpc'),
+  ...require('./graphql'),
+  ...require('./stack'),
+  ...require('./fingerprint'),
+  ...require('./render'),
+  ...require('./logging'),
+  ...require('./otel'),
+  ...require('./preconditions'),
+  ...require('./class-utils'),
+  ...require('./lifecycle'),
+  ...require('./definitions'),
+  ...require('./wrapping'),
+  ...require('./retry')
+}
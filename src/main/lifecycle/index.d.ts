@@ -0,0 +1,49 @@
+/**
+ * The objects whose methods are given the lifecycle: the instances of the given class, or the given object.
+ */
+type _Instance<T> = T extends abstract new (...args: any[]) => infer I ? I : T
+
+/**
+ * The names of the methods of the given object.
+ */
+export type MethodName<T> = { [K in keyof T]-?: T[K] extends (...args: any[]) => unknown ? K : never }[keyof T]
+
+/**
+ * A lifecycle state, which, besides those declared by transitions, are `uninitialized`, `initializing` & `initialized`.
+ */
+export type LifecycleState = 'uninitialized' | 'initializing' | 'initialized' | (string & {})
+
+/**
+ * A transition between lifecycle states.
+ */
+export interface Transition {
+  /** The state or states in which the method can be called. */
+  from: LifecycleState | LifecycleState[]
+  /** The state while the method is in progress, if any. */
+  via?: LifecycleState
+  /** The state after the method succeeds. */
+  to: LifecycleState
+}
+
+export interface LifecycleOptions<I> {
+  /** The name of the init method. */
+  init?: MethodName<I>
+  /** The names of the guarded methods, or the states in which they can be called keyed by name. */
+  guarded?: Array<MethodName<I>> | { [K in MethodName<I>]?: LifecycleState | LifecycleState[] }
+  /** The transition methods keyed by name. */
+  transitions?: { [K in MethodName<I>]?: Transition }
+  /** Whether calls in the wrong states are returned rejected instead of thrown, which, by default, is whether each method is a native `async` function. */
+  async?: boolean
+}
+
+/**
+ * Returns the lifecycle state of the given object.
+ */
+export declare function lifecycleState (object: object): LifecycleState
+
+/**
+ * Gives the given object, or the instances of the given class, a lifecycle with declared states.
+ */
+export declare function withLifecycle<T extends object> (target: T, options?: LifecycleOptions<_Instance<T>>): T
+
+export {}
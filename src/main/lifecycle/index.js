@@ -0,0 +1,278 @@
+'use strict'
+
+const AlreadyInitializedError = require('../errors/AlreadyInitializedError')
+const NotInitializedError = require('../errors/NotInitializedError')
+const IllegalStateError = require('../errors/IllegalStateError')
+const { checkArg } = require('../preconditions')
+
+/**
+ * The states of objects that haven't been initialized yet.
+ * @type {string[]}
+ * @private
+ */
+const PRE_INIT_STATES = ['uninitialized', 'initializing']
+
+/**
+ * The lifecycles of objects, keyed by object, each with the object's `state` & its in-flight asynchronous transitions, keyed by method name.
+ * @type {WeakMap<object, {state: string, inFlight: Map}>}
+ * @private
+ */
+const _lifecycles = new WeakMap()
+
+/**
+ * Returns the lifecycle of the given object, creating it if need be.
+ *
+ * @param {object} object The object.
+ * @return {{state: string, inFlight: Map}}
+ * @private
+ */
+const _lifecycle = object => {
+  let lifecycle = _lifecycles.get(object)
+  if (!lifecycle) {
+    lifecycle = { state: 'uninitialized', inFlight: new Map() }
+    _lifecycles.set(object, lifecycle)
+  }
+
+  return lifecycle
+}
+
+/**
+ * Returns the lifecycle state of the given object, which is `uninitialized` until its init method is called.
+ *
+ * @param {object} object The object.
+ * @return {string}
+ */
+const lifecycleState = object => _lifecycles.get(object)?.state || 'uninitialized'
+
+/**
+ * Returns the error for calling the given method in the given state, whose `info` is like `{ name, expected, actual }`, where `expected` are the states in which the method can be called & `actual` is the current state:
+ * an {@link AlreadyInitializedError} for the init method after initialization, a {@link NotInitializedError} for other methods before initialization, and an {@link IllegalStateError} otherwise.
+ *
+ * @param {object} arg0 The argument to be deconstructed.
+ * @param {string|symbol} arg0.method The name of the method.
+ * @param {string[]} arg0.expected The states in which the method can be called.
+ * @param {string} arg0.actual The current state.
+ * @param {boolean} arg0.init Whether the method is the init method.
+ * @return {IllegalStateError|AlreadyInitializedError|NotInitializedError}
+ * @private
+ */
+const _violation = ({
+  method,
+  expected,
+  actual,
+  init
+}) => {
+  const info = { name: String(method), expected, actual }
+
+  if (init && !PRE_INIT_STATES.includes(actual)) return new AlreadyInitializedError({ info })
+  if (!init && PRE_INIT_STATES.includes(actual)) return new NotInitializedError({ info })
+
+  return new IllegalStateError({ info })
+}
+
+/**
+ * Throws the given error, or, if the method is asynchronous, returns it rejected.
+ *
+ * @param {Error} error The error.
+ * @param {boolean} async Whether the method is asynchronous.
+ * @return {Promise} A rejected promise, if the method is asynchronous.
+ * @private
+ */
+const _fail = (error, async) => {
+  if (async) return Promise.reject(error)
+  throw error
+}
+
+/**
+ * Returns whether violations of the given method are returned rejected, which they are if it's declared asynchronous or is a native `async` function.
+ * Unlike the method's results, which are told apart by whether they're thenable, this must be known without calling it.
+ *
+ * @param {function} fn The method.
+ * @param {boolean} [async] Whether the method is declared asynchronous, or, if `undefined`, not declared either way.
+ * @return {boolean}
+ * @private
+ */
+const _isAsync = (fn, async) => async === undefined ? fn.constructor?.name === 'AsyncFunction' : async
+
+/**
+ * Returns the given method wrapped so that it transitions its object's lifecycle.
+ *
+ * @param {object} arg0 The argument to be deconstructed.
+ * @param {function} arg0.original The method.
+ * @param {string|symbol} arg0.method The name of the method.
+ * @param {string[]} arg0.from The states in which the method can be called.
+ * @param {string} [arg0.via] The state while the method is in progress.
+ * @param {string} arg0.to The state after the method succeeds.
+ * @param {boolean} arg0.init Whether the method is the init method.
+ * @param {boolean} [arg0.async] Whether the method is declared asynchronous.
+ * @return {function}
+ * @private
+ */
+const _transition = ({
+  original,
+  method,
+  from,
+  via,
+  to,
+  init,
+  async
+}) => {
+  async = _isAsync(original, async)
+
+  return function (...args) {
+    const lifecycle = _lifecycle(this)
+
+    const inFlight = lifecycle.inFlight.get(method)
+    if (inFlight) return inFlight
+
+    const previous = lifecycle.state
+    if (!from.includes(previous)) return _fail(_violation({ method, expected: from, actual: previous, init }), async)
+
+    if (via) lifecycle.state = via
+
+    let result
+    try {
+      result = original.apply(this, args)
+    } catch (e) {
+      lifecycle.state = previous
+      throw e
+    }
+
+    if (typeof result?.then !== 'function') {
+      lifecycle.state = to
+      return result
+    }
+
+    const promise = Promise.resolve(result).then(value => {
+      lifecycle.state = to
+      lifecycle.inFlight.delete(method)
+      return value
+    }, e => {
+      lifecycle.state = previous
+      lifecycle.inFlight.delete(method)
+      throw e
+    })
+    lifecycle.inFlight.set(method, promise)
+
+    return promise
+  }
+}
+
+/**
+ * Returns the given method wrapped so that it can only be called in the given states.
+ *
+ * @param {object} arg0 The argument to be deconstructed.
+ * @param {function} arg0.original The method.
+ * @param {string|symbol} arg0.method The name of the method.
+ * @param {string[]} arg0.states The states in which the method can be called.
+ * @param {boolean} [arg0.async] Whether the method is declared asynchronous.
+ * @return {function}
+ * @private
+ */
+const _guard = ({
+  original,
+  method,
+  states,
+  async
+}) => {
+  async = _isAsync(original, async)
+
+  return function (...args) {
+    const actual = lifecycleState(this)
+    if (!states.includes(actual)) return _fail(_violation({ method, expected: states, actual, init: false }), async)
+
+    return original.apply(this, args)
+  }
+}
+
+/**
+ * Throws an {@link IllegalArgumentError} if the given target doesn't have the given method.
+ *
+ * @param {object} target The object or prototype.
+ * @param {string|symbol} method The name of the method.
+ * @private
+ */
+const _checkMethod = (target, method) => {
+  checkArg(typeof target[method] === 'function', String(method), { message: `Method ${String(method)} doesn't exist` })
+}
+
+/**
+ * Replaces the given method of the given target with the given wrapper.
+ *
+ * @param {object} target The object or prototype.
+ * @param {string|symbol} method The name of the method.
+ * @param {function} wrap A function returning the wrapper, given the method.
+ * @private
+ */
+const _wrap = (target, method, wrap) => {
+  Object.defineProperty(target, method, {
+    value: wrap(target[method]),
+    writable: true,
+    enumerable: Object.prototype.propertyIsEnumerable.call(target, method),
+    configurable: true
+  })
+}
+
+/**
+ * Gives the given object, or the instances of the given class, a lifecycle with declared states, which starts as `uninitialized`.
+ *
+ * * The init method moves it to `initializing` while in progress &, when done, to `initialized`.
+ * Calling the init method again throws an {@link AlreadyInitializedError}.
+ * * Guarded methods can only be called when `initialized`, or in the states given for them, else throw a {@link NotInitializedError} if not yet initialized, or an {@link IllegalStateError}.
+ * * Transition methods can only be called in their `from` states, else throw a {@link NotInitializedError} if not yet initialized, or an {@link IllegalStateError}, and move it to their `via` state, if any, while in progress &, when done, to their `to` state.
+ *
+ * The `info` of each error is like `{ name, expected, actual }`, with the method's `name`, the `expected` states in which it can be called & the `actual` state.
+ * Whether a method is asynchronous is told by whether what it returns is thenable, but, since a method that can't be called returns nothing to tell by, its errors are returned rejected only if it's a native `async` function or `async` is `true`, and are otherwise thrown.
+ * Give `async: true` for methods that return promises but aren't native `async` functions, like transpiled ones, or `async: false` to always throw.
+ * If the init or a transition method fails, the state reverts to what it was, so that it can be tried again.
+ * While an asynchronous init or transition method is in progress, further calls to it return the same promise, so that concurrent callers wait for the same in-flight initialization.
+ *
+ * The methods are replaced on the given object, or on the prototype of the given class, so subclasses that override them aren't guarded.
+ * Nothing is replaced unless all the methods exist & all the transitions have `to` states.
+ *
+ * @param {object|Function} target The object or class.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {string|symbol} [arg1.init='init'] The name of the init method.
+ * @param {Array<string|symbol>|object} [arg1.guarded=[]] The names of the guarded methods, or an object whose keys are the names & whose values are the states in which they can be called.
+ * @param {object} [arg1.transitions={}] The transition methods, keyed by name, each like `{ from: 'initialized', via: 'closing', to: 'closed' }`, whose `from` can be a state or an array of states & whose `to` is required.
+ * @param {boolean} [arg1.async] Whether the methods are asynchronous, so that errors for calls in the wrong states are returned rejected instead of thrown, which, by default, is whether each is a native `async` function.
+ * @return {object|Function} The given object or class.
+ */
+const withLifecycle = (target, {
+  init = 'init',
+  guarded = [],
+  transitions = {},
+  async
+} = {}) => {
+  const prototype = typeof target === 'function' ? target.prototype : target
+
+  const guards = Array.isArray(guarded)
+    ? guarded.reduce((accum, it) => Object.assign(accum, { [it]: ['initialized'] }), {})
+    : guarded
+
+  _checkMethod(prototype, init)
+  Reflect.ownKeys(transitions).forEach(method => {
+    _checkMethod(prototype, method)
+    const { to } = transitions[method]
+    checkArg(typeof to === 'string', String(method), { message: `Transition ${String(method)} must have a to state`, actual: to })
+  })
+  Reflect.ownKeys(guards).forEach(method => _checkMethod(prototype, method))
+
+  _wrap(prototype, init, original => _transition({ original, method: init, from: ['uninitialized'], via: 'initializing', to: 'initialized', init: true, async }))
+
+  Reflect.ownKeys(transitions).forEach(method => {
+    const { from, via, to } = transitions[method]
+    _wrap(prototype, method, original => _transition({ original, method, from: [].concat(from), via, to, init: false, async }))
+  })
+
+  Reflect.ownKeys(guards).forEach(method => {
+    _wrap(prototype, method, original => _guard({ original, method, states: [].concat(guards[method]), async }))
+  })
+
+  return target
+}
+
+module.exports = {
+  lifecycleState,
+  withLifecycle
+}
@@ -0,0 +1,42 @@
+import { SerializationOptions } from '../errors'
+
+/**
+ * The options of error serialization for logging.
+ */
+export interface SerializeErrorOptions extends SerializationOptions {
+  /** The output profile: `default`, `ecs` for Elastic Common Schema, or `otel` for OpenTelemetry semantic conventions. */
+  profile?: 'default' | 'ecs' | 'otel'
+}
+
+export interface LogRecordOptions extends SerializeErrorOptions {
+  /** The keys of log records that may hold errors; the first that does is replaced. */
+  keys?: string[]
+}
+
+/**
+ * Returns the given error serialized for logging, in the shape of the given profile.
+ */
+export declare function serializeError (error: unknown, options?: SerializeErrorOptions): Record<string, unknown>
+
+/**
+ * Returns the log record fields for the given error, like `{ err }`, `{ error }` or flat OpenTelemetry attributes, depending on the profile.
+ */
+export declare function errorLogFields (error: unknown, options?: SerializeErrorOptions): Record<string, unknown>
+
+/**
+ * Returns a pino serializer of errors, for use like `serializers: { err: pinoErrorSerializer() }`.
+ */
+export declare function pinoErrorSerializer (options?: SerializeErrorOptions): (value: unknown) => unknown
+
+/**
+ * Returns a pino log formatter that replaces the error in each log record, for use like `formatters: { log: pinoLogFormatter() }`.
+ */
+export declare function pinoLogFormatter (options?: LogRecordOptions): (record: Record<string, unknown>) => Record<string, unknown>
+
+/**
+ * Returns a winston format that replaces the error in each log record.
+ */
+export declare function winstonErrorFormat (options?: LogRecordOptions): {
+  options: SerializeErrorOptions
+  transform: (info: any) => any
+}
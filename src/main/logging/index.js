@@ -0,0 +1,183 @@
+'use strict'
+
+const CodedError = require('../errors/CodedError')
+
+/**
+ * The properties of errors that are left out when a logged value that is itself an error is replaced by its fields.
+ * @type {string[]}
+ * @private
+ */
+const ERROR_KEYS = ['name', 'code', 'info', 'cause', 'errors', 'rawMessage', 'stack']
+
+/**
+ * Returns the given object without its `null` & `undefined` values.
+ *
+ * @param {object} object The object.
+ * @return {object}
+ * @private
+ */
+const _defined = object => Object.keys(object).reduce((accum, key) => {
+  if (object[key] !== null && object[key] !== undefined) accum[key] = object[key]
+  return accum
+}, {})
+
+/**
+ * The output profiles of {@link serializeError}, keyed by name, each of which maps the result of {@link CodedError.toObject} to the serialized error & its log fields.
+ * @type {object}
+ * @private
+ */
+const PROFILES = {
+  default: {
+    serialize: object => object,
+    fields: serialized => ({ err: serialized })
+  },
+  ecs: {
+    serialize: object => _defined({
+      code: object.code,
+      type: object.name,
+      message: object.message,
+      stack_trace: object.stack
+    }),
+    fields: serialized => ({ error: serialized })
+  },
+  otel: {
+    serialize: object => _defined({
+      'exception.type': object.name,
+      'exception.message': object.message,
+      'error.type': object.code,
+      'exception.stacktrace': object.stack // last, so that it's the first to be cut off by maxSize
+    }),
+    fields: serialized => serialized
+  }
+}
+
+/**
+ * Returns the profile of the given name.
+ *
+ * @param {string} profile The name of the profile.
+ * @return {object}
+ * @private
+ */
+const _profile = profile => {
+  if (!Object.prototype.hasOwnProperty.call(PROFILES, profile)) throw new Error(`profile must be one of ${Object.keys(PROFILES).join(', ')}; got ${profile}`)
+
+  return PROFILES[profile]
+}
+
+/**
+ * Returns the given error serialized for logging, via {@link CodedError.toObject}, in the given output profile:
+ * * `default`: the result of {@link CodedError.toObject}, including the cause chain,
+ * * `ecs`: the [Elastic Common Schema](https://www.elastic.co/guide/en/ecs/current/ecs-error.html) `error` fields `code`, `type`, `message` & `stack_trace`, or
+ * * `otel`: the [OpenTelemetry](https://opentelemetry.io/docs/specs/semconv/exceptions/exceptions-logs/) attributes `exception.type`, `exception.message`, `exception.stacktrace` &, for errors with codes, `error.type`.
+ *
+ * Unlike {@link CodedError#toObject}, stacks aren't omitted by default.
+ * Omitted & missing values are left out of the `ecs` & `otel` profiles, to whose fields alone `maxSize` applies.
+ *
+ * @param {*} error The error.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {string} [arg1.profile='default'] The output profile, which is `default`, `ecs` or `otel`.
+ * @param {string|string[]|boolean} [arg1.omitting=[]] See {@link CodedError#toObject}.
+ * @param {object|Redactor|boolean} [arg1.redacting] See {@link CodedError#toObject}.
+ * @param {number} [arg1.maxDepth] See {@link CodedError#toObject}.
+ * @param {number} [arg1.maxArrayLength] See {@link CodedError#toObject}.
+ * @param {number} [arg1.maxStringLength] See {@link CodedError#toObject}.
+ * @param {number} [arg1.maxSize] See {@link CodedError#toObject}.
+ * @return {object}
+ */
+const serializeError = (error, {
+  profile = 'default',
+  omitting = [],
+  redacting,
+  maxDepth,
+  maxArrayLength,
+  maxStringLength,
+  maxSize
+} = {}) => {
+  const { serialize } = _profile(profile)
+  if (serialize === PROFILES.default.serialize) return CodedError.toObject(error, { omitting, redacting, maxDepth, maxArrayLength, maxStringLength, maxSize })
+
+  const object = CodedError.toObject(error, { omitting, redacting, maxDepth, maxArrayLength, maxStringLength })
+  const serialized = serialize(object && typeof object === 'object' ? object : { message: object })
+
+  return CodedError.toObject(serialized, { omitting: [], maxSize }) // bounds only the profile's fields, so that ones left out don't use up maxSize
+}
+
+/**
+ * Returns the fields with which to log the given error in the given output profile, which are merged into log records:
+ * the serialized error as `err` for the `default` profile, as `error` for the `ecs` profile, and the attributes themselves for the `otel` profile.
+ *
+ * @param {*} error The error.
+ * @param {object} [options={}] See {@link serializeError}.
+ * @return {object}
+ */
+const errorLogFields = (error, options = {}) => _profile(options.profile || 'default').fields(serializeError(error, options))
+
+/**
+ * Returns the key of the given log record that holds an error, if any.
+ *
+ * @param {object} record The log record.
+ * @param {string[]} keys The keys that may hold errors.
+ * @return {string|undefined}
+ * @private
+ */
+const _errorKey = (record, keys) => keys.find(it => record?.[it] instanceof Error)
+
+/**
+ * Returns a [pino serializer](https://getpino.io/#/docs/api?id=serializers-object) that serializes errors via {@link serializeError}, leaving other values as they are, like `pino({ serializers: { err: pinoErrorSerializer() } })`.
+ *
+ * @param {object} [options={}] See {@link serializeError}.
+ * @return {function}
+ */
+const pinoErrorSerializer = (options = {}) => value => value instanceof Error ? serializeError(value, options) : value
+
+/**
+ * Returns a [pino `log` formatter](https://getpino.io/#/docs/api?id=formatters-object) that replaces an error in a log record with its fields via {@link errorLogFields}, like `pino({ formatters: { log: pinoLogFormatter({ profile: 'ecs' }) } })`.
+ * Unlike {@link pinoErrorSerializer}, this puts the fields of the `ecs` & `otel` profiles where those conventions expect them.
+ *
+ * @param {object} [options={}] See {@link serializeError}.
+ * @param {string[]} [options.keys=['err', 'error']] The keys of log records that may hold errors; the first that does is replaced.
+ * @return {function}
+ */
+const pinoLogFormatter = ({ keys = ['err', 'error'], ...options } = {}) => record => {
+  const key = _errorKey(record, keys)
+  if (!key) return record
+
+  const { [key]: error, ...rest } = record
+  return { ...rest, ...errorLogFields(error, options) }
+}
+
+/**
+ * Returns a [winston format](https://github.com/winstonjs/logform#formats) that replaces an error in a log record with its fields via {@link errorLogFields}, like `winston.createLogger({ format: winston.format.combine(winstonErrorFormat(), winston.format.json()) })`.
+ * Errors can be logged as metadata, like `logger.error('failed', { err })`, or directly, like `logger.error(err)`, in which case the record is the error itself, and is replaced with a plain record of its `message`, its fields & its other properties, like `level`, except those of errors.
+ * It doesn't depend on winston, since a format is just an object with a `transform` method.
+ *
+ * @param {object} [options={}] See {@link serializeError}.
+ * @param {string[]} [options.keys=['err', 'error']] The keys of log records that may hold errors; the first that does is replaced.
+ * @return {{transform: function}}
+ */
+const winstonErrorFormat = ({ keys = ['err', 'error'], ...options } = {}) => ({
+  options,
+  transform: info => {
+    if (info instanceof Error) {
+      const record = Object.assign({}, info) // also copies winston's symbol-keyed properties
+      ERROR_KEYS.forEach(it => { delete record[it] })
+
+      return Object.assign(record, { message: info.message }, errorLogFields(info, options))
+    }
+
+    const key = _errorKey(info, keys)
+    if (!key) return info
+
+    const error = info[key]
+    delete info[key]
+    return Object.assign(info, errorLogFields(error, options))
+  }
+})
+
+module.exports = {
+  serializeError,
+  errorLogFields,
+  pinoErrorSerializer,
+  pinoLogFormatter,
+  winstonErrorFormat
+}
@@ -0,0 +1,108 @@
+/**
+ * Interpolates the given values into the given template, like `'Argument {{info.name|(unnamed)}} is illegal'`.
+ */
+export declare function interpolate (template: string, values?: object): string
+
+export interface MessageCatalogOptions {
+  /** The locale used when none is given, which is also the last locale in every chain. */
+  defaultLocale?: string
+  /** Arrays of fallback locales keyed by locale, like `{ 'pt-BR': ['pt-PT'] }`. */
+  fallbacks?: Record<string, string[]>
+}
+
+/**
+ * A catalog of message templates keyed by locale & error code.
+ */
+export declare class MessageCatalog {
+  defaultLocale: string
+  fallbacks: Record<string, string[]>
+
+  constructor (options?: MessageCatalogOptions)
+
+  /**
+   * Configures this catalog.
+   */
+  configure (options?: MessageCatalogOptions): this
+
+  /**
+   * Registers the given templates, keyed by error code, for the given locale.
+   */
+  register (locale: string, templates: Record<string, string>): this
+
+  /**
+   * Returns the chain of locales to look templates up in for the given locale.
+   */
+  localeChain (locale?: string): string[]
+
+  /**
+   * Returns the template for the first of the given codes that has one, if any.
+   */
+  template (codes: string | string[], locale?: string): string | undefined
+
+  /**
+   * Returns the template for the first of the given codes that has one, interpolated with the given values, or `undefined` if there's no template.
+   */
+  format (codes: string | string[], values: object, locale?: string): string | undefined
+
+  /**
+   * Removes all templates.
+   */
+  clear (): this
+}
+
+/**
+ * The catalog with which the class factory registers the templates given to it.
+ */
+export declare const messageCatalog: MessageCatalog
+
+/**
+ * What a message composer is given.
+ */
+export interface MessageComposition {
+  /** The code of the error. */
+  code?: string
+  /** The raw message of the error. */
+  message?: string
+  /** The cause or causes of the error. */
+  cause?: unknown
+  /** The placeholder for a missing code. */
+  noCode: string
+  /** The placeholder for a missing message. */
+  noMessage: string
+}
+
+/**
+ * Composes the `message` of an error from its code, raw message & causes.
+ */
+export type MessageComposer = (composition: MessageComposition) => string
+
+export interface MessageComposerOptions {
+  /** The separator between each code & message and between each message & those of its causes. */
+  separator?: string
+  /** The maximum depth of causes to include, beyond which `...` is shown instead. */
+  maxDepth?: number
+  /** Whether to include codes. */
+  codes?: boolean
+  /** Whether to leave out the message of a cause if the same message has already been included. */
+  dedupe?: boolean
+}
+
+/**
+ * Returns a message composer with the given options.
+ */
+export declare function createMessageComposer (options?: MessageComposerOptions): MessageComposer
+
+/**
+ * Returns the given message composer or message composer options as a message composer.
+ */
+export declare function toMessageComposer (composer: MessageComposer | MessageComposerOptions): MessageComposer
+
+/**
+ * Sets the process-wide default message composer, or, if `undefined`, restores the default.
+ */
+export declare function setDefaultMessageComposer (composer: MessageComposer | MessageComposerOptions | undefined): void
+
+/**
+ * Returns the process-wide default message composer.
+ */
+export declare function getDefaultMessageComposer (): MessageComposer
@@ -0,0 +1,314 @@
+'use strict'
+
+/**
+ * Path segments that are never resolved during interpolation.
+ * @type {string[]}
+ * @private
+ */
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype']
+
+/**
+ * Resolves the given dotted path against the given values.
+ *
+ * @param {object} values The values.
+ * @param {string} path The dotted path, like `info.name`.
+ * @return {*} The value, or `undefined` if there is none.
+ * @private
+ */
+const _resolve = (values, path) => path.split('.').reduce((accum, it) => {
+  if (accum === null || accum === undefined || UNSAFE_SEGMENTS.includes(it)) return undefined
+  return accum[it]
+}, values)
+
+/**
+ * Formats the given interpolated value as a string.
+ *
+ * @param {*} value The value.
+ * @return {string}
+ * @private
+ */
+const _format = value => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()
+  if (typeof value !== 'object' || Array.isArray(value)) return String(value)
+
+  try {
+    return JSON.stringify(value)
+  } catch (e) {
+    return String(value)
+  }
+}
+
+/**
+ * Interpolates the given template, replacing each placeholder like `{{info.name}}` with the value at that dotted path of the given values.
+ * A placeholder can give a default for when the value is `null` or `undefined`, like `{{info.name|unnamed}}`; otherwise, such placeholders are replaced with the empty string.
+ * This function never throws on missing or unformattable values.
+ *
+ * @param {string} template The template.
+ * @param {object} [values={}] The values.
+ * @return {string}
+ */
+const interpolate = (template, values = {}) =>
+  template.replace(/\{\{\s*([^}|]+?)\s*(?:\|([^}]*))?\}\}/g, (match, path, fallback = '') => {
+    let value
+    try {
+      value = _resolve(values, path)
+    } catch (e) {
+      value = undefined
+    }
+    return value === undefined || value === null ? fallback : _format(value)
+  })
+
+/**
+ * A catalog of message templates keyed by locale & error code.
+ *
+ * Templates are looked up through a chain of locales, most specific first.
+ * For example, if the default locale is `en`, the chain for `de-CH` is `de-CH`, `de`, `en`.
+ * Additional fallbacks can be configured per locale, and are tried after the locale itself & before its less specific locales.
+ */
+class MessageCatalog {
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed; see {@link MessageCatalog#configure}.
+   */
+  constructor ({
+    defaultLocale = 'en',
+    fallbacks = {}
+  } = {}) {
+    this._templates = new Map()
+    this.configure({ defaultLocale, fallbacks })
+  }
+
+  /**
+   * Configures this catalog.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {string} [arg0.defaultLocale] The locale used when none is given, which is also the last locale in every chain.
+   * @param {object} [arg0.fallbacks] Arrays of fallback locales keyed by locale, like `{ 'pt-BR': ['pt-PT'] }`.
+   * @return {MessageCatalog} This catalog.
+   */
+  configure ({
+    defaultLocale,
+    fallbacks
+  } = {}) {
+    if (defaultLocale !== undefined) this.defaultLocale = defaultLocale
+    if (fallbacks !== undefined) this.fallbacks = fallbacks
+
+    return this
+  }
+
+  /**
+   * Registers the given templates, replacing any already registered for the same locale & code.
+   *
+   * @param {string} locale The locale of the templates.
+   * @param {object} templates Templates keyed by error code.
+   * @return {MessageCatalog} This catalog.
+   */
+  register (locale, templates) {
+    if (!this._templates.has(locale)) this._templates.set(locale, new Map())
+    const map = this._templates.get(locale)
+
+    Object.keys(templates).forEach(code => map.set(code, templates[code]))
+
+    return this
+  }
+
+  /**
+   * Returns the chain of locales to look up for the given locale.
+   *
+   * @param {string} [locale] The locale; defaults to the default locale.
+   * @return {string[]}
+   */
+  localeChain (locale = this.defaultLocale) {
+    const chain = []
+    const add = it => {
+      if (it && !chain.includes(it)) chain.push(it)
+    }
+
+    const parts = locale.split('-')
+    for (let i = parts.length; i > 0; i--) {
+      const it = parts.slice(0, i).join('-')
+      add(it)
+      ;(this.fallbacks[it] || []).forEach(add)
+    }
+    add(this.defaultLocale)
+
+    return chain
+  }
+
+  /**
+   * Returns the template for the first of the given codes that has one in the most specific locale possible.
+   *
+   * @param {string|string[]} codes The code, or codes in order of preference, like an error's code followed by those of its supererrors.
+   * @param {string} [locale] The locale; defaults to the default locale.
+   * @return {string|undefined}
+   */
+  template (codes, locale) {
+    codes = Array.isArray(codes) ? codes : [codes]
+
+    for (const it of this.localeChain(locale)) {
+      const map = this._templates.get(it)
+      const code = map && codes.find(code => map.has(code))
+      if (code !== undefined) return map.get(code)
+    }
+  }
+
+  /**
+   * Returns the interpolated template for the given codes & locale; see {@link MessageCatalog#template} & {@link interpolate}.
+   *
+   * @param {string|string[]} codes See {@link MessageCatalog#template}.
+   * @param {object} values The values to interpolate.
+   * @param {string} [locale] The locale; defaults to the default locale.
+   * @return {string|undefined} The message, or `undefined` if there's no template.
+   */
+  format (codes, values, locale) {
+    const template = this.template(codes, locale)
+    return template === undefined ? undefined : interpolate(template, values)
+  }
+
+  /**
+   * Unregisters all templates.
+   *
+   * @return {MessageCatalog} This catalog.
+   */
+  clear () {
+    this._templates.clear()
+    return this
+  }
+}
+
+/**
+ * Returns a message composer, which composes the `message` of an error from its code, its raw message & its causes, like `E_BAD: this is bad: this is why`.
+ *
+ * The composed message is the code & raw message, followed by the messages of the causes, each preceded by the separator, with array causes enclosed in brackets & separated by commas.
+ * The message of a cause that has a `rawMessage` property, like a `CodedError`, is its code & raw message followed by the messages of its causes.
+ * The message of a native `Error` is its `message` followed by the messages of its native `cause` & `AggregateError` `errors`.
+ * The message of any other cause is the cause itself.
+ * Causes whose `rawMessage` is `null`, meaning it's unknown, like those rehydrated from objects without one, contribute their `message` as is.
+ * With the default options, causes that have a `rawMessage` property also contribute their current `message` as is, which is what composing them would give unless it was changed after construction, so that composed messages are the same as those of previous versions of this library.
+ *
+ * @param {object} [arg0={}] The argument to be deconstructed.
+ * @param {string} [arg0.separator=': '] The separator between each code & message and between each message & those of its causes.
+ * @param {number} [arg0.maxDepth=Infinity] The maximum depth of causes to include, beyond which `...` is shown instead.
+ * @param {boolean} [arg0.codes=true] Whether to include codes.
+ * @param {boolean} [arg0.dedupe=false] Whether to leave out the message of a cause if the same message has already been included, like when an error is wrapped with the message of its cause.
+ * @return {function} The composer, which takes an object with the `code`, raw `message` & `cause` of the error, and the placeholders `noCode` & `noMessage` to use for missing codes & messages.
+ */
+const createMessageComposer = ({
+  separator = ': ',
+  maxDepth = Infinity,
+  codes = true,
+  dedupe = false
+} = {}) => ({
+  code,
+  message,
+  cause,
+  noCode = 'NO_CODE',
+  noMessage = 'NO_MESSAGE'
+}) => {
+  const messages = new Set()
+  const seen = new Set()
+  const defaults = separator === ': ' && maxDepth === Infinity && codes && !dedupe
+
+  const compose = ({ coded, code, message, tails }) => {
+    message = message || noMessage
+    const duplicate = dedupe && messages.has(message)
+    messages.add(message)
+
+    const parts = []
+    if (codes && coded) parts.push(code || noCode)
+    if (!duplicate) parts.push(message)
+
+    const head = parts.join(separator)
+    const tail = tails().join('')
+    return head ? head + tail : tail.substring(separator.length)
+  }
+
+  const causes = (cause, depth) => {
+    if (Array.isArray(cause)) {
+      if (depth > maxDepth) return cause.length ? `${separator}...` : ''
+
+      return `${separator}[${cause
+        .map(it => causeMessage(it, depth))
+        .filter(it => it !== null && it !== undefined)
+        .join(', ')
+      }]`
+    }
+
+    if (!cause) return ''
+    return depth > maxDepth ? `${separator}...` : `${separator}${causeMessage(cause, depth)}`
+  }
+
+  const causeMessage = (error, depth) => {
+    if (!(error instanceof Error)) return error
+    if (seen.has(error) || error.rawMessage === null || (defaults && 'rawMessage' in error)) return error.message || noMessage
+    seen.add(error)
+
+    if ('rawMessage' in error) {
+      return compose({ coded: true, code: error.code, message: error.rawMessage, tails: () => [causes(error.cause, depth + 1)] })
+    }
+
+    return compose({
+      coded: false,
+      message: error.message,
+      tails: () => [causes(error.cause, depth + 1), Array.isArray(error.errors) ? causes(error.errors, depth + 1) : '']
+    })
+  }
+
+  return compose({ coded: true, code, message, tails: () => [causes(cause, 1)] })
+}
+
+/**
+ * The default message composer, which is used if neither a class nor {@link setDefaultMessageComposer} gives one.
+ * @type {function}
+ * @private
+ */
+const DEFAULT_MESSAGE_COMPOSER = createMessageComposer()
+
+/**
+ * The process-wide default message composer.
+ * @type {function}
+ * @private
+ */
+let _defaultMessageComposer = DEFAULT_MESSAGE_COMPOSER
+
+/**
+ * Returns the given message composer or message composer options as a message composer.
+ *
+ * @param {function|object} composer A function like those returned by {@link createMessageComposer}, or the options to give it.
+ * @return {function}
+ */
+const toMessageComposer = composer => typeof composer === 'function' ? composer : createMessageComposer(composer)
+
+/**
+ * Sets the process-wide default message composer, which is used to compose the messages of errors whose classes don't give one.
+ *
+ * @param {function|object|undefined} composer The composer, or its options; see {@link createMessageComposer}.
+ * Give `undefined` to restore the default.
+ */
+const setDefaultMessageComposer = composer => {
+  _defaultMessageComposer = composer === undefined ? DEFAULT_MESSAGE_COMPOSER : toMessageComposer(composer)
+}
+
+/**
+ * Returns the process-wide default message composer.
+ *
+ * @return {function}
+ */
+const getDefaultMessageComposer = () => _defaultMessageComposer
+
+/**
+ * The catalog with which the `CodedError` class factory registers the templates given to it, and which {@link CodedError#localize} uses.
+ * @type {MessageCatalog}
+ */
+const messageCatalog = new MessageCatalog()
+
+module.exports = {
+  interpolate,
+  MessageCatalog,
+  messageCatalog,
+  createMessageComposer,
+  toMessageComposer,
+  setDefaultMessageComposer,
+  getDefaultMessageComposer
+}
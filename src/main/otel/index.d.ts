@@ -0,0 +1,59 @@
+import { SerializationOptions } from '../errors'
+
+/**
+ * The OpenTelemetry span status codes.
+ */
+export declare const SPAN_STATUS_CODE: Readonly<{ UNSET: 0, OK: 1, ERROR: 2 }>
+
+/**
+ * An OpenTelemetry attribute value.
+ */
+export type AttributeValue = string | number | boolean | Array<string | number | boolean>
+
+/**
+ * Anything with the methods of an OpenTelemetry `Span` that are used.
+ */
+export interface SpanLike {
+  addEvent (name: string, attributes?: Record<string, AttributeValue>, time?: any): unknown
+  setStatus (status: { code: number, message?: string }): unknown
+  setAttribute? (key: string, value: AttributeValue): unknown
+}
+
+export interface ExceptionAttributesOptions extends Omit<SerializationOptions, 'omitting'> {
+  /** `'attributes'` to include causes as attributes, or `false` to leave them out. */
+  causes?: 'attributes' | false
+  /** The property names to omit. */
+  omitting?: string | string[]
+}
+
+export interface ExceptionEventsOptions extends Omit<ExceptionAttributesOptions, 'causes'> {
+  /** `'attributes'` to include causes as attributes of the error's event, `'events'` to include them as events of their own, or `false` to leave them out. */
+  causes?: 'attributes' | 'events' | false
+}
+
+export interface RecordExceptionOptions extends ExceptionEventsOptions {
+  /** Whether to set the span's status. */
+  status?: boolean
+  /** The time of the events, which is given to `addEvent`. */
+  time?: any
+}
+
+/**
+ * Returns the OpenTelemetry `exception.*` attributes of the given error.
+ */
+export declare function exceptionAttributes (error: unknown, options?: ExceptionAttributesOptions): Record<string, AttributeValue>
+
+/**
+ * Returns the OpenTelemetry `exception` events of the given error.
+ */
+export declare function exceptionEvents (error: unknown, options?: ExceptionEventsOptions): Array<{ name: 'exception', attributes: Record<string, AttributeValue> }>
+
+/**
+ * Sets the status of the given span to `ERROR`, with the given error's message.
+ */
+export declare function setErrorStatus<S extends SpanLike> (span: S, error: unknown, options?: ExceptionAttributesOptions): S
+
+/**
+ * Records the given error on the given span as `exception` events &, optionally, its status.
+ */
+export declare function recordException<S extends SpanLike> (span: S, error: unknown, options?: RecordExceptionOptions): S
@@ -0,0 +1,226 @@
+'use strict'
+
+const CodedError = require('../errors/CodedError')
+const { flattenCauses } = require('../cause-utils')
+
+/**
+ * The OpenTelemetry span status codes.
+ * @type {object}
+ */
+const SPAN_STATUS_CODE = Object.freeze({
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+})
+
+/**
+ * The ways in which causes can be recorded; see {@link exceptionEvents}.
+ * @type {Array<string|boolean>}
+ * @private
+ */
+const CAUSE_MODES = ['attributes', 'events', false]
+
+/**
+ * Anything with the methods of an OpenTelemetry `Span` that are used here, which is only `addEvent` & `setStatus`, and, optionally, `setAttribute`.
+ * @typedef {object} SpanLike
+ * @property {function(string, object, *=)} addEvent Adds an event with the given name, attributes & optional time.
+ * @property {function(object)} setStatus Sets the status, given an object with a `code` & optional `message`.
+ * @property {function(string, *)} [setAttribute] Sets an attribute.
+ */
+
+/**
+ * Returns the given value as an OpenTelemetry attribute value, which is a string, number, boolean, or array of one of those.
+ * Other values, including arrays of mixed types, are converted to JSON.
+ *
+ * @param {*} value The value.
+ * @return {string|number|boolean|Array<string|number|boolean>}
+ * @private
+ */
+const _attributeValue = value => {
+  if (['string', 'number', 'boolean'].includes(typeof value)) return value
+  if (Array.isArray(value) && value.every(it => ['string', 'number', 'boolean'].includes(typeof it) && typeof it === typeof value[0])) return value
+
+  return JSON.stringify(value)
+}
+
+/**
+ * Sets attributes for the given value on the given attributes, flattening nested objects into dotted keys, like `exception.info.user.id`.
+ * `null` & `undefined` values are left out.
+ *
+ * @param {object} attributes The attributes.
+ * @param {string} key The key of the value.
+ * @param {*} value The value.
+ * @return {object} The given attributes.
+ * @private
+ */
+const _flatten = (attributes, key, value) => {
+  if (value === null || value === undefined) return attributes
+
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach(it => _flatten(attributes, `${key}.${it}`, value[it]))
+  } else {
+    attributes[key] = _attributeValue(value)
+  }
+
+  return attributes
+}
+
+/**
+ * Returns the attributes of the given error alone, without its causes, with the given prefix, like `exception.`.
+ *
+ * @param {*} error The error.
+ * @param {string} prefix The prefix of the attributes' keys.
+ * @param {object} options The options; see {@link exceptionAttributes}.
+ * @return {object}
+ * @private
+ */
+const _errorAttributes = (error, prefix, {
+  omitting = [],
+  redacting,
+  maxDepth,
+  maxArrayLength,
+  maxStringLength
+}) => {
+  const object = CodedError.toObject(error, {
+    omitting: [].concat(omitting, 'cause', 'errors'),
+    redacting,
+    maxDepth,
+    maxArrayLength,
+    maxStringLength
+  })
+
+  if (!(error instanceof Error)) {
+    return _flatten({ [`${prefix}type`]: error === null ? 'null' : typeof error }, `${prefix}message`, object)
+  }
+
+  const attributes = {}
+  _flatten(attributes, `${prefix}type`, object.name)
+  _flatten(attributes, `${prefix}message`, object.message)
+  _flatten(attributes, `${prefix}stacktrace`, object.stack)
+  _flatten(attributes, `${prefix}code`, object.code)
+  _flatten(attributes, `${prefix}info`, object.info)
+
+  return attributes
+}
+
+/**
+ * Throws if the given way of recording causes isn't one of {@link CAUSE_MODES}.
+ *
+ * @param {string|boolean} causes The way of recording causes.
+ * @private
+ */
+const _checkCauses = causes => {
+  if (!CAUSE_MODES.includes(causes)) throw new Error(`causes must be one of ${CAUSE_MODES.join(', ')}; got ${causes}`)
+}
+
+/**
+ * Returns the [OpenTelemetry exception](https://opentelemetry.io/docs/specs/semconv/exceptions/exceptions-spans/) attributes of the given error, which are
+ * * `exception.type`, which is its `name`,
+ * * `exception.message`,
+ * * `exception.stacktrace`,
+ * * `exception.code`, and
+ * * its `info`, flattened into dotted keys, like `exception.info.user.id`, or, if it's not an object, `exception.info`.
+ *
+ * Causes are included as attributes with indexed prefixes, like `exception.cause.0.type`, in depth-first order, along with the path of each cause, like `exception.cause.0.path`, which is `cause.0.cause` for the first cause of the first cause.
+ * Values are subject to `omitting`, `redacting` & size options, as they are in {@link CodedError#toObject}, and `null` & `undefined` values are left out.
+ *
+ * @param {*} error The error.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {string|boolean} [arg1.causes='attributes'] `'attributes'` to include causes as attributes, or `false` to leave them out.
+ * @param {string|string[]} [arg1.omitting=[]] The property names to omit; see {@link CodedError#toObject}.
+ * @param {object|Redactor|boolean} [arg1.redacting] See {@link CodedError#toObject}.
+ * @param {number} [arg1.maxDepth] See {@link CodedError#toObject}.
+ * @param {number} [arg1.maxArrayLength] See {@link CodedError#toObject}.
+ * @param {number} [arg1.maxStringLength] See {@link CodedError#toObject}.
+ * @return {object}
+ */
+const exceptionAttributes = (error, { causes = 'attributes', ...options } = {}) => {
+  _checkCauses(causes)
+
+  const attributes = _errorAttributes(error, 'exception.', options)
+  if (causes !== 'attributes') return attributes
+
+  flattenCauses(error).forEach(({ path, error: cause }, i) => {
+    const prefix = `exception.cause.${i}.`
+    attributes[`${prefix}path`] = path.join('.')
+    Object.assign(attributes, _errorAttributes(cause, prefix, options))
+  })
+
+  return attributes
+}
+
+/**
+ * Returns the OpenTelemetry `exception` events for the given error, each an object with a `name` & `attributes`; see {@link exceptionAttributes}.
+ * If `causes` is `'events'`, each cause has its own event, following that of the error, in depth-first order, whose attributes are those of the cause alone plus `exception.cause.path`, which links it to the error's event, and is like `cause.0.cause` for the first cause of the first cause.
+ * Otherwise, there's only the error's event.
+ *
+ * @param {*} error The error.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {string|boolean} [arg1.causes='attributes'] `'attributes'` to include causes as attributes of the error's event, `'events'` to include them as events of their own, or `false` to leave them out.
+ * @param {object} [arg1.options] See {@link exceptionAttributes}.
+ * @return {Array<{name: string, attributes: object}>}
+ */
+const exceptionEvents = (error, { causes = 'attributes', ...options } = {}) => {
+  _checkCauses(causes)
+
+  const events = [{ name: 'exception', attributes: exceptionAttributes(error, { ...options, causes: causes === 'attributes' && causes }) }]
+  if (causes !== 'events') return events
+
+  flattenCauses(error).forEach(({ path, error: cause }) => events.push({
+    name: 'exception',
+    attributes: { ..._errorAttributes(cause, 'exception.', options), 'exception.cause.path': path.join('.') }
+  }))
+
+  return events
+}
+
+/**
+ * Sets the status of the given span to `ERROR`, with the given error's message, and, if the span has a `setAttribute` method, sets the span's `error.type` attribute to the error's `code`, or, if it has none, its `name`.
+ * The message is subject to `redacting` & `maxStringLength`, as it is in {@link CodedError#toObject}.
+ *
+ * @param {SpanLike} span The span.
+ * @param {*} error The error.
+ * @param {object} [options={}] See {@link exceptionAttributes}.
+ * @return {SpanLike} The given span.
+ */
+const setErrorStatus = (span, error, options = {}) => {
+  const attributes = _errorAttributes(error, '', { ...options, omitting: ['stack', 'info'] })
+
+  const status = { code: SPAN_STATUS_CODE.ERROR }
+  if (attributes.message !== undefined) status.message = String(attributes.message)
+  span.setStatus(status)
+
+  if (typeof span.setAttribute === 'function') span.setAttribute('error.type', attributes.code === undefined ? attributes.type : attributes.code)
+
+  return span
+}
+
+/**
+ * Records the given error on the given span by adding its `exception` events (see {@link exceptionEvents}) &, optionally, setting the span's status to `ERROR` (see {@link setErrorStatus}).
+ *
+ * @param {SpanLike} span The span, which needn't be an OpenTelemetry `Span`, as long as it has the methods that are used.
+ * @param {*} error The error.
+ * @param {object} [arg2={}] The argument to be deconstructed.
+ * @param {boolean} [arg2.status=true] Whether to set the span's status.
+ * @param {*} [arg2.time] The time of the events, which is given to `addEvent`.
+ * @param {object} [arg2.options] See {@link exceptionEvents}.
+ * @return {SpanLike} The given span.
+ */
+const recordException = (span, error, {
+  status = true,
+  time,
+  ...options
+} = {}) => {
+  exceptionEvents(error, options).forEach(it => span.addEvent(it.name, it.attributes, time))
+  if (status) setErrorStatus(span, error, options)
+
+  return span
+}
+
+module.exports = {
+  SPAN_STATUS_CODE,
+  exceptionAttributes,
+  exceptionEvents,
+  setErrorStatus,
+  recordException
+}
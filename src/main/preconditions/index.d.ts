@@ -0,0 +1,105 @@
+import { CodedError } from '../errors'
+
+/**
+ * The types that can be checked by name.
+ */
+export interface TypesByName {
+  string: string
+  number: number
+  bigint: bigint
+  boolean: boolean
+  symbol: symbol
+  function: (...args: any[]) => unknown
+  object: object
+  undefined: undefined
+  null: null
+  array: unknown[]
+}
+
+/**
+ * A type that can be checked: a class, matched via `instanceof`, the name of a type, or an array of types, any of which is allowed.
+ */
+export type TypeSpec = keyof TypesByName | (abstract new (...args: any[]) => unknown) | ReadonlyArray<keyof TypesByName | (abstract new (...args: any[]) => unknown)>
+
+/**
+ * The type of values of the given type spec.
+ */
+export type TypeOfSpec<T> = T extends keyof TypesByName
+  ? TypesByName[T]
+  : T extends abstract new (...args: any[]) => infer I
+    ? I
+    : T extends ReadonlyArray<infer E> ? TypeOfSpec<E> : never
+
+/**
+ * The message of a violation, or an object, like `{ expected, actual }`, merged into its `info`, whose `message`, if any, is its message.
+ */
+export type ViolationDetails = string | { message?: string, [key: string]: unknown }
+
+/**
+ * A range of numbers.
+ */
+export interface Range<T extends number | bigint = number | bigint> {
+  min?: T
+  max?: T
+  minExclusive?: boolean
+  maxExclusive?: boolean
+}
+
+/**
+ * Precondition helpers, which throw the first violation or, in collecting mode, collect them.
+ */
+export interface Preconditions {
+  /** The violations collected so far, in collecting mode. */
+  violations: CodedError[]
+  requireArg<T> (value: T, name?: string): T
+  checkArgType<T extends TypeSpec> (value: unknown, type: T, name?: string): TypeOfSpec<T>
+  checkArg (predicate: unknown, name?: string, details?: ViolationDetails): void
+  checkState (predicate: unknown, details?: ViolationDetails): void
+  oneOf<V> (value: unknown, values: readonly V[], name?: string): V
+  checkRange<T extends number | bigint> (value: T, range: Range, name?: string): T
+  /** Throws the collected violations, if any: the violation itself if there's only one, else one whose `cause` is the violations. */
+  throwIfViolated (): void
+}
+
+/**
+ * Returns precondition helpers, which, in collecting mode, collect violations instead of throwing the first.
+ */
+export declare function createPreconditions (options?: { collect?: boolean }): Preconditions
+
+/**
+ * Calls the given function with collecting precondition helpers, and then throws all of the violations at once, if any.
+ * The function must be synchronous; if it returns a promise, an `IllegalArgumentError` is thrown.
+ */
+export declare function checkAll<R> (fn: (preconditions: Preconditions) => R): R
+
+/**
+ * Returns the given argument, else throws a `MissingRequiredArgumentError` if it's `undefined` or `null`.
+ */
+export declare function requireArg<T> (value: T, name?: string): NonNullable<T>
+
+/**
+ * Returns the given argument, else throws an `IllegalArgumentTypeError` if it isn't of the given type.
+ */
+export declare function checkArgType<T extends TypeSpec> (value: unknown, type: T, name?: string): TypeOfSpec<T>
+
+/**
+ * Throws an `IllegalArgumentError` unless the given predicate, or the function returning it, is truthy.
+ */
+export declare function checkArg (predicate: () => unknown, name?: string, details?: ViolationDetails): void
+export declare function checkArg (predicate: unknown, name?: string, details?: ViolationDetails): asserts predicate
+
+/**
+ * Throws an `IllegalStateError` unless the given predicate, or the function returning it, is truthy.
+ */
+export declare function checkState (predicate: () => unknown, details?: ViolationDetails): void
+export declare function checkState (predicate: unknown, details?: ViolationDetails): asserts predicate
+
+/**
+ * Returns the given argument, else throws an `IllegalArgumentError` if it isn't one of the given values.
+ */
+export declare function oneOf<V> (value: unknown, values: readonly V[], name?: string): V
+
+/**
+ * Returns the given argument, else throws an `IllegalArgumentTypeError` if it isn't a number, or an `IllegalArgumentError` if it's out of the given range.
+ */
+export declare function checkRange<T extends number | bigint> (value: T, range: Range, name?: string): T
@@ -0,0 +1,272 @@
+'use strict'
+
+const IllegalArgumentError = require('../errors/IllegalArgumentError')
+const IllegalArgumentTypeError = require('../errors/IllegalArgumentTypeError')
+const MissingRequiredArgumentError = require('../errors/MissingRequiredArgumentError')
+const IllegalStateError = require('../errors/IllegalStateError')
+
+/**
+ * The names of the types that {@link checkArgType} understands, besides classes.
+ * @type {string[]}
+ * @private
+ */
+const TYPES = ['string', 'number', 'bigint', 'boolean', 'symbol', 'function', 'object', 'undefined', 'null', 'array']
+
+/**
+ * Returns the name of the type of the given value, which is `null` for `null`, `array` for arrays, the name of the class of other objects, like `Date`, and otherwise the `typeof` the value.
+ *
+ * @param {*} value The value.
+ * @return {string}
+ * @private
+ */
+const _typeOf = value => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'object') return value.constructor?.name || 'object'
+
+  return typeof value
+}
+
+/**
+ * Returns whether the given value is of the given type.
+ *
+ * @param {*} value The value.
+ * @param {string|Function} type The name of a type in {@link TYPES}, or a class.
+ * @return {boolean}
+ * @private
+ */
+const _isType = (value, type) => {
+  if (typeof type === 'function') return value instanceof type
+
+  switch (type) {
+    case 'null':
+      return value === null
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return typeof value === 'object' && value !== null
+    default: {
+      const actual = typeof value
+      return actual === type
+    }
+  }
+}
+
+/**
+ * Returns the description of the given type for `info.expected`, which is the type's name, or, for a class, the class's name.
+ *
+ * @param {string|Function} type The type.
+ * @return {string}
+ * @private
+ */
+const _typeName = type => typeof type === 'function' ? type.name : type
+
+/**
+ * Returns the message & additional `info` of a violation from the given details.
+ *
+ * @param {string|object} [details] The message, or an object to be merged into `info`, whose `message`, if any, is the message.
+ * @return {{message: string|undefined, info: object}}
+ * @private
+ */
+const _details = details => {
+  if (typeof details === 'string') return { message: details, info: {} }
+
+  const { message, ...info } = details || {}
+  return { message, info }
+}
+
+/**
+ * Returns precondition helpers, each of which, if its precondition is violated, throws the matching built-in error, whose `info` is like `{ name, expected, actual }`.
+ * In collecting mode, violations are instead added to the returned `violations` array, and the returned `throwIfViolated` function throws them all at once.
+ *
+ * @param {object} [arg0={}] The argument to be deconstructed.
+ * @param {boolean} [arg0.collect=false] Whether to collect violations instead of throwing the first.
+ * @return {object} The helpers, `violations` & `throwIfViolated`.
+ */
+const createPreconditions = ({ collect = false } = {}) => {
+  const violations = []
+
+  const violate = error => {
+    if (!collect) throw error
+    violations.push(error)
+  }
+
+  /**
+   * Requires that the given argument is neither `undefined` nor `null`, else violates with a {@link MissingRequiredArgumentError}.
+   *
+   * @param {*} value The argument.
+   * @param {string} [name] The name of the argument.
+   * @return {*} The argument.
+   */
+  const requireArg = (value, name) => {
+    if (value === undefined || value === null) {
+      violate(new MissingRequiredArgumentError({ info: { name, expected: 'defined', actual: _typeOf(value) } }))
+    }
+
+    return value
+  }
+
+  /**
+   * Checks that the given argument is of the given type, else violates with an {@link IllegalArgumentTypeError}.
+   *
+   * @param {*} value The argument.
+   * @param {string|Function|Array<string|Function>} type The type, which is a class, matched via `instanceof`, or the name of a type, which is `string`, `number`, `bigint`, `boolean`, `symbol`, `function`, `object`, `undefined`, `null` or `array`, or an array of types, any of which is allowed.
+   * @param {string} [name] The name of the argument.
+   * @return {*} The argument.
+   */
+  const checkArgType = (value, type, name) => {
+    const types = [].concat(type)
+    types.forEach(it => {
+      if (typeof it !== 'function' && !TYPES.includes(it)) throw new IllegalArgumentError({ info: { name: 'type', expected: TYPES, actual: it } })
+    })
+
+    if (!types.some(it => _isType(value, it))) {
+      violate(new IllegalArgumentTypeError({
+        info: {
+          name,
+          expected: Array.isArray(type) ? types.map(_typeName) : _typeName(type),
+          actual: _typeOf(value)
+        }
+      }))
+    }
+
+    return value
+  }
+
+  /**
+   * Checks that the given predicate about an argument holds, else violates with an {@link IllegalArgumentError}.
+   *
+   * @param {boolean|function} predicate The predicate, or a function returning it.
+   * @param {string} [name] The name of the argument.
+   * @param {string|object} [details] The message, or an object, like `{ expected, actual }`, merged into the error's `info`, whose `message`, if any, is the message.
+   */
+  const checkArg = (predicate, name, details) => {
+    if (typeof predicate === 'function' ? predicate() : predicate) return
+
+    const { message, info } = _details(details)
+    violate(new IllegalArgumentError({ message, info: { name, ...info } }))
+  }
+
+  /**
+   * Checks that the given predicate about some state holds, else violates with an {@link IllegalStateError}.
+   *
+   * @param {boolean|function} predicate The predicate, or a function returning it.
+   * @param {string|object} [details] The message, or an object, like `{ name, expected, actual }`, that becomes the error's `info`, whose `message`, if any, is the message.
+   */
+  const checkState = (predicate, details) => {
+    if (typeof predicate === 'function' ? predicate() : predicate) return
+
+    const { message, info } = _details(details)
+    violate(new IllegalStateError({ message, info }))
+  }
+
+  /**
+   * Checks that the given argument is one of the given values, compared like `Array.prototype.includes`, else violates with an {@link IllegalArgumentError}.
+   *
+   * @param {*} value The argument.
+   * @param {Array<*>} values The allowed values.
+   * @param {string} [name] The name of the argument.
+   * @return {*} The argument.
+   */
+  const oneOf = (value, values, name) => {
+    if (!values.includes(value)) violate(new IllegalArgumentError({ info: { name, expected: values, actual: value } }))
+
+    return value
+  }
+
+  /**
+   * Checks that the given argument is a number or `bigint` within the given range, else violates with an {@link IllegalArgumentTypeError} if it isn't a number, including `NaN`, or an {@link IllegalArgumentError} if it's out of range.
+   * The range is given as `info.expected`, like `{ min: 1, minExclusive: false, max: 10, maxExclusive: true }`.
+   *
+   * @param {number|bigint} value The argument.
+   * @param {object} range The argument to be deconstructed.
+   * @param {number|bigint} [range.min] The minimum, if any.
+   * @param {number|bigint} [range.max] The maximum, if any.
+   * @param {boolean} [range.minExclusive=false] Whether the minimum is excluded from the range.
+   * @param {boolean} [range.maxExclusive=false] Whether the maximum is excluded from the range.
+   * @param {string} [name] The name of the argument.
+   * @return {number|bigint} The argument.
+   */
+  const checkRange = (value, {
+    min,
+    max,
+    minExclusive = false,
+    maxExclusive = false
+  }, name) => {
+    if (!['number', 'bigint'].includes(typeof value) || Number.isNaN(value)) {
+      violate(new IllegalArgumentTypeError({ info: { name, expected: ['number', 'bigint'], actual: Number.isNaN(value) ? 'NaN' : _typeOf(value) } }))
+      return value
+    }
+
+    const tooLow = min !== undefined && (minExclusive ? value <= min : value < min)
+    const tooHigh = max !== undefined && (maxExclusive ? value >= max : value > max)
+    if (tooLow || tooHigh) {
+      const expected = {}
+      if (min !== undefined) Object.assign(expected, { min, minExclusive })
+      if (max !== undefined) Object.assign(expected, { max, maxExclusive })
+
+      violate(new IllegalArgumentError({ info: { name, expected, actual: value } }))
+    }
+
+    return value
+  }
+
+  /**
+   * Throws the collected violations, if any: the violation itself if there's only one, else an {@link IllegalArgumentError}, if they're all argument violations, or an {@link IllegalStateError}, whose `cause` is the violations & whose `info` is like `{ count: 2 }`.
+   */
+  const throwIfViolated = () => {
+    if (!violations.length) return
+    if (violations.length === 1) throw violations[0]
+
+    const E = violations.every(it => it instanceof IllegalArgumentError) ? IllegalArgumentError : IllegalStateError
+    throw new E({
+      message: `${violations.length} preconditions were violated`,
+      cause: violations.slice(),
+      info: { count: violations.length }
+    })
+  }
+
+  return {
+    violations,
+    requireArg,
+    checkArgType,
+    checkArg,
+    checkState,
+    oneOf,
+    checkRange,
+    throwIfViolated
+  }
+}
+
+/**
+ * Calls the given function with collecting precondition helpers (see {@link createPreconditions}), and then throws all of the violations at once, if any, so that every violation is reported instead of only the first.
+ *
+ * The function must be synchronous, since violations recorded after it returns would be lost, so, if it returns a promise or other thenable, like an `async` function does, an {@link IllegalArgumentError} is thrown instead, and the thenable's rejection, if any, is ignored.
+ *
+ * @param {function} fn The function, which is given the helpers.
+ * @return {*} What the function returns.
+ */
+const checkAll = fn => {
+  const preconditions = createPreconditions({ collect: true })
+  const result = fn(preconditions)
+  if (typeof result?.then === 'function') {
+    Promise.resolve(result).catch(() => {})
+    checkArg(false, 'fn', 'The function given to checkAll must be synchronous, not return a promise')
+  }
+  preconditions.throwIfViolated()
+
+  return result
+}
+
+const { requireArg, checkArgType, checkArg, checkState, oneOf, checkRange } = createPreconditions()
+
+module.exports = {
+  createPreconditions,
+  checkAll,
+  requireArg,
+  checkArgType,
+  checkArg,
+  checkState,
+  oneOf,
+  checkRange
+}
@@ -0,0 +1,90 @@
+/**
+ * The default replacement for redacted values.
+ */
+export declare const REDACTED: '[REDACTED]'
+
+/**
+ * A detector of sensitive substrings of string values.
+ */
+export interface Detector {
+  /** The pattern matching the substrings, which should be global. */
+  pattern: RegExp
+  /** An optional function that each match must also satisfy. */
+  test?: (match: string) => boolean
+}
+
+/**
+ * The built-in detectors, keyed by name.
+ */
+export declare const DETECTORS: {
+  bearer: Detector
+  jwt: Detector
+  creditCard: Detector
+  email: Detector
+}
+
+/**
+ * The location of a redacted value.
+ */
+export interface RedactedLocation {
+  /** The key of the value. */
+  key: string | number
+  /** The path of the value from the root of the result, like `$.cause[0].info.password`. */
+  path: string
+}
+
+/**
+ * A redaction policy.
+ */
+export interface RedactionPolicy {
+  /** Dotted paths, relative to each error in the cause chain, of the values to redact, like `info.password` or `**.token`. */
+  paths?: string[]
+  /** Property names, or patterns matching property names, whose values are redacted wherever they occur. */
+  keys?: Array<string | RegExp>
+  /** Detectors of sensitive substrings of string values, by name, as patterns, or as objects. */
+  values?: Array<keyof typeof DETECTORS | RegExp | Detector>
+  /** The replacement for redacted values, or a function that returns it. */
+  mask?: unknown | ((value: unknown, location: RedactedLocation) => unknown)
+}
+
+/**
+ * A redaction policy, or `false` to redact nothing.
+ */
+export type Redacting = RedactionPolicy | Redactor | boolean
+
+/**
+ * Redacts sensitive values during serialization.
+ */
+export declare class Redactor {
+  constructor (policy?: RedactionPolicy)
+
+  /**
+   * Returns whether the value at the given key should be redacted.
+   */
+  redactsKey (key: string | number, segments: Array<string | number>): boolean
+
+  /**
+   * Returns the replacement for the given redacted value.
+   */
+  mask (value: unknown, location: RedactedLocation): unknown
+
+  /**
+   * Returns the given string with its detected sensitive substrings redacted.
+   */
+  redactString (string: string, location: RedactedLocation): string
+}
+
+/**
+ * Sets the process-wide default redaction policy, or, if `undefined`, removes it.
+ */
+export declare function setDefaultRedaction (policy: RedactionPolicy | Redactor | undefined): void
+
+/**
+ * Returns the process-wide default redactor, if any.
+ */
+export declare function getDefaultRedaction (): Redactor | undefined
+
+/**
+ * Returns the redactor for the given policy.
+ */
+export declare function toRedactor (policy?: Redacting | null): Redactor | undefined
@@ -0,0 +1,208 @@
+'use strict'
+
+/**
+ * The default replacement for redacted values.
+ * @type {string}
+ */
+const REDACTED = '[REDACTED]'
+
+/**
+ * Returns whether the given digits pass the Luhn checksum used by payment card numbers.
+ *
+ * @param {string} digits The digits, possibly separated by spaces or dashes.
+ * @return {boolean}
+ * @private
+ */
+const _luhn = digits => {
+  const sum = digits
+    .replace(/\D/g, '')
+    .split('')
+    .reverse()
+    .reduce((accum, it, i) => {
+      let n = parseInt(it, 10)
+      if (i % 2) {
+        n *= 2
+        if (n > 9) n -= 9
+      }
+      return accum + n
+    }, 0)
+
+  return sum % 10 === 0
+}
+
+/**
+ * Built-in value detectors, which can be referred to by name in the `values` of a redaction policy.
+ * Each has a global `pattern` and an optional `test` that a match must also satisfy.
+ *
+ * * `bearer`: bearer tokens, like those in `Authorization` headers,
+ * * `jwt`: JSON web tokens,
+ * * `creditCard`: payment card numbers that pass the Luhn checksum, and
+ * * `email`: email addresses.
+ *
+ * @type {object}
+ */
+const DETECTORS = {
+  bearer: { pattern: /\bBearer\s+[\w\-.~+/]+=*/gi },
+  jwt: { pattern: /\beyJ[\w-]*\.eyJ[\w-]*\.[\w-]*/g },
+  creditCard: { pattern: /\b\d(?:[ -]?\d){12,18}\b/g, test: _luhn },
+  email: { pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g }
+}
+
+/**
+ * Returns whether the given path segments match the given glob segments, where `*` matches any one segment and `**` matches any number of segments.
+ *
+ * @param {string[]} glob The glob segments.
+ * @param {string[]} segments The path segments.
+ * @return {boolean}
+ * @private
+ */
+const _globMatches = (glob, segments) => {
+  if (!glob.length) return !segments.length
+
+  const [first, ...rest] = glob
+
+  if (first === '**') {
+    for (let i = 0; i <= segments.length; i++) {
+      if (_globMatches(rest, segments.slice(i))) return true
+    }
+    return false
+  }
+
+  return !!segments.length &&
+    (first === '*' || first === segments[0]) &&
+    _globMatches(rest, segments.slice(1))
+}
+
+/**
+ * Returns the given value detector as an object with a global `pattern` and an optional `test`.
+ *
+ * @param {string|RegExp|object} it The name of a built-in detector in {@link DETECTORS}, a `RegExp`, or an object with a `pattern` & optional `test`.
+ * @return {object}
+ * @private
+ */
+const _detector = it => {
+  if (typeof it === 'string') {
+    if (!DETECTORS[it]) throw new Error(`unknown value detector: ${it}`)
+    return DETECTORS[it]
+  }
+
+  const { pattern, test } = it instanceof RegExp ? { pattern: it } : it
+  return {
+    pattern: pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`),
+    test
+  }
+}
+
+/**
+ * A compiled redaction policy, which decides which values to redact while converting errors to objects.
+ */
+class Redactor {
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {object} [arg0={}] The redaction policy to be deconstructed.
+   * @param {string[]} [arg0.paths=[]] Dotted paths, relative to each error in the cause chain, of the values to redact, like `info.password`.
+   * Array indexes are path segments, too, `*` matches any one segment and `**` matches any number of segments, like `info.user.*.ssn` or `**.token`.
+   * @param {Array<string|RegExp>} [arg0.keys=[]] Property names, or patterns matching property names, whose values are redacted wherever they occur.
+   * @param {Array<string|RegExp|object>} [arg0.values=[]] Detectors of sensitive substrings of string values, which are redacted wherever they occur.
+   * Each is the name of a built-in detector in {@link DETECTORS}, a `RegExp`, or an object with a `pattern` `RegExp` and an optional `test` function that each match must also satisfy.
+   * @param {*|function} [arg0.mask='[REDACTED]'] The replacement for redacted values, or a function that returns it, given the redacted value and an object with the `key` and `path` of the value.
+   * For values detected within strings, the redacted value is the detected substring, and the result is converted to a string.
+   */
+  constructor ({
+    paths = [],
+    keys = [],
+    values = [],
+    mask = REDACTED
+  } = {}) {
+    this._paths = paths.map(it => it.split('.'))
+    this._keys = keys
+    this._detectors = values.map(_detector)
+    this._mask = mask
+  }
+
+  /**
+   * Returns whether the value at the given key should be redacted.
+   *
+   * @param {string|number} key The key.
+   * @param {Array<string|number>} segments The path segments of the value, relative to the nearest error containing it.
+   * @return {boolean}
+   */
+  redactsKey (key, segments) {
+    if (typeof key === 'string' && this._keys.some(it => it instanceof RegExp ? it.test(key) : it === key)) return true
+
+    segments = segments.map(String)
+    return this._paths.some(it => _globMatches(it, segments))
+  }
+
+  /**
+   * Returns the replacement for the given redacted value.
+   *
+   * @param {*} value The value.
+   * @param {object} arg1 The argument to be deconstructed.
+   * @param {string|number} arg1.key The key of the value.
+   * @param {string} arg1.path The path of the value from the root of the result, like `$.cause[0].info.password`.
+   * @return {*}
+   */
+  mask (value, { key, path }) {
+    return typeof this._mask === 'function' ? this._mask(value, { key, path }) : this._mask
+  }
+
+  /**
+   * Returns the given string with any substrings found by this policy's value detectors redacted.
+   *
+   * @param {string} string The string.
+   * @param {object} arg1 See {@link Redactor#mask}.
+   * @return {string}
+   */
+  redactString (string, { key, path }) {
+    return this._detectors.reduce((accum, { pattern, test }) =>
+      accum.replace(pattern, match => test && !test(match) ? match : `${this.mask(match, { key, path })}`), string)
+  }
+}
+
+/**
+ * The process-wide default redaction policy.
+ * @type {Redactor|undefined}
+ * @private
+ */
+let _defaultRedactor
+
+/**
+ * Sets the process-wide default redaction policy, which is used whenever `toObject` or `toJson` is called without a `redacting` option.
+ *
+ * @param {object|Redactor|undefined} policy The policy; see {@link Redactor}.
+ * Give `undefined` to remove the default.
+ */
+const setDefaultRedaction = policy => {
+  _defaultRedactor = policy === undefined ? undefined : toRedactor(policy)
+}
+
+/**
+ * Returns the process-wide default redaction policy.
+ *
+ * @return {Redactor|undefined}
+ */
+const getDefaultRedaction = () => _defaultRedactor
+
+/**
+ * Returns the given redaction policy as a {@link Redactor}.
+ *
+ * @param {object|Redactor|boolean} [policy] The policy; see {@link Redactor}.
+ * If `undefined`, the process-wide default policy is returned; if `false` or `null`, no policy is returned.
+ * @return {Redactor|undefined}
+ */
+const toRedactor = policy => {
+  if (policy === undefined) return _defaultRedactor
+  if (policy === false || policy === null) return undefined
+  return policy instanceof Redactor ? policy : new Redactor(policy)
+}
+
+module.exports = {
+  REDACTED,
+  DETECTORS,
+  Redactor,
+  setDefaultRedaction,
+  getDefaultRedaction,
+  toRedactor
+}
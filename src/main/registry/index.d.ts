@@ -0,0 +1,73 @@
+import { AnyCodedErrorClass } from '../errors'
+
+export interface ErrorClassRegistryOptions {
+  /** What to do when a conflicting class is registered. */
+  onConflict?: 'ignore' | 'warn' | 'throw'
+  /** The function to call with the conflict message when `onConflict` is `'warn'`. */
+  warn?: (message: string) => void
+}
+
+/**
+ * A registry of error classes keyed by code, recording each class's supererror.
+ */
+export declare class ErrorClassRegistry {
+  onConflict: 'ignore' | 'warn' | 'throw'
+  warn?: (message: string) => void
+
+  constructor (options?: ErrorClassRegistryOptions)
+
+  /**
+   * Configures this registry.
+   */
+  configure (options?: ErrorClassRegistryOptions): this
+
+  /**
+   * Registers the given class.
+   */
+  register<C extends AnyCodedErrorClass> (C: C, options?: { supererror?: AnyCodedErrorClass }): C
+
+  /**
+   * Returns the most recently registered class for the given code, if any.
+   */
+  get (code: string): AnyCodedErrorClass | undefined
+
+  /**
+   * Returns whether a class is registered for the given code.
+   */
+  has (code: string): boolean
+
+  /**
+   * Returns all registered classes.
+   */
+  all (): AnyCodedErrorClass[]
+
+  /**
+   * Returns the supererror of the given class or code, if any.
+   */
+  parentOf (codeOrClass: string | AnyCodedErrorClass): AnyCodedErrorClass | undefined
+
+  /**
+   * Returns the supererrors of the given class or code, nearest first.
+   */
+  ancestorsOf (codeOrClass: string | AnyCodedErrorClass): AnyCodedErrorClass[]
+
+  /**
+   * Returns the registered subclasses of the given class or code.
+   */
+  childrenOf (codeOrClass: string | AnyCodedErrorClass): AnyCodedErrorClass[]
+
+  /**
+   * Removes the given class, or the class registered for the given code.
+   */
+  unregister (codeOrClass: string | AnyCodedErrorClass): this
+
+  /**
+   * Removes all registered classes.
+   */
+  clear (): this
+}
+
+/**
+ * The registry with which the class factory registers each class it defines.
+ */
+export declare const registry: ErrorClassRegistry
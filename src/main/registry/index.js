@@ -0,0 +1,208 @@
+'use strict'
+
+/**
+ * The actions that can be taken when a conflicting error class is registered.
+ * @type {string[]}
+ * @private
+ */
+const CONFLICT_ACTIONS = ['ignore', 'warn', 'throw']
+
+/**
+ * A registry of error classes keyed by code, recording each class's supererror.
+ * Classes defined by the `CodedError` class factory, including those defined via `subclass`, are registered with {@link registry} automatically, unless defined with `register: false`, and are held until unregistered.
+ *
+ * A conflict occurs when a class is registered whose `code` is already registered with a different `name`, or whose `name` is already registered with a different `code`.
+ * Redefining a class with the same `code` & `name` is not a conflict, and the most recently registered class for a code is the one returned by {@link ErrorClassRegistry#get}.
+ * Conflict detection is opt in; by default, conflicts are ignored.
+ */
+class ErrorClassRegistry {
+  /**
+   * Constructs a new instance of this class.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed; see {@link ErrorClassRegistry#configure}.
+   */
+  constructor ({
+    onConflict = 'ignore',
+    warn
+  } = {}) {
+    this._byCode = new Map()
+    this._byName = new Map()
+    this.configure({ onConflict, warn })
+  }
+
+  /**
+   * Configures this registry.
+   *
+   * @param {object} [arg0={}] The argument to be deconstructed.
+   * @param {string} [arg0.onConflict] What to do when a conflicting class is registered: `'ignore'`, `'warn'` or `'throw'`.
+   * @param {function} [arg0.warn] The function to call with the conflict message when `onConflict` is `'warn'`; defaults to `process.emitWarning`.
+   * @return {ErrorClassRegistry} This registry.
+   */
+  configure ({
+    onConflict,
+    warn
+  } = {}) {
+    if (onConflict !== undefined) {
+      if (!CONFLICT_ACTIONS.includes(onConflict)) throw new Error(`onConflict must be one of ${CONFLICT_ACTIONS.join(', ')}`)
+      this.onConflict = onConflict
+    }
+    if (warn !== undefined) this.warn = warn
+
+    return this
+  }
+
+  /**
+   * Registers the given class.
+   *
+   * @param {Function} C The class to register, which must have a static `CODE` property.
+   * @param {object} [arg1={}] The argument to be deconstructed.
+   * @param {Function} [arg1.supererror] The class's supererror, if any.
+   * @return {Function} The given class.
+   */
+  register (C, { supererror } = {}) {
+    const code = C.CODE
+    const name = C.name
+
+    const conflict = this._conflict({ code, name })
+    if (conflict) {
+      if (this.onConflict === 'throw') throw new Error(conflict)
+      if (this.onConflict === 'warn') (this.warn || (it => process.emitWarning(it, 'ErrorClassConflictWarning')))(conflict)
+    }
+
+    const entry = { code, name, class: C, supererror }
+    this._byCode.set(code, entry)
+    this._byName.set(name, entry)
+
+    return C
+  }
+
+  /**
+   * Returns a description of the conflict that registering the given code & name would cause, or `undefined` if there would be none.
+   *
+   * @param {object} arg0 The argument to be deconstructed.
+   * @param {string} arg0.code The code being registered.
+   * @param {string} arg0.name The name being registered.
+   * @return {string|undefined}
+   * @private
+   */
+  _conflict ({ code, name }) {
+    const byCode = this._byCode.get(code)
+    if (byCode && byCode.name !== name) return `error code ${code} is already registered with name ${byCode.name}; cannot register it with name ${name}`
+
+    const byName = this._byName.get(name)
+    if (byName && byName.code !== code) return `error name ${name} is already registered with code ${byName.code}; cannot register it with code ${code}`
+  }
+
+  /**
+   * Returns the code of the given class or code.
+   *
+   * @param {Function|string} codeOrClass A class or code.
+   * @return {string}
+   * @private
+   */
+  _code (codeOrClass) {
+    return typeof codeOrClass === 'function' ? codeOrClass.CODE : codeOrClass
+  }
+
+  /**
+   * Returns the class most recently registered with the given code.
+   *
+   * @param {string} code The code.
+   * @return {Function|undefined}
+   */
+  get (code) {
+    return this._byCode.get(code)?.class
+  }
+
+  /**
+   * Returns whether a class has been registered with the given code.
+   *
+   * @param {string} code The code.
+   * @return {boolean}
+   */
+  has (code) {
+    return this._byCode.has(code)
+  }
+
+  /**
+   * Returns all registered classes, one per code.
+   *
+   * @return {Function[]}
+   */
+  all () {
+    return Array.from(this._byCode.values()).map(it => it.class)
+  }
+
+  /**
+   * Returns the supererror of the given class or code, if any.
+   *
+   * @param {Function|string} codeOrClass A class or code.
+   * @return {Function|undefined}
+   */
+  parentOf (codeOrClass) {
+    return this._byCode.get(this._code(codeOrClass))?.supererror
+  }
+
+  /**
+   * Returns the supererrors of the given class or code, nearest first.
+   *
+   * @param {Function|string} codeOrClass A class or code.
+   * @return {Function[]}
+   */
+  ancestorsOf (codeOrClass) {
+    const ancestors = []
+    for (let it = this.parentOf(codeOrClass); it && !ancestors.includes(it); it = this.parentOf(it)) ancestors.push(it)
+    return ancestors
+  }
+
+  /**
+   * Returns the registered classes whose supererror is the given class or has the given code.
+   *
+   * @param {Function|string} codeOrClass A class or code.
+   * @return {Function[]}
+   */
+  childrenOf (codeOrClass) {
+    const code = this._code(codeOrClass)
+    return Array.from(this._byCode.values())
+      .filter(it => it.supererror && it.supererror.CODE === code)
+      .map(it => it.class)
+  }
+
+  /**
+   * Unregisters the given class, or the class registered with the given code, so that it can be garbage collected.
+   * A class is only unregistered if it's the one registered for its code.
+   *
+   * @param {Function|string} codeOrClass A class or code.
+   * @return {ErrorClassRegistry} This registry.
+   */
+  unregister (codeOrClass) {
+    const entry = this._byCode.get(this._code(codeOrClass))
+    if (!entry || (typeof codeOrClass === 'function' && entry.class !== codeOrClass)) return this
+
+    this._byCode.delete(entry.code)
+    if (this._byName.get(entry.name) === entry) this._byName.delete(entry.name)
+    return this
+  }
+
+  /**
+   * Unregisters all classes.
+   *
+   * @return {ErrorClassRegistry} This registry.
+   */
+  clear () {
+    this._byCode.clear()
+    this._byName.clear()
+    return this
+  }
+}
+
+/**
+ * The registry with which the `CodedError` class factory registers each class it defines.
+ * @type {ErrorClassRegistry}
+ */
+const registry = new ErrorClassRegistry()
+
+module.exports = {
+  ErrorClassRegistry,
+  registry
+}
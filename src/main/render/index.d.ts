@@ -0,0 +1,19 @@
+import { Redacting } from '../redaction'
+
+export interface RenderOptions {
+  /** Whether to include the stack frames of each error. */
+  stack?: boolean
+  /** Whether to colorize the output with ANSI escape codes. */
+  colors?: boolean
+  /** The maximum depth of causes to render, beyond which the number of remaining causes is shown instead. */
+  maxDepth?: number
+  /** The maximum width of each line, beyond which it's truncated. */
+  maxWidth?: number
+  /** The redaction policy applied to each error's `info`, or `false` to redact nothing; defaults to the process-wide policy. */
+  redacting?: Redacting
+}
+
+/**
+ * Renders the given error & its tree of causes as multiple, human-readable lines.
+ */
+export declare function renderError (error: unknown, options?: RenderOptions): string
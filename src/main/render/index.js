@@ -0,0 +1,210 @@
+'use strict'
+
+const util = require('util')
+const { immediateCauses } = require('../cause-utils')
+
+/**
+ * The ANSI escape codes used to colorize rendered errors, keyed by style.
+ * @type {object}
+ * @private
+ */
+const STYLES = {
+  name: ['\u001b[1m\u001b[31m', '\u001b[39m\u001b[22m'],
+  code: ['\u001b[33m', '\u001b[39m'],
+  detail: ['\u001b[90m', '\u001b[39m'],
+  tree: ['\u001b[90m', '\u001b[39m']
+}
+
+/**
+ * Matches, & captures, the ANSI escape codes in {@link STYLES} & those of `util.inspect`.
+ * @type {RegExp}
+ * @private
+ */
+const ANSI = /(\u001b\[\d+m)/g // eslint-disable-line no-control-regex
+
+/**
+ * Returns the given text in the given style, if colorizing.
+ *
+ * @param {string} text The text.
+ * @param {string} style The style, which is a key of {@link STYLES}.
+ * @param {boolean} colors Whether to colorize.
+ * @return {string}
+ * @private
+ */
+const _style = (text, style, colors) => colors ? `${STYLES[style][0]}${text}${STYLES[style][1]}` : text
+
+/**
+ * Returns the given line truncated to the given width, ignoring ANSI escape codes when measuring it.
+ * The escape codes are kept, so that truncated lines are colorized like the others.
+ *
+ * @param {string} line The line.
+ * @param {number} maxWidth The maximum width.
+ * @return {string}
+ * @private
+ */
+const _truncate = (line, maxWidth) => {
+  const plain = line.replace(ANSI, '')
+  if (plain.length <= maxWidth) return line
+
+  let rest = Math.max(maxWidth - 1, 0)
+  const kept = line.split(ANSI).map((it, i) => { // odd elements are the captured escape codes
+    if (i % 2) return it
+
+    const text = it.substring(0, rest)
+    rest -= text.length
+    return text
+  })
+
+  return `${kept.join('')}…`
+}
+
+/**
+ * Returns the own message of the given error, without its code or the messages of its causes.
+ * Classes like `CodedError` provide a static `ownMessage` method for this; otherwise, the error's `message` is used.
+ *
+ * @param {Error} error The error.
+ * @return {string}
+ * @private
+ */
+const _ownMessage = error => typeof error.constructor?.ownMessage === 'function'
+  ? error.constructor.ownMessage(error)
+  : error.message
+
+/**
+ * Returns the heading line of the given value, like `IllegalArgumentError [E_ILLEGAL_ARGUMENT]: Argument x is illegal`.
+ *
+ * @param {*} value The value.
+ * @param {boolean} colors Whether to colorize.
+ * @return {string}
+ * @private
+ */
+const _heading = (value, colors) => {
+  if (!(value instanceof Error)) return util.inspect(value, { colors, breakLength: Infinity })
+
+  const code = value.code === undefined ? '' : ` ${_style(`[${String(value.code)}]`, 'code', colors)}`
+  const message = _ownMessage(value)
+
+  return `${_style(value.name || 'Error', 'name', colors)}${code}${message ? `: ${message}` : ''}`
+}
+
+/**
+ * Returns the `info` of the given error, which, for errors like `CodedError` that have a `toObject` method, is that of their object representation, so that it's redacted like it would be when serialized.
+ *
+ * @param {Error} error The error.
+ * @param {object|Redactor|boolean} [redacting] The redaction policy; see {@link CodedError#toObject}.
+ * @return {*}
+ * @private
+ */
+const _info = (error, redacting) => typeof error.toObject === 'function'
+  ? error.toObject({ omitting: ['cause', 'stack'], redacting }).info
+  : error.info
+
+/**
+ * Returns the detail lines of the given value, which are its `info` & optionally its stack frames.
+ *
+ * @param {*} value The value.
+ * @param {object} options The normalized options; see {@link renderError}.
+ * @return {string[]}
+ * @private
+ */
+const _details = (value, { stack, colors, redacting }) => {
+  if (!(value instanceof Error)) return []
+
+  const details = []
+  if (value.info !== undefined) details.push(`info: ${util.inspect(_info(value, redacting), { colors, depth: 4, breakLength: Infinity })}`)
+  if (stack && typeof value.stack === 'string') {
+    value.stack.split('\n')
+      .map(it => it.trim())
+      .filter(it => it.startsWith('at '))
+      .forEach(it => details.push(_style(it, 'detail', colors)))
+  }
+
+  return details
+}
+
+/**
+ * Renders the given value & its causes as lines.
+ *
+ * @param {object} arg0 The argument to be deconstructed.
+ * @param {*} arg0.value The value.
+ * @param {string} arg0.prefix The prefix of the value's heading line, drawing its branch of the tree.
+ * @param {string} arg0.indent The prefix of the value's other lines & those of its causes.
+ * @param {number} arg0.depth The depth of the value.
+ * @param {object[]} arg0.ancestors The errors containing the value, to detect cycles.
+ * @param {object} arg0.options The normalized options; see {@link renderError}.
+ * @return {string[]}
+ * @private
+ */
+const _lines = ({
+  value,
+  prefix,
+  indent,
+  depth,
+  ancestors,
+  options
+}) => {
+  const { colors } = options
+  const tree = text => _style(text, 'tree', colors)
+
+  if (ancestors.includes(value)) return [`${prefix}${_style('[Circular]', 'detail', colors)}`]
+
+  const causes = value instanceof Error ? immediateCauses(value) : []
+  const lines = [`${prefix}${_heading(value, colors)}`]
+
+  _details(value, options).forEach(it => lines.push(`${indent}${tree(causes.length ? '│  ' : '   ')}${it}`))
+
+  if (!causes.length) return lines
+
+  if (depth >= options.maxDepth) {
+    lines.push(`${indent}${tree('└─ ')}${_style(`[${causes.length} more cause${causes.length === 1 ? '' : 's'}]`, 'detail', colors)}`)
+    return lines
+  }
+
+  causes.forEach((it, i) => {
+    const last = i === causes.length - 1
+    lines.push(..._lines({
+      value: it,
+      prefix: `${indent}${tree(last ? '└─ ' : '├─ ')}`,
+      indent: `${indent}${tree(last ? '   ' : '│  ')}`,
+      depth: depth + 1,
+      ancestors: ancestors.concat([value]),
+      options
+    }))
+  })
+
+  return lines
+}
+
+/**
+ * Renders the given error & its tree of causes as multiple, human-readable lines for terminals & development logs.
+ * Each error is shown with its name, code & own message, which excludes the messages of its causes, followed by its `info` &, optionally, its stack frames, and then its causes, which include native `cause`s & `AggregateError` `errors`, drawn as a tree.
+ *
+ * @param {*} error The error.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {boolean} [arg1.stack=false] Whether to include the stack frames of each error.
+ * @param {boolean} [arg1.colors=false] Whether to colorize the output with ANSI escape codes.
+ * @param {number} [arg1.maxDepth=Infinity] The maximum depth of causes to render, beyond which the number of remaining causes is shown instead.
+ * @param {number} [arg1.maxWidth=Infinity] The maximum width of each line, beyond which it's truncated.
+ * @param {object|Redactor|boolean} [arg1.redacting] The redaction policy applied to each error's `info`, as by {@link CodedError#toObject}; if not given, the process-wide default policy, if any, is used.
+ * @return {string}
+ */
+const renderError = (error, {
+  stack = false,
+  colors = false,
+  maxDepth = Infinity,
+  maxWidth = Infinity,
+  redacting
+} = {}) => _lines({
+  value: error,
+  prefix: '',
+  indent: '',
+  depth: 0,
+  ancestors: [],
+  options: { stack, colors, maxDepth, redacting }
+})
+  .map(it => _truncate(it, maxWidth))
+  .join('\n')
+
+module.exports = {
+  renderError
+}
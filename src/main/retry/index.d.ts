@@ -0,0 +1,28 @@
+/**
+ * Returns whether the operation that failed with the given error can be retried, which is the case if the error or any of its causes is retryable or transient.
+ */
+export declare function isRetryable (error: unknown): boolean
+
+export interface RetryOptions {
+  /** The maximum number of attempts. */
+  maxAttempts?: number
+  /** The milliseconds to wait before the first retry, or a function returning the milliseconds to wait, before jitter, given the number & error of the failed attempt. */
+  delay?: number | ((attempt: number, error: unknown) => number)
+  /** The factor by which the wait grows with each retry. */
+  factor?: number
+  /** The maximum milliseconds to wait, before jitter. */
+  maxDelay?: number
+  /** The maximum fraction, from `0` to `1`, of each wait to randomly leave out. */
+  jitter?: number
+  /** A signal that, when aborted, stops further attempts & cuts short any wait. */
+  signal?: { readonly aborted: boolean, addEventListener (type: 'abort', listener: () => void): void, removeEventListener (type: 'abort', listener: () => void): void }
+  /** Returns whether to retry, given the error & number of the failed attempt. */
+  shouldRetry?: (error: unknown, attempt: number) => boolean
+  /** Called before each wait. */
+  onRetry?: (event: { error: unknown, attempt: number, delay: number }) => void
+}
+
+/**
+ * Calls the given function until it succeeds, waiting with exponential backoff & jitter between attempts, and rejects with a `RetryFailedError` whose `cause` is the attempts' errors when it gives up.
+ */
+export declare function retry<T> (fn: (attempt: number) => T | PromiseLike<T>, options?: RetryOptions): Promise<T>
@@ -0,0 +1,115 @@
+'use strict'
+
+const RetryFailedError = require('../errors/RetryFailedError')
+const { walkCauses } = require('../cause-utils')
+const { checkArg } = require('../preconditions')
+
+/**
+ * Returns whether the given error itself is retryable or transient.
+ *
+ * @param {*} error The error.
+ * @return {boolean}
+ * @private
+ */
+const _hasRetryableTrait = error => error !== null && typeof error === 'object' && (error.retryable === true || error.transient === true)
+
+/**
+ * Returns whether the operation that failed with the given error can be retried, which is the case if the error or any of its causes is retryable or transient; see {@link defineErrorClass}.
+ * Any error, not just a {@link CodedError}, whose `retryable` or `transient` property is `true` counts.
+ *
+ * @param {*} error The error.
+ * @return {boolean}
+ */
+const isRetryable = error => {
+  if (_hasRetryableTrait(error)) return true
+
+  for (const { error: cause } of walkCauses(error)) {
+    if (_hasRetryableTrait(cause)) return true
+  }
+
+  return false
+}
+
+/**
+ * Returns a promise that resolves after the given number of milliseconds, or as soon as the given signal is aborted.
+ *
+ * @param {number} ms The number of milliseconds.
+ * @param {AbortSignal} [signal] The signal.
+ * @return {Promise<void>}
+ * @private
+ */
+const _sleep = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) return resolve()
+
+  const done = () => {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', done)
+    resolve()
+  }
+  const timer = setTimeout(done, ms)
+  signal?.addEventListener('abort', done)
+})
+
+/**
+ * Calls the given function until it succeeds, waiting with exponential backoff & jitter between attempts, and returns a promise of what it returns.
+ *
+ * After an attempt fails, the operation is retried if `shouldRetry` says so, which, by default, is if the error or any of its causes is retryable or transient; see {@link isRetryable}.
+ * The wait before the `n`th retry is `delay * factor ** (n - 1)`, at most `maxDelay`, less a random fraction of up to `jitter` of it, so that clients retrying at once spread out.
+ *
+ * When it gives up, because the error isn't retryable, there have been `maxAttempts` attempts, or the signal was aborted, it rejects with a {@link RetryFailedError} whose `cause` is the array of the attempts' errors & whose `info` is like `{ attempts, reason }`, where `reason` is `not_retryable`, `exhausted` or `aborted`.
+ *
+ * @param {function} fn The function, which is given the number of the attempt, starting at `1`, and can be `async`.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {number} [arg1.maxAttempts=3] The maximum number of attempts.
+ * @param {number|function} [arg1.delay=100] The number of milliseconds to wait before the first retry, or a function returning the number of milliseconds to wait, before jitter, given the number of the failed attempt & its error.
+ * @param {number} [arg1.factor=2] The factor by which the wait grows with each retry.
+ * @param {number} [arg1.maxDelay=Infinity] The maximum number of milliseconds to wait, before jitter.
+ * @param {number} [arg1.jitter=0.5] The maximum fraction, from `0` to `1`, of each wait to randomly leave out.
+ * @param {AbortSignal} [arg1.signal] A signal that, when aborted, stops further attempts & cuts short any wait.
+ * @param {function} [arg1.shouldRetry=isRetryable] A function returning whether to retry, given the error & the number of the failed attempt.
+ * @param {function} [arg1.onRetry] A function called before each wait, given `{ error, attempt, delay }`, with the error & number of the failed attempt & the number of milliseconds to wait.
+ * @return {Promise<*>}
+ */
+const retry = async (fn, {
+  maxAttempts = 3,
+  delay = 100,
+  factor = 2,
+  maxDelay = Infinity,
+  jitter = 0.5,
+  signal,
+  shouldRetry = isRetryable,
+  onRetry
+} = {}) => {
+  checkArg(typeof fn === 'function', 'fn', 'The function to retry must be a function')
+  checkArg(Number.isInteger(maxAttempts) && maxAttempts >= 1, 'maxAttempts', { message: 'The maximum number of attempts must be a positive integer', actual: maxAttempts })
+  checkArg(typeof jitter === 'number' && jitter >= 0 && jitter <= 1, 'jitter', { message: 'The jitter must be from 0 to 1', actual: jitter })
+
+  const errors = []
+  const giveUp = reason => new RetryFailedError({ cause: errors, info: { attempts: errors.length, reason } })
+
+  for (let attempt = 1; ; attempt++) {
+    if (signal?.aborted) throw giveUp('aborted')
+
+    let error
+    try {
+      return await fn(attempt)
+    } catch (e) {
+      error = e
+    }
+
+    errors.push(error)
+    if (!shouldRetry(error, attempt)) throw giveUp('not_retryable')
+    if (attempt >= maxAttempts) throw giveUp('exhausted')
+
+    const backoff = Math.min(typeof delay === 'function' ? delay(attempt, error) : delay * Math.pow(factor, attempt - 1), maxDelay)
+    const wait = backoff * (1 - jitter * Math.random())
+
+    if (onRetry) onRetry({ error, attempt, delay: wait })
+    await _sleep(wait, signal)
+  }
+}
+
+module.exports = {
+  isRetryable,
+  retry
+}
@@ -0,0 +1,54 @@
+/**
+ * A structured stack frame.
+ */
+export interface StackFrame {
+  /** The name of the function, like `Foo.bar` or `new Foo`, or `null` if anonymous. */
+  fn: string | null
+  /** The file or URL, or `null` if unknown. */
+  file: string | null
+  /** The 1-based line number, or `null` if unknown. */
+  line: number | null
+  /** The 1-based column number, or `null` if unknown. */
+  column: number | null
+  /** Whether the function is native. */
+  native: boolean
+  /** Whether the frame is an `await` point of an `async` function. */
+  async: boolean
+}
+
+export interface StackFramesOptions {
+  /** Whether to leave out internal frames, or a function that returns whether to keep the given frame. */
+  filter?: boolean | ((frame: StackFrame) => boolean)
+  /** Whether to remap positions to original sources via source maps. */
+  sourceMaps?: boolean
+}
+
+/**
+ * Parses the given V8 stack into structured frames.
+ */
+export declare function parseStack (stack: string | undefined): StackFrame[]
+
+/**
+ * Decodes the given base64 VLQ string of a source map's mappings.
+ */
+export declare function decodeVlq (string: string): number[]
+
+/**
+ * Decodes the given source map mappings into segments per generated line.
+ */
+export declare function decodeMappings (mappings: string): number[][][]
+
+/**
+ * Returns the given frame remapped to its original source, or the given frame if it can't be remapped.
+ */
+export declare function remapFrame (frame: StackFrame): StackFrame
+
+/**
+ * Returns whether the given frame is in `node_modules`, in Node.js's internals or in this library.
+ */
+export declare function isInternalFrame (frame: Pick<StackFrame, 'file'>): boolean
+
+/**
+ * Returns the structured frames of the stack of the given error.
+ */
+export declare function stackFrames (error: unknown, options?: StackFramesOptions): StackFrame[]
@@ -0,0 +1,293 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { fileURLToPath } = require('url')
+
+/**
+ * The directory containing this library's modules, whose frames are filtered by {@link stackFrames}.
+ * @type {string}
+ * @private
+ */
+const LIBRARY_DIR = path.resolve(__dirname, '..')
+
+/**
+ * The characters of the base 64 alphabet used by source map VLQs, indexed by value.
+ * @type {string}
+ * @private
+ */
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * A structured stack frame.
+ * @typedef {object} StackFrame
+ * @property {string|null} fn The name of the function, like `Foo.bar` or `new Foo`, or `null` if anonymous.
+ * @property {string|null} file The file or URL, or `null` if unknown.
+ * @property {number|null} line The 1-based line number, or `null` if unknown.
+ * @property {number|null} column The 1-based column number, or `null` if unknown.
+ * @property {boolean} native Whether the function is native.
+ * @property {boolean} async Whether the frame is an `await` point of an `async` function.
+ */
+
+/**
+ * Parses the given frame line of a V8 stack, like `    at async Foo.bar (/app/foo.js:12:34)`.
+ *
+ * @param {string} line The line.
+ * @return {StackFrame|undefined} The frame, or `undefined` if the line isn't a frame.
+ * @private
+ */
+const _parseFrame = line => {
+  let text = line.trim()
+  if (!text.startsWith('at ')) return
+
+  text = text.substring(3)
+
+  const frame = { fn: null, file: null, line: null, column: null, native: false, async: false }
+
+  if (text.startsWith('async ')) {
+    frame.async = true
+    text = text.substring(6)
+  }
+
+  let location = text
+  const paren = text.indexOf(' (')
+  if (paren >= 0 && text.endsWith(')')) {
+    frame.fn = text.substring(0, paren)
+    location = text.substring(paren + 2, text.length - 1)
+  }
+
+  if (location === 'native') {
+    frame.native = true
+    return frame
+  }
+  if (/^index \d+$/.test(location)) return frame // like Promise.all (index 0)
+
+  const match = location.match(/^(.*?):(\d+)(?::(\d+))?$/)
+  if (match) {
+    frame.file = match[1]
+    frame.line = parseInt(match[2], 10)
+    frame.column = match[3] === undefined ? null : parseInt(match[3], 10)
+  } else {
+    frame.file = location
+  }
+
+  return frame
+}
+
+/**
+ * Parses the given V8 stack into structured frames.
+ * Lines that aren't frames, like the error's header, are ignored.
+ *
+ * @param {string} stack The stack, like the `stack` of an `Error`.
+ * @return {StackFrame[]}
+ */
+const parseStack = stack => typeof stack === 'string'
+  ? stack.split('\n').map(_parseFrame).filter(it => it)
+  : []
+
+/**
+ * Decodes the given base 64 VLQ string, as used in the `mappings` of source maps.
+ *
+ * @param {string} string The string.
+ * @return {number[]} The decoded values.
+ */
+const decodeVlq = string => {
+  const values = []
+  let value = 0
+  let shift = 0
+
+  for (const char of string) {
+    const digit = BASE64.indexOf(char)
+    if (digit < 0) throw new Error(`invalid base 64 VLQ character: ${char}`)
+
+    value += (digit & 31) << shift
+    if (digit & 32) {
+      shift += 5
+      continue
+    }
+
+    values.push(value & 1 ? -(value >>> 1) : value >>> 1)
+    value = 0
+    shift = 0
+  }
+
+  return values
+}
+
+/**
+ * Decodes the given source map `mappings` into an array, indexed by 0-based generated line, of arrays of segments sorted by generated column.
+ * Each segment is an array of the 0-based generated column and, if present, the source index, 0-based original line, 0-based original column & name index.
+ *
+ * @param {string} mappings The mappings.
+ * @return {Array<Array<number[]>>}
+ */
+const decodeMappings = mappings => {
+  const state = [0, 0, 0, 0]
+
+  return mappings.split(';').map(line => {
+    let column = 0
+
+    return line
+      .split(',')
+      .filter(it => it)
+      .map(it => {
+        const values = decodeVlq(it)
+        column += values[0]
+
+        const segment = [column]
+        for (let i = 1; i < values.length; i++) {
+          state[i - 1] += values[i]
+          segment.push(state[i - 1])
+        }
+        return segment
+      })
+      .sort((a, b) => a[0] - b[0])
+  })
+}
+
+/**
+ * A cache of source maps keyed by generated file, whose values are `null` for files without usable source maps.
+ * @type {Map<string, object|null>}
+ * @private
+ */
+const _sourceMaps = new Map()
+
+/**
+ * Returns the file path of the given stack frame file, which may be a `file:` URL, or `undefined` if it isn't a file.
+ *
+ * @param {string} file The file.
+ * @return {string|undefined}
+ * @private
+ */
+const _filePath = file => {
+  if (file.startsWith('file://')) return fileURLToPath(file)
+  if (path.isAbsolute(file)) return file
+}
+
+/**
+ * Reads & decodes the source map of the given generated file, referred to by its `sourceMappingURL` comment, which can be a `data:` URL or a path relative to the file.
+ *
+ * @param {string} file The path of the generated file.
+ * @return {object|null} An object with the absolute paths of the `sources` & the decoded `mappings`, or `null` if there's no usable source map.
+ * @private
+ */
+const _readSourceMap = file => {
+  const code = fs.readFileSync(file, 'utf8')
+  const urls = code.match(/\/\/[#@] sourceMappingURL=(\S+)/g)
+  if (!urls) return null
+
+  const url = urls[urls.length - 1].replace(/^\/\/[#@] sourceMappingURL=/, '')
+  let json
+  let dir = path.dirname(file)
+
+  const data = url.match(/^data:[^,]*?(;base64)?,(.*)$/)
+  if (data) {
+    json = data[1] ? Buffer.from(data[2], 'base64').toString('utf8') : decodeURIComponent(data[2])
+  } else {
+    const mapFile = path.resolve(dir, decodeURIComponent(url))
+    json = fs.readFileSync(mapFile, 'utf8')
+    dir = path.dirname(mapFile)
+  }
+
+  const map = JSON.parse(json)
+  if (typeof map.mappings !== 'string' || !Array.isArray(map.sources)) return null
+
+  return {
+    sources: map.sources.map(it => /^[a-z]+:/i.test(it) ? it : path.resolve(dir, map.sourceRoot || '', it)),
+    mappings: decodeMappings(map.mappings)
+  }
+}
+
+/**
+ * Returns the source map of the given generated file, reading it at most once.
+ * Files whose source maps can't be read or decoded are treated as having none.
+ *
+ * @param {string} file The path of the generated file.
+ * @return {object|null}
+ * @private
+ */
+const _sourceMap = file => {
+  if (!_sourceMaps.has(file)) {
+    let map
+    try {
+      map = _readSourceMap(file)
+    } catch (e) {
+      map = null
+    }
+    _sourceMaps.set(file, map)
+  }
+
+  return _sourceMaps.get(file)
+}
+
+/**
+ * Returns the given frame with its position remapped to the original source via the source map of its file, if it has one.
+ *
+ * @param {StackFrame} frame The frame.
+ * @return {StackFrame} The remapped frame, or the given frame if it can't be remapped.
+ */
+const remapFrame = frame => {
+  if (!frame.file || frame.line === null || frame.column === null) return frame
+
+  const file = _filePath(frame.file)
+  const map = file && _sourceMap(file)
+  const segments = map?.mappings[frame.line - 1]
+  if (!segments) return frame
+
+  let segment
+  for (const it of segments) {
+    if (it[0] > frame.column - 1) break
+    segment = it
+  }
+  if (!segment || segment.length < 4) return frame
+
+  return {
+    ...frame,
+    file: map.sources[segment[1]],
+    line: segment[2] + 1,
+    column: segment[3] + 1
+  }
+}
+
+/**
+ * Returns whether the given frame is internal, meaning it's in `node_modules`, in Node.js's internals, or in this library itself, like the frames of the class factory's constructors.
+ *
+ * @param {StackFrame} frame The frame.
+ * @return {boolean}
+ */
+const isInternalFrame = ({ file }) => !!file && (
+  /[/\\]node_modules[/\\]/.test(file) ||
+  file.startsWith('node:') ||
+  file.startsWith('internal/') ||
+  (_filePath(file) || '').startsWith(LIBRARY_DIR + path.sep)
+)
+
+/**
+ * Returns the structured frames of the given error's stack.
+ *
+ * @param {*} error The error.
+ * @param {object} [arg1={}] The argument to be deconstructed.
+ * @param {boolean|function} [arg1.filter=true] Whether to leave out internal frames (see {@link isInternalFrame}), or a function that returns whether to keep the given frame.
+ * @param {boolean} [arg1.sourceMaps=true] Whether to remap positions to original sources via source maps; see {@link remapFrame}.
+ * @return {StackFrame[]}
+ */
+const stackFrames = (error, {
+  filter = true,
+  sourceMaps = true
+} = {}) => {
+  let frames = parseStack(error?.stack)
+
+  if (typeof filter === 'function') frames = frames.filter(filter)
+  else if (filter) frames = frames.filter(it => !isInternalFrame(it))
+
+  return sourceMaps ? frames.map(remapFrame) : frames
+}
+
+module.exports = {
+  parseStack,
+  decodeVlq,
+  decodeMappings,
+  remapFrame,
+  isInternalFrame,
+  stackFrames
+}
@@ -0,0 +1,49 @@
+import { CodedErrorMatcher, InfoOf } from '../errors'
+
+/**
+ * A class that errors are wrapped in, which is constructed like `new ErrorClass({ message, info, cause })`.
+ */
+export type WrappingErrorClass = abstract new (...args: any[]) => unknown
+
+export interface WrapOptions<C extends WrappingErrorClass = WrappingErrorClass, Args extends unknown[] = unknown[]> {
+  /** The message of the wrapping errors, or a function returning it given the caught error & the arguments of the call. */
+  message?: string | ((error: unknown, args: Args) => string | undefined)
+  /** The `info` of the wrapping errors, or a function returning it given the caught error & the arguments of the call. */
+  info?: InfoOf<C> | ((error: unknown, args: Args) => InfoOf<C>)
+  /** `true` to rethrow instances of the class as is, or the classes & codes of the errors to rethrow as is. */
+  passThrough?: boolean | CodedErrorMatcher[]
+}
+
+/**
+ * The result of an attempt, which is either its value or its error.
+ */
+export type AttemptResult<T, E = unknown> = { ok: true, value: T } | { ok: false, error: E }
+
+/**
+ * The errors of an attempt, which are instances of the class unless other errors pass through.
+ */
+type _Failure<C extends WrappingErrorClass, O> = O extends { passThrough: readonly unknown[] } ? unknown : InstanceType<C>
+
+/**
+ * Returns a promise that rejects with the errors of the given promise wrapped in instances of the given class.
+ */
+export declare function wrapErrors<T, C extends WrappingErrorClass> (target: PromiseLike<T>, ErrorClass: C, options?: WrapOptions<C, []>): Promise<T>
+
+/**
+ * Returns a function with the same `name` & `length` as the given one whose errors are wrapped in instances of the given class.
+ */
+export declare function wrapErrors<F extends (...args: any[]) => any, C extends WrappingErrorClass> (target: F, ErrorClass: C, options?: WrapOptions<C, Parameters<F>>): F
+
+/**
+ * Awaits the given promise, or calls the given function returning a promise, and returns a promise of the result.
+ */
+export declare function attempt<T> (target: PromiseLike<T> | (() => PromiseLike<T>)): Promise<AttemptResult<T>>
+export declare function attempt<T, C extends WrappingErrorClass, O extends WrapOptions<C, []> = {}> (target: PromiseLike<T> | (() => PromiseLike<T>), ErrorClass: C, options?: O): Promise<AttemptResult<T, _Failure<C, O>>>
+
+/**
+ * Calls the given function & returns the result.
+ */
+export declare function attempt<T> (target: () => T): AttemptResult<T>
+export declare function attempt<T, C extends WrappingErrorClass, O extends WrapOptions<C, []> = {}> (target: () => T, ErrorClass: C, options?: O): AttemptResult<T, _Failure<C, O>>
+
+export {}
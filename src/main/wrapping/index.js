@@ -0,0 +1,138 @@
+'use strict'
+
+const { checkArg } = require('../preconditions')
+
+/**
+ * Returns whether the given value is a promise or other thenable.
+ *
+ * @param {*} value The value.
+ * @return {boolean}
+ * @private
+ */
+const _isThenable = value => typeof value?.then === 'function'
+
+/**
+ * Returns whether the given error is to be rethrown as is rather than wrapped.
+ *
+ * @param {*} error The error.
+ * @param {Function} ErrorClass The class that errors are wrapped in.
+ * @param {boolean|Array<Function|string|number|symbol>} passThrough `true` to pass through instances of `ErrorClass`, or the classes, matched via `instanceof`, & codes, matched against errors' `code` properties, of the errors to pass through.
+ * @return {boolean}
+ * @private
+ */
+const _passesThrough = (error, ErrorClass, passThrough) => {
+  if (passThrough === true) return error instanceof ErrorClass
+  if (!Array.isArray(passThrough)) return false
+
+  return passThrough.some(it => typeof it === 'function'
+    ? error instanceof it
+    : error !== null && typeof error === 'object' && error.code === it)
+}
+
+/**
+ * Returns a function that returns the given error wrapped in an instance of the given class, with the error as its `cause`, unless it passes through.
+ *
+ * @param {Function} ErrorClass The class that errors are wrapped in.
+ * @param {object} arg1 The argument to be deconstructed.
+ * @param {string|function} [arg1.message] The message, or a function returning it given the error & the arguments of the call.
+ * @param {object|function} [arg1.info] The `info`, or a function returning it given the error & the arguments of the call.
+ * @param {boolean|Array<Function|string|number|symbol>} [arg1.passThrough] See {@link _passesThrough}.
+ * @return {function} A function taking the error & the arguments of the call.
+ * @private
+ */
+const _translator = (ErrorClass, {
+  message,
+  info,
+  passThrough
+}) => {
+  checkArg(typeof ErrorClass === 'function', 'ErrorClass', 'The error class must be a class')
+
+  return (error, args) => {
+    if (_passesThrough(error, ErrorClass, passThrough)) return error
+
+    return new ErrorClass({
+      message: typeof message === 'function' ? message(error, args) : message,
+      info: typeof info === 'function' ? info(error, args) : info,
+      cause: error
+    })
+  }
+}
+
+/**
+ * Wraps the errors thrown by the given function, or with which the given promise rejects, in instances of the given class, with the caught errors as their `cause`, which replaces the repetitive pattern `try { ... } catch (e) { throw new SomethingWickedError({ cause: e, info }) }`.
+ *
+ * Given a function, returns a function with the same `name` & `length` that calls it with the same `this` & arguments.
+ * If it throws, the wrapper throws the wrapped error, and if it returns a promise or other thenable, like an `async` function does, the wrapper returns a promise that rejects with the wrapped error.
+ * Given a promise or other thenable, returns a promise that rejects with the wrapped error.
+ *
+ * @param {function|Promise} target The function or promise.
+ * @param {Function} ErrorClass The class that errors are wrapped in, usually one returned by the class factory, which is constructed like `new ErrorClass({ message, info, cause })`.
+ * @param {object} [arg2={}] The argument to be deconstructed.
+ * @param {string|function} [arg2.message] The message of the wrapping errors, or a function returning it given the caught error & the arguments of the call, which, for a promise, are empty.
+ * @param {object|function} [arg2.info] The `info` of the wrapping errors, or a function returning it given the caught error & the arguments of the call, which, for a promise, are empty.
+ * @param {boolean|Array<Function|string|number|symbol>} [arg2.passThrough=false] Errors that are rethrown as is: `true` for instances of `ErrorClass`, or an array of classes, matched via `instanceof`, & codes, matched against errors' `code` properties, like `[ErrorClass, 'ECONNRESET']`.
+ * @return {function|Promise} The wrapping function or promise.
+ */
+const wrapErrors = (target, ErrorClass, {
+  message,
+  info,
+  passThrough = false
+} = {}) => {
+  const translate = _translator(ErrorClass, { message, info, passThrough })
+
+  if (_isThenable(target)) return Promise.resolve(target).catch(e => { throw translate(e, []) })
+
+  checkArg(typeof target === 'function', 'target', 'The target must be a function or a promise')
+
+  const wrapper = function (...args) {
+    let result
+    try {
+      result = target.apply(this, args)
+    } catch (e) {
+      throw translate(e, args)
+    }
+
+    return _isThenable(result)
+      ? Promise.resolve(result).catch(e => { throw translate(e, args) })
+      : result
+  }
+  Object.defineProperty(wrapper, 'name', { value: target.name, configurable: true })
+  Object.defineProperty(wrapper, 'length', { value: target.length, configurable: true })
+
+  return wrapper
+}
+
+/**
+ * Calls the given function, or awaits the given promise, and returns a result instead of throwing, which is `{ ok: true, value }` if it succeeds or `{ ok: false, error }` if it fails.
+ * If the function returns a promise or other thenable, or a promise is given, a promise of the result is returned, which never rejects.
+ *
+ * If an error class is given, errors are wrapped as by {@link wrapErrors}; otherwise, they're returned as is.
+ *
+ * @param {function|Promise} target The function, which is called without arguments, or the promise.
+ * @param {Function} [ErrorClass] The class that errors are wrapped in.
+ * @param {object} [options] See {@link wrapErrors}.
+ * @return {object|Promise<object>} The result, or a promise of it.
+ */
+const attempt = (target, ErrorClass, options) => {
+  const fail = error => ({ ok: false, error })
+  const succeed = value => ({ ok: true, value })
+
+  const wrapped = ErrorClass === undefined ? target : wrapErrors(target, ErrorClass, options)
+  if (_isThenable(wrapped)) return Promise.resolve(wrapped).then(succeed, fail)
+
+  checkArg(typeof wrapped === 'function', 'target', 'The target must be a function or a promise')
+
+  let value
+  try {
+    value = wrapped()
+  } catch (e) {
+    return fail(e)
+  }
+
+  return _isThenable(value) ? Promise.resolve(value).then(succeed, fail) : succeed(value)
+}
+
+module.exports = {
+  wrapErrors,
+  attempt
+}
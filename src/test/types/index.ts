@@ -0,0 +1,159 @@
+import {
+  CodedError,
+  CodeOfName,
+  NameOfCode,
+  IllegalArgumentError,
+  IllegalStateError,
+  MissingRequiredArgumentError,
+  UnexpectedError,
+  checkArg,
+  checkArgType,
+  defineErrors,
+  findCause,
+  withLifecycle,
+  wrapErrors,
+  attempt,
+  AttemptResult,
+  RetryFailedError,
+  retry
+} from '../../main'
+
+/**
+ * Fails to compile unless the given types are identical.
+ */
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false
+const assert = <T extends true>(): void => {}
+
+// codes are string literal types, given or derived
+const Given = CodedError({ code: 'E_GIVEN' })
+assert<Equal<typeof Given.CODE, 'E_GIVEN'>>()
+const Derived = CodedError({ name: 'SomethingWickedError' })
+assert<Equal<typeof Derived.CODE, 'E_SOMETHING_WICKED'>>()
+assert<Equal<CodeOfName<'HTTPError'>, 'E_H_T_T_P'>>()
+assert<Equal<NameOfCode<'E_SOMETHING_WICKED'>, 'SomethingWickedError'>>()
+assert<Equal<typeof IllegalArgumentError.CODE, 'E_ILLEGAL_ARGUMENT'>>()
+
+// info is typed & required unless it allows undefined
+interface OrderInfo { orderId: string }
+const OrderError = CodedError<'E_ORDER', OrderInfo>({ code: 'E_ORDER' })
+const order = new OrderError({ info: { orderId: '1' } })
+assert<Equal<typeof order.code, 'E_ORDER'>>()
+assert<Equal<typeof order.info, OrderInfo>>()
+new OrderError('message', { info: { orderId: '1' } })
+// @ts-expect-error info is required
+new OrderError()
+// @ts-expect-error info must be an OrderInfo
+new OrderError({ info: { orderId: 1 } })
+new Given()
+new Given('message', { cause: new Error() })
+
+// subclasses carry the info type through
+const RefundError = OrderError.subclass({ name: 'RefundError' })
+const refund = new RefundError({ info: { orderId: '2' } })
+assert<Equal<typeof refund.code, 'E_REFUND'>>()
+assert<Equal<typeof refund.info, OrderInfo>>()
+const PartialRefundError = OrderError.subclass<'E_PARTIAL_REFUND', OrderInfo & { amount: number }>({ code: 'E_PARTIAL_REFUND' })
+assert<Equal<InstanceType<typeof PartialRefundError>['info'], OrderInfo & { amount: number }>>()
+// @ts-expect-error subclass info must extend that of its superclass
+OrderError.subclass<'E_BAD', { amount: number }>({ code: 'E_BAD' })
+const Sub = CodedError({ code: 'E_SUB', supererror: OrderError })
+assert<Equal<InstanceType<typeof Sub>['info'], OrderInfo>>()
+
+// narrowing on code gives the right info type
+type AppError = InstanceType<typeof OrderError> | InstanceType<typeof IllegalArgumentError> | InstanceType<typeof UnexpectedError>
+const handle = (error: AppError): string | undefined => {
+  switch (error.code) {
+    case 'E_ORDER':
+      assert<Equal<typeof error.info, OrderInfo>>()
+      return error.info.orderId
+    case 'E_ILLEGAL_ARGUMENT':
+      return error.info?.name
+    default:
+      assert<Equal<typeof error.code, 'E_UNEXPECTED'>>()
+      // @ts-expect-error info is unknown
+      return error.info.name
+  }
+}
+handle(order)
+
+// instanceof narrows to the class's info, but not its code, which may be that of a subclass
+const caught: unknown = new MissingRequiredArgumentError({ info: { name: 'id' } })
+if (caught instanceof IllegalArgumentError) {
+  assert<Equal<typeof caught.code, string>>()
+  assert<Equal<typeof caught.info, InstanceType<typeof IllegalArgumentError>['info']>>()
+}
+if (IllegalStateError.is(caught)) caught.info?.expected
+
+// serialization keeps the code type
+const object = order.toObject({ omitting: ['stack'], redacting: { paths: ['info.orderId'] } })
+assert<Equal<typeof object.code, 'E_ORDER'>>()
+const json: string = order.toJson({ spaces: 2 })
+assert<Equal<ReturnType<typeof order.toProblem>['code'], 'E_ORDER' | undefined>>()
+CodedError.fromJson(json)
+CodedError.toObject(new Error(), false as any)
+
+// causes found by class are typed
+const cause = findCause(order, IllegalArgumentError)
+if (cause) assert<Equal<typeof cause.info, InstanceType<typeof IllegalArgumentError>['info']>>()
+const native = order.findCause(TypeError)
+assert<Equal<typeof native, TypeError | undefined>>()
+
+// hierarchies defined from specs are typed
+const { PaymentError, CardDeclinedError, InsufficientFundsError } = defineErrors({
+  PaymentError: {
+    http: { status: 402 },
+    subclasses: {
+      CardDeclinedError: { code: 'E_DECLINED' },
+      E_INSUFFICIENT_FUNDS: {}
+    }
+  }
+})
+assert<Equal<typeof PaymentError.CODE, 'E_PAYMENT'>>()
+assert<Equal<typeof CardDeclinedError.CODE, 'E_DECLINED'>>()
+assert<Equal<typeof InsufficientFundsError.CODE, 'E_INSUFFICIENT_FUNDS'>>()
+const loaded = defineErrors(JSON.parse('{}') as Record<string, {}>)
+assert<Equal<typeof loaded.AnyError, typeof loaded[string]>>()
+
+// preconditions narrow
+const value: unknown = 'x'
+checkArg(typeof value === 'string', 'value')
+assert<Equal<typeof value, string>>()
+const date = checkArgType(new Date() as unknown, [Date, 'null'])
+assert<Equal<typeof date, Date | null>>()
+
+// lifecycles only accept method names
+class Connection {
+  async init (): Promise<void> {}
+  async query (): Promise<string> { return 'rows' }
+}
+withLifecycle(Connection, { guarded: ['query'], transitions: { query: { from: 'initialized', to: 'queried' } }, async: true })
+// @ts-expect-error there's no such method
+withLifecycle(Connection, { guarded: ['missing'] })
+
+// wrapped functions keep their types & wrapped errors are typed
+const parse = wrapErrors((text: string, radix: number) => parseInt(text, radix), OrderError, { info: (e, [text]) => ({ orderId: text }) })
+assert<Equal<typeof parse, (text: string, radix: number) => number>>()
+const fetched = wrapErrors(Promise.resolve('body'), OrderError, { info: { orderId: '42' } })
+assert<Equal<typeof fetched, Promise<string>>>()
+// @ts-expect-error the info must be that of the class
+wrapErrors(() => 1, OrderError, { info: { id: 42 } })
+
+const attempted = attempt(() => JSON.parse('{}') as { id: number }, OrderError, { info: { orderId: '42' } })
+if (attempted.ok) assert<Equal<typeof attempted.value, { id: number }>>()
+else assert<Equal<typeof attempted.error, InstanceType<typeof OrderError>>>()
+const passed = attempt(() => 1, OrderError, { info: { orderId: '42' }, passThrough: ['ECONNRESET'] })
+if (!passed.ok) assert<Equal<typeof passed.error, unknown>>()
+const later = attempt(async () => 1)
+assert<Equal<typeof later, Promise<AttemptResult<number>>>>()
+
+// traits are typed
+const Flaky = CodedError({ code: 'E_FLAKY', transient: true, severity: 'warning' })
+assert<Equal<typeof Flaky.SEVERITY, 'debug' | 'info' | 'warning' | 'error' | 'critical'>>()
+new Flaky({ retryable: false, severity: 'info' })
+// @ts-expect-error unknown severity
+CodedError({ code: 'E_DIRE', severity: 'dire' })
+const retried = retry(async attempt => attempt * 2, { maxAttempts: 5, jitter: 0 })
+assert<Equal<typeof retried, Promise<number>>>()
+retried.catch(e => {
+  if (e instanceof RetryFailedError) assert<Equal<typeof e.info.reason, 'exhausted' | 'not_retryable' | 'aborted'>>()
+})
@@ -0,0 +1,104 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const CodedError = require('../../../main/errors/CodedError')
+const { immediateCauses, walkCauses, causes, findCause, hasCause, rootCauses, flattenCauses } = require('../../../main/cause-utils')
+
+const RootError = CodedError({ code: 'E_CAUSES_ROOT' })
+const DbError = CodedError({ code: 'E_CAUSES_DB' })
+const DbTimeoutError = DbError.subclass({ code: 'E_CAUSES_DB_TIMEOUT' })
+
+/**
+ * root
+ * ├─ a (DbError)
+ * │  └─ timeout (DbTimeoutError)
+ * │     └─ native (Error)
+ * ├─ b (RootError)
+ * │  └─ 13
+ * └─ 'c'
+ */
+const tree = () => {
+  const native = new Error('native')
+  const timeout = new DbTimeoutError({ message: 'timeout', cause: native })
+  const a = new DbError({ message: 'a', cause: timeout })
+  const b = new RootError({ message: 'b', cause: 13 })
+  const root = new RootError({ message: 'root', cause: [a, null, b, 'c'] })
+  return { root, a, b, timeout, native }
+}
+
+describe('unit tests of cause-utils', function () {
+  it('should walk causes depth-first & breadth-first', () => {
+    const { root, a, b, timeout, native } = tree()
+
+    expect(flattenCauses(root)).to.deep.equal([
+      { path: ['cause', 0], error: a },
+      { path: ['cause', 0, 'cause'], error: timeout },
+      { path: ['cause', 0, 'cause', 'cause'], error: native },
+      { path: ['cause', 2], error: b },
+      { path: ['cause', 2, 'cause'], error: 13 },
+      { path: ['cause', 3], error: 'c' }
+    ])
+    expect(Array.from(causes(root))).to.deep.equal([a, timeout, native, b, 13, 'c'])
+    expect(Array.from(causes(root, { order: 'breadth' }))).to.deep.equal([a, b, 'c', timeout, 13, native])
+    expect(Array.from(walkCauses(native))).to.deep.equal([])
+    expect(Array.from(walkCauses(13))).to.deep.equal([])
+    expect(Array.from(walkCauses(null))).to.deep.equal([])
+  })
+
+  it('should find causes by code or class', () => {
+    const { root, b, timeout, native } = tree()
+
+    expect(findCause(root, 'E_CAUSES_DB_TIMEOUT')).to.equal(timeout)
+    expect(findCause(root, DbTimeoutError)).to.equal(timeout)
+    expect(findCause(root, RootError, { order: 'breadth' })).to.equal(b)
+    expect(findCause(timeout, Error)).to.equal(native)
+    expect(findCause(root, 'E_NOPE')).to.be.undefined()
+    expect(hasCause(root, DbError)).to.be.true()
+    expect(hasCause(root, RootError)).to.be.true()
+    expect(hasCause(native, Error)).to.be.false()
+    expect(hasCause(root, 'E_NOPE')).to.be.false()
+  })
+
+  it('should find root causes', () => {
+    const { root, native } = tree()
+
+    expect(rootCauses(root)).to.deep.equal([native, 13, 'c'])
+    expect(rootCauses(native)).to.deep.equal([])
+  })
+
+  it('should return immediate causes', () => {
+    const { root, a, b, timeout } = tree()
+
+    expect(immediateCauses(root)).to.deep.equal([a, b, 'c'])
+    expect(immediateCauses(a)).to.deep.equal([timeout])
+    expect(immediateCauses(13)).to.deep.equal([])
+  })
+
+  it('should be cycle-safe', () => {
+    const a = new RootError('a')
+    const b = new DbError({ message: 'b', cause: a })
+    a.cause = [b, a]
+
+    expect(Array.from(causes(a))).to.deep.equal([b])
+    expect(Array.from(causes(b))).to.deep.equal([a])
+    expect(hasCause(a, 'E_NOPE')).to.be.false()
+    expect(rootCauses(a)).to.deep.equal([])
+  })
+
+  it('should be available on CodedError', () => {
+    const { root, a, b, timeout, native } = tree()
+
+    expect(Array.from(root.causes())).to.deep.equal([a, timeout, native, b, 13, 'c'])
+    expect(Array.from(root.causes({ order: 'breadth' }))).to.deep.equal([a, b, 'c', timeout, 13, native])
+    expect(root.findCause(DbError)).to.equal(a)
+    expect(root.hasCause('E_CAUSES_DB_TIMEOUT')).to.be.true()
+    expect(root.rootCauses()).to.deep.equal([native, 13, 'c'])
+    expect(root.flattenCauses().map(it => it.error)).to.deep.equal([a, timeout, native, b, 13, 'c'])
+    expect(CodedError.findCause(root, DbTimeoutError)).to.equal(timeout)
+    expect(RootError.hasCause(root, DbTimeoutError)).to.be.true()
+  })
+})
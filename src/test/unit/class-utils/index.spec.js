@@ -0,0 +1,123 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { MethodNotImplementedError, ClassNotExtendableError } = require('../../../main/errors')
+const { abstractMethod, abstractMethodsOf, concrete, final } = require('../../../main/class-utils')
+
+/**
+ * Returns what the given function throws.
+ */
+const thrown = fn => {
+  try {
+    fn()
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing thrown')
+}
+
+const perimeter = Symbol('perimeter')
+
+class Shape {
+  describe () {
+    return `${this.constructor.name} of area ${this.area()}`
+  }
+}
+Shape.prototype.area = abstractMethod('area')
+Shape.prototype[perimeter] = abstractMethod(perimeter)
+
+describe('unit tests of class-utils', function () {
+  it('should throw from abstract methods', () => {
+    class Square extends Shape {}
+
+    expect(() => new Square().describe()).to.throw(MethodNotImplementedError, 'E_METHOD_NOT_IMPLEMENTED: Method area is not implemented')
+    expect(thrown(() => new Square()[perimeter]()).info).to.deep.equal({ class: 'Square', method: 'Symbol(perimeter)' })
+    expect(thrown(() => Shape.prototype.area.call(undefined)).info).to.deep.equal({ class: undefined, method: 'area' })
+  })
+
+  it('should find unimplemented abstract methods at definition time', () => {
+    expect(abstractMethodsOf(Shape)).to.deep.equal(['area', perimeter])
+
+    class Partial extends Shape {
+      area () {
+        return 1
+      }
+    }
+    expect(abstractMethodsOf(Partial)).to.deep.equal([perimeter])
+
+    class Circle extends Partial {
+      [perimeter] () {
+        return 2
+      }
+    }
+    expect(abstractMethodsOf(Circle)).to.be.empty()
+    expect(concrete(Circle)).to.equal(Circle)
+    expect(new Circle().describe()).to.equal('Circle of area 1')
+
+    const error = thrown(() => concrete(class Blob extends Shape {}))
+    expect(error).to.be.instanceOf(MethodNotImplementedError)
+    expect(error.message).to.equal('E_METHOD_NOT_IMPLEMENTED: Class Blob doesn\'t implement abstract methods area, Symbol(perimeter)')
+    expect(error.info).to.deep.equal({ class: 'Blob', method: 'area', methods: ['area', 'Symbol(perimeter)'] })
+    expect(() => concrete(Partial)).to.throw('Class Partial doesn\'t implement abstract method Symbol(perimeter)')
+  })
+
+  it('should work as decorators', () => {
+    class Base {
+      run () {
+        return 'base'
+      }
+
+      stop () {
+        return 'base'
+      }
+    }
+
+    // like @abstractMethod with Babel's legacy decorators
+    const descriptor = Object.getOwnPropertyDescriptor(Base.prototype, 'run')
+    const decorated = abstractMethod(Base.prototype, 'run', descriptor)
+    expect(decorated).to.include({ enumerable: descriptor.enumerable, writable: descriptor.writable, configurable: descriptor.configurable })
+    Object.defineProperty(Base.prototype, 'run', decorated)
+
+    // like @abstractMethod with standard decorators
+    Base.prototype.stop = abstractMethod(Base.prototype.stop, { kind: 'method', name: 'stop' })
+
+    expect(abstractMethodsOf(Base)).to.deep.equal(['run', 'stop'])
+    expect(() => new Base().run()).to.throw(MethodNotImplementedError, 'Method run is not implemented')
+    expect(() => new Base().stop()).to.throw(MethodNotImplementedError, 'Method stop is not implemented')
+
+    // like @concrete & @final, which are class decorators that work either way
+    expect(() => concrete(class Sub extends Base {}, { kind: 'class', name: 'Sub' })).to.throw(MethodNotImplementedError)
+    const Money = final(class Money {}, { kind: 'class', name: 'Money' })
+    expect(() => new (class Cents extends Money {})()).to.throw(ClassNotExtendableError)
+  })
+
+  it('should prevent extending final classes', () => {
+    class Money {
+      constructor (amount) {
+        this.amount = amount
+      }
+
+      static zero () {
+        return new this(0)
+      }
+    }
+    const FinalMoney = final(Money)
+
+    const money = new FinalMoney(1)
+    expect(money).to.be.instanceOf(FinalMoney)
+    expect(money).to.be.instanceOf(Money)
+    expect(money.amount).to.equal(1)
+    expect(FinalMoney.name).to.equal('Money')
+    expect(FinalMoney.zero().amount).to.equal(0)
+
+    class Cents extends FinalMoney {}
+    const error = thrown(() => new Cents(1))
+    expect(error).to.be.instanceOf(ClassNotExtendableError)
+    expect(error.message).to.equal('E_ILLEGAL_STATE: Class Money is not extendable')
+    expect(error.info).to.deep.equal({ class: 'Money', subclass: 'Cents' })
+  })
+})
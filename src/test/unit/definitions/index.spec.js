@@ -0,0 +1,151 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { CodedError, IllegalArgumentError, IllegalStateError } = require('../../../main/errors')
+const { defineErrors } = require('../../../main/definitions')
+
+/**
+ * Returns what the given function throws.
+ */
+const thrown = fn => {
+  try {
+    fn()
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing thrown')
+}
+
+describe('unit tests of definitions', function () {
+  it('should define a hierarchy of error classes', () => {
+    const spec = JSON.parse(JSON.stringify({
+      DefsPaymentError: {
+        description: 'A payment failed',
+        http: { status: 402 },
+        subclasses: {
+          DefsCardDeclinedError: {
+            messages: { en: 'Card {{info.last4}} was declined' },
+            grpc: { status: 'FAILED_PRECONDITION' }
+          },
+          E_DEFS_INSUFFICIENT_FUNDS: {
+            subclasses: {
+              DefsOverdraftError: { code: 'E_DEFS_OVERDRAWN' }
+            }
+          }
+        }
+      },
+      DefsRefundError: { supererror: 'E_DEFS_PAYMENT' }
+    }))
+
+    const classes = defineErrors(spec)
+    expect(Object.keys(classes)).to.deep.equal(['DefsPaymentError', 'DefsCardDeclinedError', 'DefsInsufficientFundsError', 'DefsOverdraftError', 'DefsRefundError'])
+
+    const { DefsPaymentError, DefsCardDeclinedError, DefsInsufficientFundsError, DefsOverdraftError, DefsRefundError } = classes
+    expect(DefsPaymentError.CODE).to.equal('E_DEFS_PAYMENT')
+    expect(DefsPaymentError.DESCRIPTION).to.equal('A payment failed')
+    expect(DefsCardDeclinedError.DESCRIPTION).to.be.undefined()
+    expect(DefsOverdraftError.CODE).to.equal('E_DEFS_OVERDRAWN')
+
+    const declined = new DefsCardDeclinedError({ info: { last4: '4242' } })
+    expect(declined).to.be.instanceOf(DefsPaymentError)
+    expect(declined.message).to.equal('E_DEFS_CARD_DECLINED: Card 4242 was declined')
+    expect(DefsCardDeclinedError.HTTP.status).to.equal(402)
+    expect(new DefsOverdraftError()).to.be.instanceOf(DefsInsufficientFundsError)
+    expect(new DefsRefundError()).to.be.instanceOf(DefsPaymentError)
+
+    expect(CodedError.registry.parentOf('E_DEFS_OVERDRAWN')).to.equal(DefsInsufficientFundsError)
+  })
+
+  it('should extend existing classes', () => {
+    const { DefsClosedError } = defineErrors({ DefsClosedError: {} }, { supererror: IllegalStateError })
+    expect(new DefsClosedError()).to.be.instanceOf(IllegalStateError)
+
+    const { DefsLockedError, DefsGoneError } = defineErrors({
+      DefsLockedError: { supererror: 'E_ILLEGAL_STATE' },
+      DefsGoneError: { supererror: DefsClosedError }
+    })
+    expect(new DefsLockedError()).to.be.instanceOf(IllegalStateError)
+    expect(new DefsGoneError()).to.be.instanceOf(DefsClosedError)
+  })
+
+  it('should reject invalid specs', () => {
+    const single = thrown(() => defineErrors({ DefsBadError: { subclass: {} } }))
+    expect(single).to.be.instanceOf(IllegalArgumentError)
+    expect(single.message).to.equal('E_ILLEGAL_ARGUMENT: Error definition DefsBadError has unknown keys subclass')
+    expect(single.info).to.include({ name: 'spec', path: 'DefsBadError' })
+
+    expect(thrown(() => defineErrors([])).rawMessage).to.equal('The spec must be an object')
+
+    const e = thrown(() => defineErrors({
+      DefsDuplicateError: {
+        subclasses: {
+          E_DEFS_DUPLICATE: {},
+          'Bad Name': {},
+          E_123: {},
+          '': {},
+          DefsNullError: null,
+          DefsNestedError: { supererror: 'DefsDuplicateError' }
+        }
+      },
+      DefsOtherError: { name: 'DefsDuplicateError', subclasses: [] },
+      DefsOrphanError: { supererror: 'E_DEFS_NOWHERE' },
+      DefsChickenError: { supererror: 'DefsEggError' },
+      DefsEggError: { supererror: 'DefsChickenError' },
+      DefsChickError: { supererror: 'DefsEggError' }
+    }))
+    expect(e).to.be.instanceOf(IllegalArgumentError)
+    expect(e.rawMessage).to.equal('12 preconditions were violated')
+    expect(e.cause.map(it => it.rawMessage)).to.deep.equal([
+      'Can\'t derive a valid code & name for error definition DefsDuplicateError.subclasses.Bad Name',
+      'Can\'t derive a valid code & name for error definition DefsDuplicateError.subclasses.E_123',
+      'Can\'t derive a valid code & name for error definition DefsDuplicateError.subclasses.',
+      'Error definition DefsDuplicateError.subclasses.DefsNullError must be an object',
+      'Error definition DefsDuplicateError.subclasses.DefsNestedError must not have a supererror, because it\'s a subclass of DefsDuplicateError',
+      'The subclasses of error definition DefsOtherError must be an object',
+      'Error definitions DefsDuplicateError & DefsDuplicateError.subclasses.E_DEFS_DUPLICATE have the same code E_DEFS_DUPLICATE',
+      'Error definitions DefsDuplicateError & DefsOtherError have the same code E_DEFS_DUPLICATE',
+      'Error definitions DefsDuplicateError & DefsDuplicateError.subclasses.E_DEFS_DUPLICATE have the same name DefsDuplicateError',
+      'Error definitions DefsDuplicateError & DefsOtherError have the same name DefsDuplicateError',
+      'The supererror E_DEFS_NOWHERE of error definition DefsOrphanError is unknown',
+      'Error definitions DefsChickenError -> DefsEggError -> DefsChickenError form a cycle'
+    ])
+    expect(e.cause[2].info).to.deep.equal({ name: 'spec', path: 'DefsDuplicateError.subclasses.', actual: {} })
+    expect(e.cause[6].info.paths).to.deep.equal(['DefsDuplicateError', 'DefsDuplicateError.subclasses.E_DEFS_DUPLICATE'])
+    expect(e.cause[11].info.cycle).to.deep.equal(['DefsChickenError', 'DefsEggError'])
+    expect(CodedError.registry.has('E_DEFS_CHICKEN')).to.be.false()
+  })
+
+  it('should register nothing if a definition is rejected by the class factory', () => {
+    const e = thrown(() => defineErrors({
+      DefsBillingError: {
+        subclasses: {
+          DefsCardExpiredError: { http: { status: 9999 } },
+          DefsFraudError: { grpc: { status: 'OK' }, retryable: 'yes' }
+        }
+      }
+    }))
+    expect(e).to.be.instanceOf(IllegalArgumentError)
+    expect(e.cause.map(it => it.rawMessage)).to.deep.equal([
+      'Error definition DefsBillingError.subclasses.DefsCardExpiredError is invalid: http.status must be an integer from 100 to 599; got 9999',
+      'Error definition DefsBillingError.subclasses.DefsFraudError is invalid: grpc.status must not be OK'
+    ])
+    expect(e.cause[0].info).to.deep.equal({ name: 'spec', path: 'DefsBillingError.subclasses.DefsCardExpiredError' })
+    expect(CodedError.registry.has('E_DEFS_BILLING')).to.be.false()
+
+    expect(thrown(() => defineErrors({ DefsTraitError: { severity: 'meh' } })).rawMessage).to.equal('Error definition DefsTraitError is invalid: severity must be one of debug, info, warning, error, critical; got meh')
+
+    const Registered = CodedError({ code: 'E_DEFS_REGISTERED' })
+    CodedError.registry.configure({ onConflict: 'throw' })
+    try {
+      const conflict = thrown(() => defineErrors({ DefsFreshError: {}, DefsRenamedError: { code: Registered.CODE } }))
+      expect(conflict.rawMessage).to.equal('Error definition DefsRenamedError conflicts with a registered class: error code E_DEFS_REGISTERED is already registered with name DefsRegisteredError; cannot register it with name DefsRenamedError')
+      expect(CodedError.registry.has('E_DEFS_FRESH')).to.be.false()
+    } finally {
+      CodedError.registry.configure({ onConflict: 'ignore' })
+    }
+  })
+})
@@ -1,12 +1,34 @@
-/* global describe, it */
+/* global describe, it, AggregateError */
 'use strict'
 
 const chai = require('chai')
 chai.use(require('dirty-chai'))
 const expect = chai.expect
 
+const path = require('path')
+const vm = require('vm')
 const CodedError = require('../../../main/errors/CodedError')
 
+/**
+ * Requires a fresh copy of CodedError, as if a duplicate copy of this package were installed.
+ */
+const requireCopyOfCodedError = () => {
+  const main = path.resolve(__dirname, '../../../main')
+  const evict = () => Object.keys(require.cache).filter(it => it.startsWith(main)).reduce((accum, it) => {
+    accum[it] = require.cache[it]
+    delete require.cache[it]
+    return accum
+  }, {})
+
+  const saved = evict()
+  try {
+    return require('../../../main/errors/CodedError')
+  } finally {
+    evict()
+    Object.assign(require.cache, saved)
+  }
+}
+
 describe('unit tests of CodedError', function () {
   it('should derive code & name correctly', () => {
     expect(() => CodedError({})).to.throw()
@@ -52,6 +74,7 @@ describe('unit tests of CodedError', function () {
       stack: null,
       code: 'E_MY',
       info: undefined,
+      rawMessage: msg,
       cause: undefined
     })
   })
@@ -81,6 +104,7 @@ describe('unit tests of CodedError', function () {
       stack: null,
       code: 'E_MY',
       info: undefined,
+      rawMessage: msg,
       cause:
         {
           message: 'E_MY_ERROR_CAUSE: because many badness so high',
@@ -88,6 +112,7 @@ describe('unit tests of CodedError', function () {
           stack: null,
           code: 'E_MY_ERROR_CAUSE',
           info: undefined,
+          rawMessage: causeMsg,
           cause: undefined
         }
     })
@@ -210,12 +235,14 @@ describe('unit tests of CodedError', function () {
       stack: null,
       code,
       info: undefined,
+      rawMessage: msg,
       cause: [{
         message: cause0.message,
         name: causeName0,
         stack: null,
         code: causeCode0,
         info: undefined,
+        rawMessage: causeMsg0,
         cause: undefined
       }, {
         message: cause1.message,
@@ -271,19 +298,12 @@ describe('unit tests of CodedError', function () {
     const MyError = CodedError({ code })
     const msg = 'boom'
 
-    // make a recursive object in order to cause JSON.stringify to throw
-    const info = {}
-    info.info = info
-    let jsonError
-    try {
-      JSON.stringify(info)
-      expect.fail('should\'ve thrown')
-    } catch (x) {
-      jsonError = x
-    }
+    // use a replacer that throws in order to cause JSON.stringify to throw
+    const jsonError = new TypeError('no can do')
+    const replacer = () => { throw jsonError }
 
-    const e = new MyError({ msg, info })
-    const json = JSON.parse(e.toJson())
+    const e = new MyError({ msg, info: { foo: 'bar' } })
+    const json = JSON.parse(e.toJson({ replacer }))
 
     expect(json).to.deep.equal({
       jsonStringifyError: {
@@ -323,6 +343,7 @@ describe('unit tests of CodedError', function () {
         stack: null,
         code: e.code,
         info,
+        rawMessage: msg,
         cause: [{
           message: cause0.message,
           name: cause0.name,
@@ -342,6 +363,7 @@ describe('unit tests of CodedError', function () {
         stack: e.stack,
         code: e.code,
         info,
+        rawMessage: msg,
         cause: [{
           message: cause0.message,
           name: cause0.name,
@@ -362,6 +384,7 @@ describe('unit tests of CodedError', function () {
           stack: e.stack,
           code: null,
           info,
+          rawMessage: msg,
           cause: [{
             message: cause0.message,
             name: cause0.name,
@@ -383,6 +406,7 @@ describe('unit tests of CodedError', function () {
           stack: e.stack,
           code: e.code,
           info,
+          rawMessage: msg,
           cause: null
         })
       })
@@ -394,6 +418,7 @@ describe('unit tests of CodedError', function () {
       stack: e.stack,
       code: e.code,
       info,
+      rawMessage: msg,
       cause: [{
         message: null,
         name: null,
@@ -420,4 +445,577 @@ describe('unit tests of CodedError', function () {
     const MyError = CodedError({ code: 'E_FOOBAR' })
     expect(new MyError({ message, msg }).message).to.equal(`${MyError.CODE}: ${message}`)
   })
+
+  it('should rehydrate a cause chain from toObject', function () {
+    const SuperError = CodedError({ code: 'E_REHYDRATE_SUPER' })
+    const SubError = SuperError.subclass({ code: 'E_REHYDRATE_SUB' })
+    const info = { foo: 'bar', sna: { fu: 'goo' } }
+
+    const cause0 = new SubError({ message: 'sub', info })
+    const cause1 = new TypeError('not a type')
+    const e = new SuperError({ message: 'super', info, cause: [cause0, cause1, null, 13, { one: 1 }] })
+
+    const r = CodedError.fromObject(e.toObject())
+
+    expect(r).to.be.instanceOf(SuperError)
+    expect(r).not.to.be.instanceOf(SubError)
+    expect(r.message).to.equal(e.message)
+    expect(r.code).to.equal(e.code)
+    expect(r.name).to.equal(e.name)
+    expect(r.info).to.deep.equal(info)
+    expect(r.cause[0]).to.be.instanceOf(SubError)
+    expect(r.cause[0].message).to.equal(cause0.message)
+    expect(r.cause[1]).to.be.instanceOf(TypeError)
+    expect(r.cause[1].message).to.equal(cause1.message)
+    expect(r.cause.slice(2)).to.deep.equal([null, 13, { one: 1 }])
+    expect(r.toObject()).to.deep.equal(e.toObject())
+  })
+
+  it('should rehydrate from toJson, including stacks', function () {
+    const MyError = CodedError({ code: 'E_REHYDRATE_JSON' })
+    const cause = new Error('because')
+    cause.name = 'BecauseError'
+    const e = new MyError({ message: 'boom', cause })
+
+    const r = MyError.fromJson(e.toJson({ omitting: false }))
+
+    expect(r).to.be.instanceOf(MyError)
+    expect(r.stack).to.equal(e.stack)
+    expect(r.cause).to.be.instanceOf(Error)
+    expect(r.cause.name).to.equal('BecauseError')
+    expect(r.cause.stack).to.equal(cause.stack)
+    expect(r.toObject(false)).to.deep.equal(e.toObject(false))
+  })
+
+  it('should rehydrate unknown codes as generic errors', function () {
+    const r = CodedError.fromObject({
+      message: 'E_NOPE: nope',
+      name: 'NopeError',
+      code: 'E_NOPE',
+      info: { a: 1 },
+      cause: undefined,
+      stack: null
+    })
+
+    expect(r).to.be.instanceOf(Error)
+    expect(r.code).to.equal('E_NOPE')
+    expect(r.name).to.equal('NopeError')
+    expect(r.message).to.equal('E_NOPE: nope')
+    expect(r.info).to.deep.equal({ a: 1 })
+    expect(r.toObject).to.be.a('function')
+
+    const Elsewhere = CodedError({ code: 'E_REHYDRATE_ELSEWHERE' }) // as defined by another service
+    const json = new Elsewhere('elsewhere').toJson().replace(/E_REHYDRATE_ELSEWHERE/g, 'E_UNREGISTERED')
+    expect(JSON.parse(json)).not.to.have.property('info')
+    const fromJson = CodedError.fromJson(json)
+    expect(fromJson.toObject).to.be.a('function')
+    expect(fromJson.code).to.equal('E_UNREGISTERED')
+    expect(fromJson.name).to.equal('RehydrateElsewhereError')
+    expect(fromJson.rawMessage).to.equal('elsewhere')
+    expect(fromJson.message).to.equal('E_UNREGISTERED: elsewhere')
+
+    const cutOff = JSON.parse(new Elsewhere({ message: 'elsewhere', cause: new Error('because') }).toJson({ maxSize: 60 }).replace(/E_REHYDRATE_ELSEWHERE/g, 'E_UNREGISTERED'))
+    expect(cutOff).to.include({ rawMessage: null })
+
+    const abort = Object.assign(new Error('This operation was aborted'), { name: 'AbortError', code: 'ABORT_ERR' })
+    const aborted = CodedError.fromObject(CodedError.toObject(abort))
+    expect(aborted.toObject).to.be.undefined()
+    expect(aborted).to.be.instanceOf(Error)
+    expect(aborted).to.include({ name: 'AbortError', code: 'ABORT_ERR', message: 'This operation was aborted' })
+    expect(CodedError.fromJson(JSON.stringify({ name: 'AxiosError', code: 'ERR_BAD_REQUEST', message: 'bad', stack: null })).toObject).to.be.undefined()
+
+    const native = CodedError.fromObject({ name: 'Error', code: 'ECONNRESET', message: 'reset', stack: null })
+    expect(native.toObject).to.be.undefined()
+    expect(native.code).to.equal('ECONNRESET')
+  })
+
+  it('should prefer given classes', function () {
+    const code = 'E_REHYDRATE_PREFERRED'
+    const Preferred = CodedError({ code })
+    const Latest = CodedError({ code })
+
+    expect(CodedError.fromObject(new Preferred().toObject())).to.be.instanceOf(Latest)
+    expect(CodedError.fromObject(new Latest().toObject(), { classes: [Preferred] })).to.be.instanceOf(Preferred)
+  })
+
+  it('should rehydrate the toJson fallback', function () {
+    const MyError = CodedError({ code: 'E_REHYDRATE_FALLBACK' })
+    const replacer = () => { throw new Error('no can do') }
+
+    const e = new MyError({ message: 'boom', info: { foo: 'bar' } })
+    const r = CodedError.fromJson(e.toJson({ replacer }))
+
+    expect(r).to.be.instanceOf(MyError)
+    expect(r.message).to.equal(e.message)
+    expect(r.info).to.be.undefined()
+  })
+
+  it('should return non-errors as is', function () {
+    [undefined, null, 42, 'foo', { foo: 'bar' }, { message: 'hi', name: 'there', other: 'stuff' }].forEach(it => {
+      expect(CodedError.fromObject(it)).to.deep.equal(it)
+    })
+  })
+  it('should check instances by code lineage', function () {
+    const Super = CodedError({ code: 'E_IS_SUPER' })
+    const Sub = Super.subclass({ code: 'E_IS_SUB' })
+    const Other = CodedError({ code: 'E_IS_OTHER' })
+
+    const Copy = requireCopyOfCodedError()
+    expect(Copy).not.to.equal(CodedError)
+    const CopySuper = Copy({ code: 'E_IS_SUPER' })
+    const CopySub = CopySuper.subclass({ code: 'E_IS_SUB' })
+
+    const sub = new Sub()
+    const copySub = new CopySub()
+    expect(copySub).to.be.instanceOf(Sub)
+    expect(copySub).to.be.instanceOf(Super)
+    expect(copySub).not.to.be.instanceOf(Other)
+    expect(sub).to.be.instanceOf(CopySub)
+    expect(sub).to.be.instanceOf(CopySuper)
+    expect(Sub.is(copySub)).to.be.true()
+    expect(Other.is(copySub)).to.be.false()
+    expect(() => { throw copySub }).to.throw(Super)
+
+    const foreign = vm.runInNewContext('const e = new Error("foreign"); e.code = "E_IS_SUB"; e')
+    expect(foreign instanceof Error).to.be.false()
+    expect(foreign).to.be.instanceOf(Sub)
+    expect(foreign).to.be.instanceOf(Super)
+
+    const plain = sub.toObject()
+    expect(plain).to.be.instanceOf(Sub)
+    expect(plain).to.be.instanceOf(Super)
+    expect(Super.is({ code: 'E_IS_SUPER' })).to.be.true()
+    expect(Sub.is({ code: 'E_IS_SUPER' })).to.be.false()
+    expect(Sub.is({ code: 'E_IS_OTHER' })).to.be.false();
+
+    [undefined, null, 42, 'E_IS_SUB', {}].forEach(it => expect(Sub.is(it)).to.be.false())
+  })
+
+  it('should convert CodedErrors from other copies like its own', () => {
+    const Copy = requireCopyOfCodedError()
+    const CopyNotFound = Copy({ code: 'E_COPY_NOT_FOUND', http: { status: 404 }, grpc: { status: 'NOT_FOUND' } })
+    const e = new CopyNotFound({ message: 'no user', cause: new Error('because') })
+
+    expect(CodedError.toProblem(e)).to.include({ status: 404, code: 'E_COPY_NOT_FOUND', detail: e.message })
+    expect(CodedError.toGrpcStatus(e)).to.include({ code: 5, message: e.message })
+    expect(CodedError.toGraphQLError(e)).to.deep.equal({ message: 'E_COPY_NOT_FOUND: no user', extensions: { code: 'E_COPY_NOT_FOUND', name: 'CopyNotFoundError' } })
+    expect(CodedError.ownMessage(e)).to.equal('no user')
+
+    const impostor = Object.assign(new Error('impostor'), { code: 'E_COPY_NOT_FOUND' })
+    expect(CodedError.toProblem(impostor).status).to.equal(500)
+    expect(CodedError.toGraphQLError(impostor).extensions.code).to.equal('INTERNAL_SERVER_ERROR')
+  })
+
+  it('should include native causes, AggregateError errors & enumerable properties of native errors', function () {
+    const MyError = CodedError({ code: 'E_NATIVE' })
+
+    const system = new Error('ENOENT: no such file or directory, open \'/nope\'')
+    Object.assign(system, { code: 'ENOENT', errno: -2, syscall: 'open', path: '/nope' })
+    const native = new Error('native', { cause: system })
+    const aggregate = new AggregateError([new RangeError('range'), 13], 'aggregate')
+
+    const e = new MyError('boom', { cause: [native, aggregate], info: { a: 1 } })
+
+    expect(e.info).to.deep.equal({ a: 1 })
+    expect(e.message).to.equal(`E_NATIVE: boom: [native: ${system.message}, aggregate: [range, 13]]`)
+    expect(e.toObject()).to.deep.equal({
+      message: e.message,
+      name: 'NativeError',
+      stack: null,
+      code: 'E_NATIVE',
+      info: { a: 1 },
+      rawMessage: 'boom',
+      cause: [{
+        message: 'native',
+        name: 'Error',
+        stack: null,
+        cause: {
+          message: system.message,
+          name: 'Error',
+          stack: null,
+          code: 'ENOENT',
+          errno: -2,
+          syscall: 'open',
+          path: '/nope'
+        }
+      }, {
+        message: 'aggregate',
+        name: 'AggregateError',
+        stack: null,
+        errors: [{ message: 'range', name: 'RangeError', stack: null }, 13]
+      }]
+    })
+    expect(e.toObject({ omitting: ['stack', 'errno', 'errors'] }).cause[1].errors).to.be.null()
+    expect(e.toObject({ omitting: ['stack', 'errno', 'errors'] }).cause[0].cause.errno).to.be.null()
+
+    expect(Array.from(e.causes())).to.deep.equal([native, system, aggregate, aggregate.errors[0], 13])
+
+    const r = CodedError.fromObject(e.toObject(false))
+    expect(r.cause[0].cause).to.be.instanceOf(Error)
+    expect(r.cause[0].cause.code).to.equal('ENOENT')
+    expect(r.cause[0].cause.path).to.equal('/nope')
+    expect(Object.keys(r.cause[0])).to.deep.equal([])
+    expect(r.cause[1]).to.be.instanceOf(AggregateError)
+    expect(r.cause[1].errors[0]).to.be.instanceOf(RangeError)
+    expect(r.toObject(false)).to.deep.equal(e.toObject(false))
+  })
+
+  it('should guard against cycles in native causes in messages', function () {
+    const MyError = CodedError({ code: 'E_NATIVE_CYCLE' })
+    const native = new Error('native')
+    native.cause = native
+
+    expect(new MyError({ message: 'boom', cause: native }).message).to.equal('E_NATIVE_CYCLE: boom: native: native')
+  })
+
+  it('should replace cycles with references', function () {
+    const MyError = CodedError({ code: 'E_CYCLE' })
+    const info = { foo: 'bar' }
+    info.info = info
+    info.list = [info, { back: info }]
+    const shared = { shared: true }
+    const e = new MyError({ message: 'boom', info: { info, shared, again: shared } })
+    e.cause = [e, new Error('native', { cause: e })]
+
+    expect(e.toObject()).to.deep.equal({
+      message: e.message,
+      name: 'CycleError',
+      stack: null,
+      code: 'E_CYCLE',
+      rawMessage: 'boom',
+      info: {
+        info: {
+          foo: 'bar',
+          info: { $ref: '$.info.info' },
+          list: [{ $ref: '$.info.info' }, { back: { $ref: '$.info.info' } }]
+        },
+        shared: { shared: true },
+        again: { shared: true }
+      },
+      cause: [{ $ref: '$' }, { message: 'native', name: 'Error', stack: null, cause: { $ref: '$' } }]
+    })
+    expect(JSON.parse(e.toJson())).to.deep.equal(e.toObject())
+  })
+
+  it('should bound the size of the result', function () {
+    const MyError = CodedError({ code: 'E_BOUNDED' })
+    const info = { a: { b: { c: { d: 'deep' } } }, list: [1, 2, 3, 4, 5], string: 'abcdefghij' }
+    const e = new MyError({ message: 'boom', info })
+
+    expect(e.toObject({ maxDepth: 3 }).info.a).to.deep.equal({ b: { c: '[Truncated: depth > 3]' } })
+    expect(e.toObject({ maxArrayLength: 2 }).info.list).to.deep.equal([1, 2, '[Truncated: 3 more items]'])
+    expect(e.toObject({ maxStringLength: 4 }).info.string).to.equal('abcd[Truncated: 6 more characters]')
+    expect(e.toObject({ maxStringLength: 4 }).message).to.equal('E_BO[Truncated: 11 more characters]')
+
+    expect(JSON.parse(e.toJson({ maxSize: 40 }))).to.deep.equal({
+      name: e.name,
+      code: 'E_BOUNDE[Truncated: size > 40]',
+      info: '[Truncated: size > 40]',
+      rawMessage: null
+    })
+
+    const string = new MyError({ message: 'x', info: { string: 'a'.repeat(100000) } })
+    const clipped = string.toObject({ maxSize: 1000 }).info.string
+    expect(clipped).to.match(/^a+\[Truncated: size > 1000\]$/)
+    expect(string.toJson({ maxSize: 1000 }).length).to.be.within(900, 1100)
+
+    const escaped = new MyError({ message: 'x', info: { lines: 'line\n"quoted"\n'.repeat(10000) } })
+    expect(escaped.toJson({ maxSize: 5000 }).length).to.be.within(4500, 5200)
+    expect(JSON.parse(escaped.toJson({ maxSize: 5000 })).info.lines).to.match(/\[Truncated: size > 5000\]$/)
+
+    const array = new MyError({ message: 'x', info: { list: Array.from({ length: 10000 }, (_, i) => i), objects: Array.from({ length: 10000 }, (_, i) => ({ i })) } })
+    const bounded = array.toObject({ maxSize: 1000 })
+    expect(array.toJson({ maxSize: 1000 }).length).to.be.within(900, 1200)
+    expect(bounded.info.list.filter(it => it === '[Truncated: size > 1000]')).to.have.length(1)
+    expect(bounded.info.list[bounded.info.list.length - 1]).to.equal('[Truncated: size > 1000]')
+    expect(bounded.info.objects).to.equal('[Truncated: size > 1000]')
+    expect(bounded).not.to.have.property('message')
+  })
+
+  it('should convert special values sensibly', function () {
+    const MyError = CodedError({ code: 'E_SPECIAL' })
+    const date = new Date(0)
+    const info = {
+      bigint: BigInt(42),
+      symbol: Symbol('sym'),
+      fn: function foo () {},
+      anonymous: () => {},
+      date,
+      invalidDate: new Date(NaN),
+      buffer: Buffer.from('hi'),
+      bytes: new Uint8Array([1, 2]),
+      map: new Map([['a', 1], [2, { b: 'c' }]]),
+      set: new Set([1, 'two']),
+      custom: { toJSON: () => ({ custom: true }) },
+      badCustom: { toJSON: () => { throw new Error('nope') } },
+      get thrower () { throw new Error('getter') }
+    }
+    delete info.anonymous.name
+
+    expect(new MyError({ info }).toObject().info).to.deep.equal({
+      bigint: '42',
+      symbol: 'Symbol(sym)',
+      fn: '[Function: foo]',
+      anonymous: '[Function: anonymous]',
+      date: date.toISOString(),
+      invalidDate: 'Invalid Date',
+      buffer: 'aGk=',
+      bytes: [1, 2],
+      map: { a: 1, 2: { b: 'c' } },
+      set: [1, 'two'],
+      custom: { custom: true },
+      badCustom: '[Thrown: nope]',
+      thrower: '[Thrown: getter]'
+    })
+  })
+  it('should inherit HTTP metadata & convert to problems', function () {
+    const Super = CodedError({ code: 'E_PROBLEM_SUPER', http: { status: 400, type: 'https://example.com/probs/super' } })
+    const Sub = Super.subclass({ code: 'E_PROBLEM_SUB', http: { status: 404, title: 'Not here' } })
+    const Plain = CodedError({ code: 'E_PROBLEM_PLAIN' })
+
+    expect(Super.HTTP).to.deep.equal({ status: 400, type: 'https://example.com/probs/super' })
+    expect(Sub.HTTP).to.deep.equal({ status: 404, title: 'Not here', type: 'https://example.com/probs/super' })
+    expect(Plain.HTTP).to.deep.equal({ status: 500 })
+    expect(() => CodedError({ code: 'E_PROBLEM_BAD', http: { status: 42 } })).to.throw()
+    expect(CodedError.PROBLEM_CONTENT_TYPE).to.equal('application/problem+json')
+
+    const cause = new Error('because')
+    const e = new Sub({ message: 'boom', info: { password: 'p', id: 1 }, cause })
+    expect(e.toProblem({ instance: '/things/1', redacting: { keys: ['password'] } })).to.deep.equal({
+      type: 'https://example.com/probs/super',
+      title: 'Not here',
+      status: 404,
+      instance: '/things/1',
+      detail: 'E_PROBLEM_SUB: boom: because',
+      code: 'E_PROBLEM_SUB',
+      info: { password: '[REDACTED]', id: 1 },
+      cause: { message: 'because', name: 'Error', stack: null }
+    })
+    expect(e.toProblem({ causes: false }).cause).to.be.undefined()
+
+    const NotFound = CodedError({ code: 'E_PROBLEM_NOT_FOUND', http: { status: 404 } })
+    const leaky = new NotFound({ message: 'x', cause: new Error('connect ECONNREFUSED 10.0.0.5:5432') })
+    expect(leaky.toProblem({ causes: false }).detail).to.equal('E_PROBLEM_NOT_FOUND: x')
+    expect(JSON.stringify(leaky.toProblem({ causes: false }))).not.to.contain('10.0.0.5')
+    expect(leaky.toProblem().detail).to.equal(leaky.message)
+    expect(leaky.toProblem({ causes: false, maxStringLength: 10 }).detail).to.have.length.below(leaky.message.length)
+    expect(new NotFound({ cause: new Error('10.0.0.5') }).toProblem({ causes: false }).detail).to.equal('E_PROBLEM_NOT_FOUND: NO_MESSAGE')
+    expect(CodedError.toProblem(new Super('bad'))).to.deep.equal({
+      type: 'https://example.com/probs/super',
+      title: 'Bad Request',
+      status: 400,
+      detail: 'E_PROBLEM_SUPER: bad',
+      code: 'E_PROBLEM_SUPER'
+    })
+    expect(new Plain().toProblem()).to.deep.equal({
+      type: 'about:blank',
+      title: 'Internal Server Error',
+      status: 500,
+      detail: 'E_PROBLEM_PLAIN: NO_MESSAGE',
+      code: 'E_PROBLEM_PLAIN'
+    })
+    expect(CodedError.fromObject({ code: 'E_PROBLEM_UNKNOWN', name: 'UnknownError', message: 'x', info: undefined }).toProblem().status).to.equal(500)
+    expect(CodedError({ code: 'E_PROBLEM_TEAPOT', http: { status: 599 } }).HTTP.status).to.equal(599)
+    expect(new (CodedError({ code: 'E_PROBLEM_599', http: { status: 599 } }))().toProblem().title).to.equal('Unknown Error')
+
+    const secret = new Error('password for db is hunter2')
+    expect(CodedError.toProblem(secret)).to.deep.equal({ type: 'about:blank', title: 'Internal Server Error', status: 500 })
+    expect(Sub.toProblem('oops', { instance: '/x' })).to.deep.equal({ type: 'about:blank', title: 'Internal Server Error', status: 500, instance: '/x' })
+  })
+
+  it('should inherit gRPC metadata & round-trip through google.rpc.Status', function () {
+    const { IllegalArgumentError, IllegalStateError, MethodNotImplementedError, ClassNotExtendableError } = require('../../../main/errors')
+    const Super = CodedError({ code: 'E_GRPC_TEST_SUPER', grpc: { status: 'NOT_FOUND', domain: 'example.com' } })
+    const Sub = Super.subclass({ code: 'E_GRPC_TEST_SUB', grpc: { status: 7 } })
+
+    expect(IllegalArgumentError.GRPC.status).to.equal(3)
+    expect(IllegalStateError.GRPC.status).to.equal(9)
+    expect(ClassNotExtendableError.GRPC.status).to.equal(9)
+    expect(MethodNotImplementedError.GRPC.status).to.equal(12)
+    expect(CodedError({ code: 'E_GRPC_TEST_PLAIN' }).GRPC).to.deep.equal({ status: 2 })
+    expect(Sub.GRPC).to.deep.equal({ status: 7, domain: 'example.com' })
+    expect(() => CodedError({ code: 'E_GRPC_TEST_BAD', grpc: { status: 'NOPE' } })).to.throw()
+    expect(() => CodedError({ code: 'E_GRPC_TEST_BAD', grpc: { status: 17 } })).to.throw()
+    expect(() => CodedError({ code: 'E_GRPC_TEST_BAD', grpc: { status: 'OK' } })).to.throw()
+
+    const e = new Sub({ message: 'boom', info: { id: 1, password: 'p' }, cause: new IllegalArgumentError({ info: { name: 'id' } }) })
+    const status = e.toGrpcStatus({ redacting: { keys: ['password'] } })
+    expect(status).to.deep.equal({
+      code: 7,
+      message: e.message,
+      details: [{
+        '@type': 'type.googleapis.com/google.rpc.ErrorInfo',
+        reason: 'E_GRPC_TEST_SUB',
+        domain: 'example.com',
+        metadata: {
+          name: 'GrpcTestSubError',
+          info: '{"id":1,"password":"[REDACTED]"}',
+          cause: JSON.stringify(e.cause.toObject())
+        }
+      }]
+    })
+    expect(e.toGrpcStatus({ causes: false }).details[0].metadata.cause).to.be.undefined()
+    const leaky = new Sub({ message: 'x', cause: new Error('connect ECONNREFUSED 10.0.0.5:5432') })
+    expect(leaky.toGrpcStatus({ causes: false }).message).to.equal(`${Sub.CODE}: x`)
+    expect(leaky.toGrpcStatus().message).to.equal(leaky.message)
+    expect(new IllegalStateError().toGrpcStatus().details[0]).not.to.have.property('domain')
+
+    const rehydrated = CodedError.fromGrpcStatus(JSON.parse(JSON.stringify(status)))
+    expect(rehydrated).to.be.an.instanceOf(Sub)
+    expect(rehydrated.message).to.equal(e.message)
+    expect(rehydrated.info).to.deep.equal({ id: 1, password: '[REDACTED]' })
+    expect(rehydrated.cause).to.be.an.instanceOf(IllegalArgumentError)
+    expect(rehydrated.cause.info).to.deep.equal({ name: 'id' })
+
+    const odd = CodedError.fromGrpcStatus({ code: 7, message: 'x', details: [{ '@type': 'type.googleapis.com/google.rpc.ErrorInfo', reason: 'E_GRPC_TEST_ODD', metadata: { info: 'not json' } }] })
+    expect(odd.code).to.equal('E_GRPC_TEST_ODD')
+    expect(odd.info).to.equal('not json')
+
+    const unavailable = CodedError.fromGrpcStatus({ code: 14, message: 'try again', details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo' }] })
+    expect(unavailable.code).to.equal('E_GRPC_UNAVAILABLE')
+    expect(unavailable.name).to.equal('GrpcUnavailableError')
+    expect(unavailable.message).to.equal('try again')
+    expect(unavailable.info).to.deep.equal({ status: 14, details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo' }] })
+    expect(CodedError.fromGrpcStatus({ code: 99, message: 'huh' }).code).to.equal('E_GRPC_99')
+
+    expect(CodedError.toGrpcStatus(new Error('password for db is hunter2'))).to.deep.equal({ code: 2, message: 'Unknown error', details: [] })
+    expect(CodedError.toGrpcStatus(e).code).to.equal(7)
+  })
+
+  it('should convert to GraphQL errors', function () {
+    const Err = CodedError({ code: 'E_GRAPHQL_TEST' })
+    const e = new Err({ message: 'boom', info: { id: 1, password: 'p' }, cause: new Error('because') })
+
+    expect(e.toGraphQLError({ redacting: { keys: ['password'] }, path: ['user', 0], locations: [{ line: 1, column: 2 }] })).to.deep.equal({
+      message: 'E_GRAPHQL_TEST: boom',
+      extensions: { code: 'E_GRAPHQL_TEST', name: 'GraphqlTestError', info: { id: 1, password: '[REDACTED]' } },
+      locations: [{ line: 1, column: 2 }],
+      path: ['user', 0]
+    })
+    expect(e.toGraphQLError({ causes: true }).extensions.cause).to.deep.equal({ message: 'because', name: 'Error', stack: null })
+    expect(e.toGraphQLError({ causes: true }).message).to.equal('E_GRAPHQL_TEST: boom: because')
+    expect(e.toGraphQLError({ causes: true, omitting: false }).extensions.cause.stack).to.be.a('string')
+    expect(new Err().toGraphQLError()).to.deep.equal({ message: 'E_GRAPHQL_TEST: NO_MESSAGE', extensions: { code: 'E_GRAPHQL_TEST', name: 'GraphqlTestError' } })
+    expect(CodedError.toGraphQLError(e).extensions.code).to.equal('E_GRAPHQL_TEST')
+
+    const secret = new Error('password for db is hunter2')
+    const masked = CodedError.toGraphQLError(secret, { path: ['x'] })
+    expect(masked).to.deep.equal({ message: 'Internal server error', extensions: { code: 'INTERNAL_SERVER_ERROR' }, path: ['x'] })
+    masked.extensions.foo = 'bar'
+    expect(CodedError.MASKED_GRAPHQL_ERROR.extensions).to.deep.equal({ code: 'INTERNAL_SERVER_ERROR' })
+    expect(CodedError.toGraphQLError(secret, { masking: false })).to.deep.equal({ message: 'password for db is hunter2', extensions: { code: 'INTERNAL_SERVER_ERROR' } })
+    expect(CodedError.toGraphQLError('oops', { masking: false }).message).to.equal('Internal server error')
+  })
+
+  it('should include structured, filtered & remapped stack frames of every error in the chain', function () {
+    const Err = CodedError({ code: 'E_FRAMES_TEST' })
+    const native = new TypeError('inner'); const nativeLine = new Error().stack
+    const e = new Err({ message: 'outer', cause: native }); const line = new Error().stack
+    const { stackFrames, parseStack } = require('../../../main/stack')
+    const firstFrame = stack => stackFrames({ stack })[0]
+    const spec = path.join('src', 'test', 'unit', 'errors', 'CodedError.spec.js')
+
+    const o = e.toObject({ frames: true })
+    expect(o.stack).to.be.null()
+    expect(o.frames[0]).to.deep.equal({ ...firstFrame(line), column: o.frames[0].column })
+    expect(o.frames[0].file.endsWith(spec)).to.be.true()
+    expect(o.frames.every(it => !/node_modules|^node:/.test(it.file))).to.be.true()
+    expect(o.cause.frames[0].file.endsWith(spec)).to.be.true()
+    expect(o.cause.frames[0].line).to.equal(firstFrame(nativeLine).line)
+
+    const capped = e.toObject({ frames: { maxFrames: 1, filter: false, sourceMaps: false } })
+    expect(capped.frames).to.have.lengthOf(2)
+    expect(capped.frames[0].file).to.equal(parseStack(e.stack)[0].file)
+    expect(capped.frames[1]).to.match(/^\[Truncated: \d+ more frames\]$/)
+
+    expect(e.toObject({ frames: true, omitting: ['stack', 'frames'] }).frames).to.be.null()
+    expect(e.toObject()).not.to.have.property('frames')
+    expect(JSON.parse(e.toJson({ frames: { maxFrames: 1 } })).cause.frames[0].file.endsWith(spec)).to.be.true()
+  })
+
+  it('should return own messages', function () {
+    const Err = CodedError({ code: 'E_OWN_MESSAGE_TEST' })
+
+    expect(CodedError.ownMessage(new Err({ message: 'outer', cause: [new Err('inner'), new Error('native')] }))).to.equal('outer')
+    expect(CodedError.ownMessage(new Err('outer: with colons'))).to.equal('outer: with colons')
+    expect(CodedError.ownMessage(new Err())).to.equal('NO_MESSAGE')
+    expect(CodedError.ownMessage(new Error('native'))).to.equal('native')
+    expect(CodedError.ownMessage('nope')).to.be.undefined()
+
+    const changed = new Err({ message: 'outer', cause: new Error('a') })
+    changed.cause = new Error('b')
+    expect(CodedError.ownMessage(changed)).to.equal('outer')
+
+    const symbolic = new Err('outer')
+    symbolic.cause = [Symbol('s')]
+    expect(CodedError.ownMessage(symbolic)).to.equal('outer')
+  })
+  it('should preserve raw messages', function () {
+    const MyError = CodedError({ code: 'E_RAW' })
+    const e = new MyError({ message: 'outer', cause: new MyError('inner') })
+
+    expect(e.rawMessage).to.equal('outer')
+    expect(e.cause.rawMessage).to.equal('inner')
+    expect(e.message).to.equal('E_RAW: outer: E_RAW: inner')
+    expect(new MyError().rawMessage).to.be.undefined()
+    expect(e.toObject().rawMessage).to.equal('outer')
+
+    const again = CodedError.fromJson(e.toJson())
+    expect(again.rawMessage).to.equal('outer')
+    expect(again.cause.rawMessage).to.equal('inner')
+    expect(again.message).to.equal(e.message)
+
+    const { rawMessage, ...legacy } = e.toObject()
+    const old = CodedError.fromObject(legacy)
+    expect(old.rawMessage).to.be.null()
+    expect(old.message).to.equal(e.message)
+    expect(CodedError.ownMessage(old)).to.equal('outer')
+
+    const omitted = CodedError.fromObject(e.toObject({ omitting: ['stack', 'rawMessage'] }))
+    expect(omitted.rawMessage).to.be.null()
+    expect(new MyError({ message: 'wrapper', cause: omitted }).message).to.equal(`E_RAW: wrapper: ${e.message}`)
+  })
+
+  it('should inherit retryability, transience & severity, overridable per instance', function () {
+    expect(CodedError.SEVERITIES).to.deep.equal(['debug', 'info', 'warning', 'error', 'critical'])
+
+    const PlainError = CodedError({ code: 'E_TRAITS_PLAIN' })
+    const plain = new PlainError()
+    expect(plain.retryable).to.be.false()
+    expect(plain.transient).to.be.false()
+    expect(plain.severity).to.equal('error')
+
+    const NetworkError = CodedError({ code: 'E_TRAITS_NETWORK', transient: true, retryable: true, severity: 'warning' })
+    const TimeoutError = NetworkError.subclass({ code: 'E_TRAITS_TIMEOUT' })
+    const RefusedError = NetworkError.subclass({ code: 'E_TRAITS_REFUSED', retryable: false, severity: 'critical' })
+    expect([TimeoutError.RETRYABLE, TimeoutError.TRANSIENT, TimeoutError.SEVERITY]).to.deep.equal([true, true, 'warning'])
+    expect([RefusedError.RETRYABLE, RefusedError.TRANSIENT, RefusedError.SEVERITY]).to.deep.equal([false, true, 'critical'])
+
+    const timeout = new TimeoutError()
+    expect([timeout.retryable, timeout.transient, timeout.severity]).to.deep.equal([true, true, 'warning'])
+    expect(timeout.toObject()).not.to.have.any.keys('retryable', 'transient', 'severity')
+
+    const overridden = new TimeoutError({ retryable: false, severity: 'info' })
+    expect([overridden.retryable, overridden.transient, overridden.severity]).to.deep.equal([false, true, 'info'])
+    expect(new TimeoutError('message', { transient: false }).transient).to.be.false()
+
+    const again = CodedError.fromJson(overridden.toJson())
+    expect(again).to.be.instanceOf(TimeoutError)
+    expect([again.retryable, again.transient, again.severity]).to.deep.equal([false, true, 'info'])
+
+    const traited = new TimeoutError({ retryable: false, transient: false, severity: 'info' })
+    const omitted = CodedError.fromObject(traited.toObject({ omitting: ['retryable', 'transient'] }))
+    expect([omitted.retryable, omitted.transient, omitted.severity]).to.deep.equal([true, true, 'info'])
+    const redacted = CodedError.fromJson(traited.toJson({ redacting: { keys: ['transient', 'severity'] } }))
+    expect(redacted).to.be.instanceOf(TimeoutError)
+    expect([redacted.retryable, redacted.transient, redacted.severity]).to.deep.equal([false, true, 'warning'])
+    const unknown = CodedError.fromObject({ ...traited.toObject(), code: 'E_TRAITS_UNKNOWN', transient: null, severity: 'dire' })
+    expect([unknown.retryable, unknown.transient, unknown.severity]).to.deep.equal([false, false, 'error'])
+
+    timeout.severity = 'debug'
+    expect(timeout.severity).to.equal('debug')
+    expect(() => { timeout.severity = 'dire' }).to.throw('severity must be one of debug, info, warning, error, critical; got dire')
+    expect(() => new TimeoutError({ retryable: 'yes' })).to.throw('retryable must be a boolean; got yes')
+    expect(() => CodedError({ code: 'E_TRAITS_BAD', transient: 1 })).to.throw('transient must be a boolean; got 1')
+  })
 })
@@ -0,0 +1,89 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const path = require('path')
+const CodedError = require('../../../main/errors/CodedError')
+const { IllegalArgumentError, MethodNotImplementedError } = require('../../../main/errors')
+const { normalizeMessage, fingerprint } = require('../../../main/fingerprint')
+
+const FingerprintError = CodedError({ code: 'E_FINGERPRINT_TEST' })
+
+const failToFind = id => new FingerprintError(`no user ${id} with key '${id}x'`)
+const failToSave = id => new FingerprintError(`no user ${id} with key '${id}x'`)
+
+describe('unit tests of fingerprint', function () {
+  it('should normalize volatile parts of messages', () => {
+    expect(normalizeMessage('user 42 not found at 3.14e10 after -7 tries')).to.equal('user <num> not found at <num> after <num> tries')
+    expect(normalizeMessage('no "foo \\" bar" or \'baz\' or `qux`')).to.equal('no <str> or <str> or <str>')
+    expect(normalizeMessage('id 123e4567-e89b-12d3-a456-426614174000 & 0xDEADBEEF & 5f4dcc3b5aa765d61d8327deb882cf99')).to.equal('id <uuid> & <hex> & <hex>')
+    expect(normalizeMessage('deadbeef is a word')).to.equal('deadbeef is a word')
+    expect(normalizeMessage(undefined)).to.equal('undefined')
+  })
+
+  it('should fingerprint errors from the same code path identically', () => {
+    const a = failToFind(1)
+    const b = failToFind(2)
+
+    expect(a.fingerprint()).to.match(/^[0-9a-f]{64}$/)
+    expect(a.fingerprint()).to.equal(b.fingerprint())
+    expect(fingerprint(a)).to.equal(CodedError.fingerprint(b))
+    expect(a.fingerprint()).not.to.equal(failToSave(1).fingerprint())
+    expect(a.fingerprint({ frames: 0 })).to.equal(failToSave(1).fingerprint({ frames: 0 }))
+    expect(new FingerprintError('x').fingerprint({ frames: 0 })).not.to.equal(new FingerprintError('y').fingerprint({ frames: 0 }))
+  })
+
+  it('should be deterministic across processes & machines', () => {
+    const error = {
+      code: 'E_X',
+      message: 'no user 42',
+      stack: `Error: no user 42\n    at find (${path.join(process.cwd(), 'src', 'users.js')}:12:34)\n    at /app/node_modules/x/index.js:1:1`
+    }
+
+    expect(fingerprint(error)).to.equal('65fc754b1e1a044ecde9e4376b99a155c8942567b5cb9e70ed5345744f2db60b')
+    expect(fingerprint({ ...error, stack: error.stack.replace(':12:', ':99:') })).to.equal(fingerprint(error))
+    expect(fingerprint({ ...error, stack: error.stack.replace(':12:', ':99:') }, { lines: true })).not.to.equal(fingerprint(error, { lines: true }))
+    expect(fingerprint({ ...error, stack: error.stack.replace(process.cwd(), `file://${process.cwd()}`) })).to.equal(fingerprint(error))
+  })
+
+  it('should include class lineage, info hooks & causes', () => {
+    const Sub = FingerprintError.subclass({ code: 'E_FINGERPRINT_TEST', fingerprint: { info: ['tenant.id'] } })
+    const Hooked = CodedError({ code: 'E_FINGERPRINT_HOOKED', fingerprint: { info: info => info.kind } })
+    const make = (C, info, cause) => new C({ message: 'x', info, cause })
+
+    expect(make(FingerprintError).fingerprint({ frames: 0 })).not.to.equal(make(Sub).fingerprint({ frames: 0 }))
+    expect(Sub.FINGERPRINT.info).to.deep.equal(['tenant.id'])
+    expect(FingerprintError.FINGERPRINT).to.deep.equal({})
+
+    expect(make(Sub, { tenant: { id: 1 }, at: 1 }).fingerprint({ frames: 0 })).to.equal(make(Sub, { tenant: { id: 1 }, at: 2 }).fingerprint({ frames: 0 }))
+    expect(make(Sub, { tenant: { id: 1 } }).fingerprint({ frames: 0 })).not.to.equal(make(Sub, { tenant: { id: 2 } }).fingerprint({ frames: 0 }))
+    expect(make(Sub).fingerprint({ frames: 0 })).to.equal(make(Sub, {}).fingerprint({ frames: 0 }))
+    expect(make(Hooked, { kind: 'a', n: 1 }).fingerprint({ frames: 0 })).to.equal(make(Hooked, { kind: 'a', n: 2 }).fingerprint({ frames: 0 }))
+    expect(make(Hooked, { kind: { b: 1, a: [2] } }).fingerprint({ frames: 0 })).to.equal(make(Hooked, { kind: { a: [2], b: 1 } }).fingerprint({ frames: 0 }))
+
+    expect(new IllegalArgumentError({ info: { name: 'a' } }).fingerprint({ frames: 0 })).not.to.equal(new IllegalArgumentError({ info: { name: 'b' } }).fingerprint({ frames: 0 }))
+    expect(new MethodNotImplementedError({ info: { method: 'a' } }).fingerprint({ frames: 0 })).not.to.equal(new MethodNotImplementedError({ info: { method: 'b' } }).fingerprint({ frames: 0 }))
+
+    const withCause = cause => new FingerprintError({ message: 'x', cause })
+    expect(withCause(new TypeError('y')).fingerprint({ frames: 0 })).not.to.equal(withCause(new RangeError('y')).fingerprint({ frames: 0 }))
+    expect(withCause(new TypeError('y')).fingerprint({ frames: 0, causes: false })).to.equal(withCause(new RangeError('y')).fingerprint({ frames: 0, causes: false }))
+    expect(withCause([1, 'user 1']).fingerprint({ frames: 0 })).to.equal(withCause([2, 'user 2']).fingerprint({ frames: 0 }))
+  })
+
+  it('should be cycle-safe', () => {
+    const a = new FingerprintError({ message: 'a', info: {} })
+    const b = new FingerprintError({ message: 'b', cause: a })
+    a.cause = b
+    a.info.self = a.info
+
+    const Hooked = CodedError({ code: 'E_FINGERPRINT_CYCLE', fingerprint: { info: info => info } })
+    const c = new Hooked({ info: { big: 10n, fn: () => {}, n: NaN } })
+    c.info.self = c.info
+
+    expect(a.fingerprint()).to.match(/^[0-9a-f]{64}$/)
+    expect(c.fingerprint()).to.match(/^[0-9a-f]{64}$/)
+  })
+})
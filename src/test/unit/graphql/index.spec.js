@@ -0,0 +1,65 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { IllegalArgumentError } = require('../../../main/errors')
+const { graphQLErrorFormatter, formatError } = require('../../../main/graphql')
+
+// a stand-in for graphql-js's GraphQLError, so that no GraphQL server is needed
+class GraphQLError extends Error {
+  constructor (message, { originalError, path, locations } = {}) {
+    super(message)
+    this.name = 'GraphQLError'
+    this.originalError = originalError
+    this.path = path
+    this.locations = locations
+  }
+
+  toJSON () {
+    return { message: this.message, locations: this.locations, path: this.path }
+  }
+}
+
+describe('unit tests of graphql', function () {
+  it('should format errors thrown by resolvers', () => {
+    const original = new IllegalArgumentError({ info: { name: 'id' } })
+    const error = new GraphQLError(original.message, { originalError: original, path: ['user'], locations: [{ line: 2, column: 3 }] })
+
+    const expected = {
+      message: original.message,
+      extensions: { code: IllegalArgumentError.CODE, name: 'IllegalArgumentError', info: { name: 'id' } },
+      locations: [{ line: 2, column: 3 }],
+      path: ['user']
+    }
+    expect(formatError(error)).to.deep.equal(expected)
+    expect(formatError({ message: 'Unexpected error.', path: ['user'], locations: [{ line: 2, column: 3 }] }, error)).to.deep.equal(expected)
+    expect(formatError(new GraphQLError('wrapped', { originalError: error, path: ['user'] })).path).to.deep.equal(['user'])
+    expect(formatError(new GraphQLError('wrapped', { originalError: error })).extensions).to.deep.equal(expected.extensions)
+  })
+
+  it('should mask other errors', () => {
+    const error = new GraphQLError('hunter2', { originalError: new Error('hunter2'), path: ['user'] })
+
+    expect(formatError(error)).to.deep.equal({ message: 'Internal server error', extensions: { code: 'INTERNAL_SERVER_ERROR' }, path: ['user'] })
+    expect(graphQLErrorFormatter({ masking: false })(error).message).to.equal('hunter2')
+    expect(formatError(new Error('hunter2')).message).to.equal('Internal server error')
+  })
+
+  it('should leave errors raised by the server alone', () => {
+    const error = new GraphQLError('Syntax Error: Unexpected Name "foo".', { locations: [{ line: 1, column: 1 }] })
+    const formatted = { message: error.message, locations: error.locations, extensions: { code: 'GRAPHQL_PARSE_FAILED' } }
+
+    expect(formatError(formatted, error)).to.equal(formatted)
+    expect(formatError(error)).to.deep.equal({ message: error.message, locations: error.locations, path: undefined })
+  })
+
+  it('should include causes when asked', () => {
+    const original = new IllegalArgumentError({ cause: new Error('because') })
+    const format = graphQLErrorFormatter({ causes: true, omitting: ['stack', 'message'] })
+
+    expect(format(new GraphQLError('x', { originalError: original })).extensions.cause).to.deep.equal({ message: null, name: 'Error', stack: null })
+  })
+})
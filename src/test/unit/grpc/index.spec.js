@@ -0,0 +1,21 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { GRPC_STATUS, toGrpcStatusCode, grpcStatusName } = require('../../../main/grpc')
+
+describe('unit tests of grpc', function () {
+  it('should convert between gRPC status names & codes', () => {
+    expect(GRPC_STATUS.INVALID_ARGUMENT).to.equal(3)
+    expect(toGrpcStatusCode('FAILED_PRECONDITION')).to.equal(9)
+    expect(toGrpcStatusCode(12)).to.equal(12)
+    expect(() => toGrpcStatusCode('NOPE')).to.throw()
+    expect(() => toGrpcStatusCode(17)).to.throw()
+    expect(() => toGrpcStatusCode('3')).to.throw()
+    expect(grpcStatusName(16)).to.equal('UNAUTHENTICATED')
+    expect(grpcStatusName(17)).to.be.undefined()
+  })
+})
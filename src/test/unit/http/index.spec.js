@@ -0,0 +1,186 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const http = require('http')
+const CodedError = require('../../../main/errors/CodedError')
+const { IllegalArgumentError, UnexpectedError } = require('../../../main/errors')
+const {
+  ERROR_RESPONSE_CONTENT_TYPE,
+  toCodedError,
+  errorResponse,
+  wrapHttpHandler,
+  expressErrorHandler,
+  koaErrorHandler,
+  fastifyErrorHandler
+} = require('../../../main/http')
+
+const serve = async (handler, fn) => {
+  const server = http.createServer(handler)
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`)
+  } finally {
+    await new Promise(resolve => server.close(resolve))
+  }
+}
+
+const get = url => new Promise((resolve, reject) => {
+  http.get(url, res => {
+    let body = ''
+    res.setEncoding('utf8')
+    res.on('data', it => { body += it })
+    res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: body ? JSON.parse(body) : undefined }))
+  }).on('error', reject)
+})
+
+describe('unit tests of http', function () {
+  it('should convert thrown values to CodedErrors', () => {
+    const e = new IllegalArgumentError({ info: { name: 'x' } })
+    expect(toCodedError(e)).to.equal(e)
+
+    const native = new Error('boom')
+    const converted = toCodedError(native)
+    expect(converted).to.be.an.instanceOf(UnexpectedError)
+    expect(converted.cause).to.equal(native)
+    expect(toCodedError('boom').cause).to.equal('boom')
+  })
+
+  it('should build responses from error classes with omissions, redaction & logging', () => {
+    const logged = []
+    const e = new IllegalArgumentError({ info: { name: 'x', password: 'secret' }, cause: new Error('inner') })
+
+    const response = errorResponse(e, {
+      request: { url: '/things' },
+      instance: req => req.url,
+      redacting: { paths: ['info.password'] },
+      log: (error, { status, request }) => logged.push({ error, status, request })
+    })
+
+    expect(response.status).to.equal(400)
+    expect(response.headers).to.deep.equal({ 'Content-Type': ERROR_RESPONSE_CONTENT_TYPE })
+    expect(JSON.parse(response.body)).to.deep.equal(response.problem)
+    expect(response.problem).to.deep.equal({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      instance: '/things',
+      detail: 'E_ILLEGAL_ARGUMENT: Argument x is illegal',
+      code: IllegalArgumentError.CODE,
+      info: { name: 'x', password: '[REDACTED]' }
+    })
+    expect(logged).to.deep.equal([{ error: e, status: 400, request: { url: '/things' } }])
+
+    expect(response.body).not.to.contain('inner')
+    expect(errorResponse(e, { causes: true }).problem.cause.message).to.equal('inner')
+    expect(errorResponse(e, { log: () => { throw new Error('log failed') } }).status).to.equal(400)
+  })
+
+  it('should not leak other thrown values', () => {
+    let logged
+    const native = new Error('select * from secrets')
+    native.statusCode = 404
+
+    const response = errorResponse(native, { log: it => { logged = it } })
+    expect(response.status).to.equal(404)
+    expect(response.problem).to.deep.equal({ type: 'about:blank', title: 'Not Found', status: 404 })
+    expect(response.body).not.to.contain('secrets')
+    expect(logged).to.be.an.instanceOf(UnexpectedError)
+    expect(logged.cause).to.equal(native)
+
+    expect(errorResponse({ status: 302 }).status).to.equal(500)
+    expect(errorResponse(null).problem).to.deep.equal(CodedError.toProblem(null))
+  })
+
+  it('should handle errors thrown by node http handlers', async () => {
+    const handler = wrapHttpHandler(async req => {
+      throw new IllegalArgumentError({ info: { name: 'id' } })
+    }, { instance: req => req.url })
+
+    const res = await serve(handler, url => get(`${url}/things/1`))
+    expect(res.status).to.equal(400)
+    expect(res.type).to.equal(ERROR_RESPONSE_CONTENT_TYPE)
+    expect(res.body.instance).to.equal('/things/1')
+    expect(res.body.code).to.equal(IllegalArgumentError.CODE)
+
+    const failing = wrapHttpHandler(() => {
+      throw new IllegalArgumentError({ info: { name: 'id' }, cause: new Error('connect ECONNREFUSED 10.0.0.5:5432') })
+    }, { instance: () => { throw new Error('instance failed') } })
+    const generic = await serve(failing, get)
+    expect(generic.status).to.equal(500)
+    expect(generic.type).to.equal(ERROR_RESPONSE_CONTENT_TYPE)
+    expect(generic.body).to.deep.equal(CodedError.toProblem(undefined))
+
+    let ended = false
+    await failing({}, { headersSent: true, end: () => { ended = true } })
+    expect(ended).to.be.true()
+    await failing({}, { headersSent: false, setHeader: () => { throw new Error('closed') } })
+  })
+
+  it('should work as express error-handling middleware', async () => {
+    const handle = expressErrorHandler()
+    const handler = (req, res) => handle(new Error('boom'), req, res, () => { throw new Error('should not be called') })
+
+    const res = await serve(handler, get)
+    expect(res.status).to.equal(500)
+    expect(res.type).to.equal(ERROR_RESPONSE_CONTENT_TYPE)
+    expect(res.body.code).to.be.undefined()
+
+    let passed
+    const err = new Error('late')
+    handle(err, {}, { headersSent: true }, it => { passed = it })
+    expect(passed).to.equal(err)
+
+    const failing = expressErrorHandler({ instance: () => { throw new Error('instance failed') } })
+    const generic = await serve((req, res) => failing(new IllegalArgumentError(), req, res, () => { throw new Error('should not be called') }), get)
+    expect(generic.status).to.equal(500)
+    expect(generic.body).to.deep.equal(CodedError.toProblem(undefined))
+  })
+
+  it('should work as koa middleware', async () => {
+    const headers = {}
+    const ctx = { request: { url: '/x' }, set: it => Object.assign(headers, it) }
+
+    await koaErrorHandler({ instance: req => req.url })(ctx, async () => {
+      throw new IllegalArgumentError()
+    })
+
+    expect(ctx.status).to.equal(400)
+    expect(headers['Content-Type']).to.equal(ERROR_RESPONSE_CONTENT_TYPE)
+    expect(JSON.parse(ctx.body).instance).to.equal('/x')
+
+    const untouched = {}
+    await koaErrorHandler()(untouched, async () => {})
+    expect(untouched).to.deep.equal({})
+
+    const failing = { request: {}, set: it => Object.assign(headers, it) }
+    await koaErrorHandler({ instance: () => { throw new Error('instance failed') } })(failing, async () => {
+      throw new IllegalArgumentError({ cause: new Error('inner') })
+    })
+    expect(failing.status).to.equal(500)
+    expect(JSON.parse(failing.body)).to.deep.equal(CodedError.toProblem(undefined))
+  })
+
+  it('should work as a fastify error handler', () => {
+    const sent = {}
+    const reply = {
+      code (it) { sent.status = it; return this },
+      headers (it) { sent.headers = it; return this },
+      send (it) { sent.body = it; return this }
+    }
+
+    expect(fastifyErrorHandler()(new IllegalArgumentError(), {}, reply)).to.equal(reply)
+    expect(sent.status).to.equal(400)
+    expect(sent.headers['Content-Type']).to.equal(ERROR_RESPONSE_CONTENT_TYPE)
+    expect(JSON.parse(sent.body).code).to.equal(IllegalArgumentError.CODE)
+
+    fastifyErrorHandler({ instance: () => { throw new Error('instance failed') } })(new IllegalArgumentError(), {}, reply)
+    expect(sent.status).to.equal(500)
+    expect(sent.headers['Content-Type']).to.equal(ERROR_RESPONSE_CONTENT_TYPE)
+    expect(JSON.parse(sent.body)).to.deep.equal(CodedError.toProblem(undefined))
+  })
+})
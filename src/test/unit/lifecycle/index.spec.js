@@ -0,0 +1,222 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const {
+  AlreadyInitializedError,
+  NotInitializedError,
+  IllegalStateError,
+  IllegalArgumentError
+} = require('../../../main/errors')
+const { withLifecycle, lifecycleState } = require('../../../main/lifecycle')
+
+/**
+ * Returns what the given function throws.
+ */
+const thrown = fn => {
+  try {
+    fn()
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing thrown')
+}
+
+/**
+ * Returns what the given promise is rejected with.
+ */
+const rejected = async promise => {
+  try {
+    await promise
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing rejected')
+}
+
+describe('unit tests of lifecycle', function () {
+  it('should guard objects initialized synchronously', () => {
+    const cache = withLifecycle({
+      init (size) {
+        this.size = size
+        return this
+      },
+      get () {
+        return this.size
+      }
+    }, { guarded: ['get'] })
+    expect(Object.keys(cache)).to.deep.equal(['init', 'get'])
+
+    const early = thrown(() => cache.get())
+    expect(early).to.be.instanceOf(NotInitializedError)
+    expect(early.message).to.equal('E_NOT_INITIALIZED: Not initialized')
+    expect(early.info).to.deep.equal({ name: 'get', expected: ['initialized'], actual: 'uninitialized' })
+
+    expect(lifecycleState(cache)).to.equal('uninitialized')
+    expect(cache.init(2)).to.equal(cache)
+    expect(lifecycleState(cache)).to.equal('initialized')
+    expect(cache.get()).to.equal(2)
+
+    const again = thrown(() => cache.init(3))
+    expect(again).to.be.instanceOf(AlreadyInitializedError)
+    expect(again.info).to.deep.equal({ name: 'init', expected: ['uninitialized'], actual: 'initialized' })
+    expect(cache.size).to.equal(2)
+  })
+
+  it('should revert failed initialization', () => {
+    let fail = true
+    const service = withLifecycle({
+      start () {
+        if (fail) throw new Error('boom')
+      }
+    }, { init: 'start' })
+
+    expect(() => service.start()).to.throw('boom')
+    expect(lifecycleState(service)).to.equal('uninitialized')
+    fail = false
+    service.start()
+    expect(lifecycleState(service)).to.equal('initialized')
+  })
+
+  it('should share in-flight asynchronous initialization', async () => {
+    class Connection {
+      async init () {
+        this.inits = (this.inits || 0) + 1
+        await new Promise(resolve => setTimeout(resolve, 5))
+        if (this.inits === 1) throw new Error('refused')
+        return this.inits
+      }
+
+      async query () {
+        return 'rows'
+      }
+    }
+    expect(withLifecycle(Connection, { guarded: ['query'] })).to.equal(Connection)
+
+    const connection = new Connection()
+    expect(await rejected(connection.query())).to.be.instanceOf(NotInitializedError)
+
+    const first = connection.init()
+    expect(lifecycleState(connection)).to.equal('initializing')
+    const during = await rejected(connection.query())
+    expect(during.info).to.deep.equal({ name: 'query', expected: ['initialized'], actual: 'initializing' })
+    expect(connection.init()).to.equal(first)
+    expect((await rejected(first)).message).to.equal('refused')
+    expect(lifecycleState(connection)).to.equal('uninitialized')
+
+    const results = await Promise.all([connection.init(), connection.init()])
+    expect(results).to.deep.equal([2, 2])
+    expect(await connection.query()).to.equal('rows')
+    expect(await rejected(connection.init())).to.be.instanceOf(AlreadyInitializedError)
+
+    const other = new Connection()
+    expect(lifecycleState(other)).to.equal('uninitialized')
+    expect(await rejected(other.query())).to.be.instanceOf(NotInitializedError)
+  })
+
+  it('should guard declared transitions', async () => {
+    const pool = withLifecycle({
+      init () {},
+      acquire () {
+        return 'resource'
+      },
+      status () {
+        return lifecycleState(this)
+      },
+      drain () {
+        return new Promise(resolve => setTimeout(resolve, 5))
+      },
+      close () {}
+    }, {
+      guarded: { acquire: 'initialized', status: ['initialized', 'draining', 'drained', 'closed'] },
+      transitions: {
+        drain: { from: 'initialized', via: 'draining', to: 'drained' },
+        close: { from: ['initialized', 'drained'], to: 'closed' }
+      }
+    })
+
+    expect(thrown(() => pool.close())).to.be.instanceOf(NotInitializedError)
+    pool.init()
+
+    const draining = pool.drain()
+    expect(pool.status()).to.equal('draining')
+    const busy = thrown(() => pool.acquire())
+    expect(busy).to.be.instanceOf(IllegalStateError)
+    expect(busy.message).to.equal('E_ILLEGAL_STATE: Illegal state')
+    expect(busy.info).to.deep.equal({ name: 'acquire', expected: ['initialized'], actual: 'draining' })
+    expect(thrown(() => pool.close()).info).to.deep.equal({ name: 'close', expected: ['initialized', 'drained'], actual: 'draining' })
+    await draining
+
+    pool.close()
+    expect(pool.status()).to.equal('closed')
+    expect(thrown(() => pool.drain())).to.be.instanceOf(IllegalStateError)
+    expect(thrown(() => pool.init())).to.be.instanceOf(AlreadyInitializedError)
+  })
+
+  it('should tell asynchrony per method, not from earlier calls', async () => {
+    class Job {
+      init () {}
+      run (async) {
+        return async ? Promise.resolve('ran') : 'ran'
+      }
+    }
+    withLifecycle(Job, { transitions: { run: { from: 'initialized', to: 'done' } } })
+
+    const first = new Job()
+    first.init()
+    expect(await first.run(true)).to.equal('ran')
+    expect(thrown(() => first.run(true))).to.be.instanceOf(IllegalStateError)
+
+    const second = new Job()
+    expect(thrown(() => second.run(false))).to.be.instanceOf(NotInitializedError)
+    second.init()
+    expect(second.run(false)).to.equal('ran')
+  })
+
+  it('should reject for methods declared asynchronous', async () => {
+    function Client () {}
+    Client.prototype.init = function () { // like a transpiled async method
+      return Promise.resolve(this)
+    }
+    Client.prototype.send = function () {
+      return Promise.resolve('sent')
+    }
+    withLifecycle(Client, { guarded: ['send'], async: true })
+
+    const client = new Client()
+    const early = client.send()
+    expect(early).to.be.instanceOf(Promise)
+    expect(await rejected(early)).to.be.instanceOf(NotInitializedError)
+    const init = client.init()
+    expect(client.init()).to.equal(init)
+    expect(await init).to.equal(client)
+    expect(await client.send()).to.equal('sent')
+    expect(await rejected(client.init())).to.be.instanceOf(AlreadyInitializedError)
+
+    const sync = withLifecycle({ async init () {} }, { async: false })
+    await sync.init()
+    expect(thrown(() => sync.init())).to.be.instanceOf(AlreadyInitializedError)
+  })
+
+  it('should require declared methods', () => {
+    const e = thrown(() => withLifecycle({ init () {} }, { guarded: ['missing'] }))
+    expect(e).to.be.instanceOf(IllegalArgumentError)
+    expect(e.message).to.equal('E_ILLEGAL_ARGUMENT: Method missing doesn\'t exist')
+    expect(e.info).to.deep.equal({ name: 'missing' })
+    expect(() => withLifecycle({})).to.throw(IllegalArgumentError, 'Method init doesn\'t exist')
+
+    const to = thrown(() => withLifecycle({ init () {}, close () {} }, { transitions: { close: { from: 'initialized' } } }))
+    expect(to).to.be.instanceOf(IllegalArgumentError)
+    expect(to.rawMessage).to.equal('Transition close must have a to state')
+    expect(to.info).to.deep.equal({ name: 'close', actual: undefined })
+
+    const prototype = { init () {}, close () {}, query () {} }
+    const methods = Object.assign({}, prototype)
+    expect(() => withLifecycle(prototype, { guarded: ['query'], transitions: { close: { from: 'initialized' } } })).to.throw(IllegalArgumentError)
+    expect(() => withLifecycle(prototype, { guarded: ['query', 'missing'], transitions: { close: { from: 'initialized', to: 'closed' } } })).to.throw(IllegalArgumentError)
+    expect(prototype).to.deep.equal(methods)
+  })
+})
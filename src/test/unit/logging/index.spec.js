@@ -0,0 +1,157 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { PassThrough } = require('stream')
+const CodedError = require('../../../main/errors/CodedError')
+const {
+  serializeError,
+  errorLogFields,
+  pinoErrorSerializer,
+  pinoLogFormatter,
+  winstonErrorFormat
+} = require('../../../main/logging')
+
+const LEVEL = Symbol.for('level')
+const LoggingError = CodedError({ code: 'E_LOGGING' })
+
+const newError = () => new LoggingError({ message: 'boom', cause: new Error('native'), info: { password: 'secret', ok: 1 } })
+
+/**
+ * Returns the JSON lines written to the given in-memory stream as objects.
+ */
+const lines = stream => stream.read().trim().split('\n').map(it => JSON.parse(it))
+
+/**
+ * Returns a function that logs like pino does, applying `formatters.log` & then `serializers` to each record before writing it as JSON.
+ */
+const pinoLike = (stream, { serializers = {}, formatters = {} }) => (record, msg) => {
+  const object = formatters.log ? formatters.log(record) : record
+  Object.keys(serializers).forEach(key => {
+    if (key in object) object[key] = serializers[key](object[key])
+  })
+
+  stream.write(`${JSON.stringify({ level: 50, ...object, msg })}\n`)
+}
+
+/**
+ * Returns a function that logs like winston does, transforming each record with the given format before writing it as JSON.
+ */
+const winstonLike = (stream, format) => info => {
+  info.level = info[LEVEL] = 'error'
+  const transformed = format.transform(info, format.options)
+
+  expect(transformed[LEVEL]).to.equal('error')
+  stream.write(`${JSON.stringify(transformed)}\n`)
+}
+
+describe('unit tests of logging', function () {
+  it('should serialize errors in profiles', () => {
+    const e = newError()
+
+    const object = serializeError(e)
+    expect(object).to.deep.equal(CodedError.toObject(e, { omitting: [] }))
+    expect(object.stack).to.equal(e.stack)
+    expect(object.cause.stack).to.equal(e.cause.stack)
+
+    expect(serializeError(e, { profile: 'ecs' })).to.deep.equal({
+      code: 'E_LOGGING',
+      type: 'LoggingError',
+      message: 'E_LOGGING: boom: native',
+      stack_trace: e.stack
+    })
+    expect(serializeError(e, { profile: 'otel' })).to.deep.equal({
+      'exception.type': 'LoggingError',
+      'exception.message': 'E_LOGGING: boom: native',
+      'exception.stacktrace': e.stack,
+      'error.type': 'E_LOGGING'
+    })
+    expect(serializeError(e.cause, { profile: 'otel', omitting: 'stack' })).to.deep.equal({
+      'exception.type': 'Error',
+      'exception.message': 'native'
+    })
+    expect(serializeError('nope', { profile: 'ecs' })).to.deep.equal({ message: 'nope' })
+    expect(() => serializeError(e, { profile: 'nope' })).to.throw('profile must be one of default, ecs, otel; got nope')
+
+    expect(errorLogFields(e, { profile: 'ecs', omitting: 'stack' })).to.deep.equal({ error: { code: 'E_LOGGING', type: 'LoggingError', message: e.message } })
+    expect(errorLogFields(e, { profile: 'otel' })).to.deep.equal(serializeError(e, { profile: 'otel' }))
+    expect(errorLogFields(e)).to.deep.equal({ err: serializeError(e) })
+  })
+
+  it('should respect redaction, omission & size policies', () => {
+    const e = newError()
+
+    expect(serializeError(e, { redacting: { paths: ['info.password'] } }).info).to.deep.equal({ password: '[REDACTED]', ok: 1 })
+    expect(serializeError(e, { omitting: ['stack', 'cause'] })).to.include({ stack: null, cause: null })
+    expect(serializeError(e, { profile: 'ecs', maxStringLength: 5 }).message).to.equal('E_LOG[Truncated: 18 more characters]')
+
+    const bounded = serializeError(e, { maxSize: 40 })
+    expect(bounded.code).to.equal('E_LOGGIN[Truncated: size > 40]')
+    expect(bounded.cause).to.equal('[Truncated: size > 40]')
+    expect(bounded).not.to.have.property('stack')
+    expect(serializeError(e, { profile: 'ecs', maxSize: 40 })).to.deep.equal({ code: 'E_LOGGING', type: 'LoggingErro[Truncated: size > 40]', message: '[Truncated: size > 40]' })
+
+    const big = new LoggingError({ message: 'boom', cause: new Error('native'), info: { blob: 'x'.repeat(10000) } })
+    expect(serializeError(big, { profile: 'ecs', maxSize: 2000 })).to.deep.equal({ code: 'E_LOGGING', type: 'LoggingError', message: big.message, stack_trace: big.stack })
+    const otel = serializeError(big, { profile: 'otel', maxSize: 200 })
+    expect(otel).to.include({ 'exception.type': 'LoggingError', 'exception.message': big.message, 'error.type': 'E_LOGGING' })
+    expect(otel['exception.stacktrace']).to.match(/^LoggingError: E_LOGGING: boom.*\[Truncated: size > 200\]$/s)
+  })
+
+  it('should plug into pino', () => {
+    const e = newError()
+    const stream = new PassThrough({ encoding: 'utf8' })
+
+    const log = pinoLike(stream, { serializers: { err: pinoErrorSerializer({ omitting: 'stack' }) } })
+    log({ err: e, other: 1 }, 'failed')
+    log({ err: 'not an error' }, 'odd')
+
+    const ecs = pinoLike(stream, { formatters: { log: pinoLogFormatter({ profile: 'ecs', omitting: 'stack' }) } })
+    ecs({ error: e, other: 1 }, 'failed')
+    ecs({ other: 2 }, 'fine')
+
+    expect(lines(stream)).to.deep.equal([
+      { level: 50, err: JSON.parse(e.toJson()), other: 1, msg: 'failed' },
+      { level: 50, err: 'not an error', msg: 'odd' },
+      { level: 50, other: 1, error: { code: 'E_LOGGING', type: 'LoggingError', message: e.message }, msg: 'failed' },
+      { level: 50, other: 2, msg: 'fine' }
+    ])
+  })
+
+  it('should plug into winston', () => {
+    const e = newError()
+    const direct = new LoggingError('direct')
+    const stream = new PassThrough({ encoding: 'utf8' })
+
+    const log = winstonLike(stream, winstonErrorFormat({ profile: 'otel', omitting: 'stack' }))
+    log({ message: 'failed', err: e })
+    log(direct)
+    log({ message: 'fine' })
+
+    const byDefault = winstonLike(stream, winstonErrorFormat({ keys: ['failure'], redacting: { paths: ['info.password'] } }))
+    byDefault({ message: 'failed', failure: e })
+
+    const [meta, error, fine, failure] = lines(stream)
+    expect(meta).to.deep.equal({
+      message: 'failed',
+      level: 'error',
+      'exception.type': 'LoggingError',
+      'exception.message': e.message,
+      'error.type': 'E_LOGGING'
+    })
+    expect(error).to.deep.equal({
+      level: 'error',
+      message: 'E_LOGGING: direct',
+      'exception.type': 'LoggingError',
+      'exception.message': 'E_LOGGING: direct',
+      'error.type': 'E_LOGGING'
+    })
+    expect(fine).to.deep.equal({ message: 'fine', level: 'error' })
+    expect(failure.failure).to.be.undefined()
+    expect(failure.err.info).to.deep.equal({ password: '[REDACTED]', ok: 1 })
+    expect(failure.err.stack).to.equal(e.stack)
+  })
+})
@@ -0,0 +1,156 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const CodedError = require('../../../main/errors/CodedError')
+const { IllegalArgumentError, IllegalArgumentTypeError, ClassNotExtendableError, IllegalStateError } = require('../../../main/errors')
+const {
+  interpolate,
+  MessageCatalog,
+  messageCatalog,
+  createMessageComposer,
+  setDefaultMessageComposer,
+  getDefaultMessageComposer
+} = require('../../../main/messages')
+
+describe('unit tests of messages', function () {
+  it('should interpolate safely', () => {
+    const values = { code: 'E_X', info: { name: 'foo', n: 0, nested: { a: 1 }, list: [1, 2], date: new Date(0), nil: null } }
+
+    expect(interpolate('{{code}}: {{ info.name }} {{info.n}}', values)).to.equal('E_X: foo 0')
+    expect(interpolate('{{info.nested}} {{info.list}} {{info.date}}', values)).to.equal('{"a":1} 1,2 1970-01-01T00:00:00.000Z')
+    expect(interpolate('[{{info.missing}}] [{{info.missing.deeper}}] [{{info.nil|none}}]', values)).to.equal('[] [] [none]')
+    expect(interpolate('{{info.constructor}}{{__proto__}}{{info.name|x}}', values)).to.equal('foo')
+    expect(interpolate('no placeholders')).to.equal('no placeholders')
+
+    const circular = {}
+    circular.circular = circular
+    expect(interpolate('{{info}}', { info: circular })).to.equal('[object Object]')
+    expect(interpolate('{{info.x}}', { info: { get x () { throw new Error('nope') } } })).to.equal('')
+    expect(interpolate('{{info}}', { info: new Date(NaN) })).to.equal('Invalid Date')
+  })
+
+  it('should look up templates through locale chains', () => {
+    const catalog = new MessageCatalog({ fallbacks: { 'pt-BR': ['pt-PT'] } })
+      .register('en', { E_A: 'a', E_B: 'b' })
+      .register('de', { E_A: 'a-de' })
+      .register('pt-PT', { E_A: 'a-pt-PT' })
+
+    expect(catalog.localeChain()).to.deep.equal(['en'])
+    expect(catalog.localeChain('de-CH-1996')).to.deep.equal(['de-CH-1996', 'de-CH', 'de', 'en'])
+    expect(catalog.localeChain('pt-BR')).to.deep.equal(['pt-BR', 'pt-PT', 'pt', 'en'])
+    expect(catalog.template('E_A', 'de-CH')).to.equal('a-de')
+    expect(catalog.template('E_B', 'de-CH')).to.equal('b')
+    expect(catalog.template('E_A', 'pt-BR')).to.equal('a-pt-PT')
+    expect(catalog.template(['E_C', 'E_A'])).to.equal('a')
+    expect(catalog.template('E_C', 'de')).to.be.undefined()
+    expect(catalog.format('E_C', {})).to.be.undefined()
+
+    catalog.configure({ defaultLocale: 'de' })
+    expect(catalog.template('E_A')).to.equal('a-de')
+    expect(catalog.template('E_B')).to.be.undefined()
+    expect(catalog.clear().template('E_A')).to.be.undefined()
+  })
+
+  it('should use templates at construction & on demand', () => {
+    const Super = CodedError({
+      code: 'E_MESSAGES_SUPER',
+      messages: { en: 'Argument {{info.name}} is invalid', fr: 'L\'argument {{info.name}} est invalide' }
+    })
+    const Sub = Super.subclass({ code: 'E_MESSAGES_SUB', messages: { de: 'Argument {{info.name}} ist ungültig' } })
+    const Plain = CodedError({ code: 'E_MESSAGES_PLAIN' })
+
+    expect(CodedError.messageCatalog).to.equal(messageCatalog)
+
+    const e = new Super({ info: { name: 'foo' } })
+    expect(e.message).to.equal('E_MESSAGES_SUPER: Argument foo is invalid')
+    expect(new Super({ message: 'given', info: { name: 'foo' } }).message).to.equal('E_MESSAGES_SUPER: given')
+    expect(e.localize()).to.equal('Argument foo is invalid')
+    expect(e.localize('fr-CA')).to.equal('L\'argument foo est invalide')
+    expect(e.localize('de')).to.equal('Argument foo is invalid')
+
+    const sub = new Sub({ info: { name: 'bar' } })
+    expect(sub.message).to.equal('E_MESSAGES_SUB: Argument bar is invalid')
+    expect(sub.localize('de')).to.equal('Argument bar ist ungültig')
+    expect(sub.localize('fr')).to.equal('L\'argument bar est invalide')
+    expect(new Super().message).to.equal('E_MESSAGES_SUPER: Argument  is invalid')
+
+    const plain = new Plain('plain')
+    expect(plain.message).to.equal('E_MESSAGES_PLAIN: plain')
+    expect(plain.localize('fr')).to.equal(plain.message)
+  })
+
+  it('should provide English templates for built-in errors', () => {
+    expect(new IllegalArgumentError({ info: { name: 'foo' } }).message).to.equal('E_ILLEGAL_ARGUMENT: Argument foo is illegal')
+    expect(new IllegalArgumentError().message).to.equal('E_ILLEGAL_ARGUMENT: Argument (unnamed) is illegal')
+    expect(new IllegalArgumentTypeError({ info: { name: 'foo' } }).localize()).to.equal('Argument foo is of an illegal type')
+    expect(new IllegalStateError().message).to.equal('E_ILLEGAL_STATE: Illegal state')
+
+    const e = new ClassNotExtendableError({ info: { class: 'Foo' } })
+    expect(e.code).to.equal('E_ILLEGAL_STATE')
+    expect(e).to.be.instanceOf(IllegalStateError)
+    expect(e.message).to.equal('E_ILLEGAL_STATE: Illegal state')
+    expect(messageCatalog.format(['E_ILLEGAL_STATE'], {})).to.equal('Illegal state')
+    expect(CodedError.registry.get('E_ILLEGAL_STATE')).to.equal(IllegalStateError)
+  })
+
+  it('should compose messages configurably', () => {
+    const Inner = CodedError({ code: 'E_COMPOSE_INNER' })
+    const Outer = CodedError({ code: 'E_COMPOSE_OUTER' })
+    const inner = new Inner({ message: 'inner', cause: new Error('native', { cause: new Error('deep') }) })
+    const outer = new Outer({ message: 'outer', cause: [inner, 13] })
+
+    const compose = (options, error = outer) => createMessageComposer(options)({ code: error.code, message: error.rawMessage, cause: error.cause })
+
+    expect(outer.message).to.equal('E_COMPOSE_OUTER: outer: [E_COMPOSE_INNER: inner: native: deep, 13]')
+    expect(compose()).to.equal(outer.message)
+    expect(createMessageComposer()({})).to.equal('NO_CODE: NO_MESSAGE')
+    expect(compose({ separator: ' <- ' })).to.equal('E_COMPOSE_OUTER <- outer <- [E_COMPOSE_INNER <- inner <- native <- deep, 13]')
+    expect(compose({ maxDepth: 1 })).to.equal('E_COMPOSE_OUTER: outer: [E_COMPOSE_INNER: inner: ..., 13]')
+    expect(compose({ maxDepth: 0 })).to.equal('E_COMPOSE_OUTER: outer: ...')
+    expect(compose({ codes: false })).to.equal('outer: [inner: native: deep, 13]')
+
+    const wrapper = new Outer({ message: 'inner', cause: inner })
+    expect(wrapper.message).to.equal('E_COMPOSE_OUTER: inner: E_COMPOSE_INNER: inner: native: deep')
+    expect(compose({ dedupe: true }, wrapper)).to.equal('E_COMPOSE_OUTER: inner: E_COMPOSE_INNER: native: deep')
+    expect(compose({ dedupe: true, codes: false }, wrapper)).to.equal('inner: native: deep')
+  })
+
+  it('should compose causes from their current messages by default', () => {
+    const Inner = CodedError({ code: 'E_COMPOSE_INNER' })
+    const Outer = CodedError({ code: 'E_COMPOSE_OUTER' })
+    const Custom = CodedError({ code: 'E_COMPOSE_CUSTOM', composeMessage: ({ code, message }) => `${message} (${code})` })
+
+    const inner = new Inner('inner')
+    inner.message = 'changed'
+    expect(new Outer({ message: 'outer', cause: inner }).message).to.equal('E_COMPOSE_OUTER: outer: changed')
+    expect(new Outer({ message: 'outer', cause: [new Custom('custom')] }).message).to.equal('E_COMPOSE_OUTER: outer: [custom (E_COMPOSE_CUSTOM)]')
+    expect(createMessageComposer({ codes: false })({ message: 'outer', cause: inner })).to.equal('outer: inner')
+  })
+
+  it('should compose messages per class & globally', () => {
+    const Inner = CodedError({ code: 'E_COMPOSE_INNER' })
+    const Plain = CodedError({ code: 'E_COMPOSE_PLAIN' })
+    const Arrow = CodedError({ code: 'E_COMPOSE_ARROW', composeMessage: { separator: ' -> ' } })
+    const SubArrow = Arrow.subclass({ code: 'E_COMPOSE_SUB_ARROW' })
+    const Custom = CodedError({ code: 'E_COMPOSE_CUSTOM', composeMessage: ({ code, message }) => `${message} (${code})` })
+    const inner = new Inner({ message: 'inner', cause: new Error('native') })
+
+    expect(new SubArrow({ message: 'sub', cause: inner }).message).to.equal('E_COMPOSE_SUB_ARROW -> sub -> E_COMPOSE_INNER -> inner -> native')
+    expect(new Custom('custom').message).to.equal('custom (E_COMPOSE_CUSTOM)')
+    expect(CodedError.ownMessage(new Custom('custom'))).to.equal('custom')
+
+    try {
+      setDefaultMessageComposer({ codes: false })
+      expect(new Plain({ message: 'plain', cause: inner }).message).to.equal('plain: inner: native')
+      expect(new Arrow('arrow').message).to.equal('E_COMPOSE_ARROW -> arrow')
+      expect(getDefaultMessageComposer()({ code: 'E_X', message: 'x' })).to.equal('x')
+    } finally {
+      setDefaultMessageComposer()
+    }
+    expect(new Plain('plain').message).to.equal('E_COMPOSE_PLAIN: plain')
+  })
+})
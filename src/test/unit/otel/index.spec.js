@@ -0,0 +1,123 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const CodedError = require('../../../main/errors/CodedError')
+const {
+  SPAN_STATUS_CODE,
+  exceptionAttributes,
+  exceptionEvents,
+  setErrorStatus,
+  recordException
+} = require('../../../main/otel')
+
+const OtelError = CodedError({ code: 'E_OTEL' })
+
+/**
+ * Returns a fake span that records what's done to it.
+ */
+const fakeSpan = ({ attributes = true } = {}) => {
+  const span = {
+    events: [],
+    statuses: [],
+    attributes: {},
+    addEvent (name, attributes, time) {
+      this.events.push({ name, attributes, time })
+    },
+    setStatus (status) {
+      this.statuses.push(status)
+    }
+  }
+  if (attributes) span.setAttribute = (key, value) => { span.attributes[key] = value }
+
+  return span
+}
+
+const newError = () => {
+  const native = new TypeError('native', { cause: 'because' })
+  return new OtelError({
+    message: 'boom',
+    cause: [native, new OtelError('other')],
+    info: { user: { id: 42, password: 'secret' }, tags: ['a', 'b'], mixed: [1, 'x'], nil: null }
+  })
+}
+
+describe('unit tests of otel', function () {
+  it('should return exception attributes with causes as attributes', () => {
+    const e = newError()
+    const [native, other] = e.cause
+
+    expect(exceptionAttributes(e)).to.deep.equal({
+      'exception.type': 'OtelError',
+      'exception.message': e.message,
+      'exception.stacktrace': e.stack,
+      'exception.code': 'E_OTEL',
+      'exception.info.user.id': 42,
+      'exception.info.user.password': 'secret',
+      'exception.info.tags': ['a', 'b'],
+      'exception.info.mixed': '[1,"x"]',
+      'exception.cause.0.path': 'cause.0',
+      'exception.cause.0.type': 'TypeError',
+      'exception.cause.0.message': 'native',
+      'exception.cause.0.stacktrace': native.stack,
+      'exception.cause.1.path': 'cause.0.cause',
+      'exception.cause.1.type': 'string',
+      'exception.cause.1.message': 'because',
+      'exception.cause.2.path': 'cause.1',
+      'exception.cause.2.type': 'OtelError',
+      'exception.cause.2.message': 'E_OTEL: other',
+      'exception.cause.2.stacktrace': other.stack,
+      'exception.cause.2.code': 'E_OTEL'
+    })
+
+    const attributes = exceptionAttributes(e, { causes: false, omitting: 'stack', redacting: { paths: ['info.user.password'] } })
+    expect(attributes['exception.info.user.password']).to.equal('[REDACTED]')
+    expect(attributes).to.not.have.any.keys('exception.stacktrace', 'exception.cause.0.type')
+
+    expect(exceptionAttributes(new OtelError({ info: 'text' }), { causes: false, omitting: ['stack'] })).to.deep.equal({
+      'exception.type': 'OtelError',
+      'exception.message': 'E_OTEL: NO_MESSAGE',
+      'exception.code': 'E_OTEL',
+      'exception.info': 'text'
+    })
+    expect(() => exceptionAttributes(e, { causes: 'nope' })).to.throw('causes must be one of attributes, events, false; got nope')
+  })
+
+  it('should return exception events with causes as events', () => {
+    const e = newError()
+
+    expect(exceptionEvents(e)).to.deep.equal([{ name: 'exception', attributes: exceptionAttributes(e) }])
+
+    const events = exceptionEvents(e, { causes: 'events', omitting: 'stack' })
+    expect(events.map(it => it.attributes['exception.cause.path'])).to.deep.equal([undefined, 'cause.0', 'cause.0.cause', 'cause.1'])
+    expect(events[0].attributes).to.deep.equal(exceptionAttributes(e, { causes: false, omitting: 'stack' }))
+    expect(events[1].attributes).to.deep.equal({
+      'exception.type': 'TypeError',
+      'exception.message': 'native',
+      'exception.cause.path': 'cause.0'
+    })
+    expect(events[3].attributes).to.include({ 'exception.type': 'OtelError', 'exception.code': 'E_OTEL' })
+  })
+
+  it('should record exceptions on spans', () => {
+    const e = newError()
+    const time = new Date(0)
+
+    const span = recordException(fakeSpan(), e, { causes: 'events', time, maxStringLength: 6 })
+    expect(span.events).to.have.length(4)
+    expect(span.events.every(it => it.name === 'exception' && it.time === time)).to.be.true()
+    expect(span.statuses).to.deep.equal([{ code: SPAN_STATUS_CODE.ERROR, message: 'E_OTEL[Truncated: 40 more characters]' }])
+    expect(span.attributes).to.deep.equal({ 'error.type': 'E_OTEL' })
+
+    const quiet = recordException(fakeSpan(), e, { status: false })
+    expect(quiet.events).to.have.length(1)
+    expect(quiet.statuses).to.be.empty()
+
+    expect(setErrorStatus(fakeSpan(), new RangeError('range')).attributes).to.deep.equal({ 'error.type': 'RangeError' })
+    expect(setErrorStatus(fakeSpan({ attributes: false }), 'thrown').statuses).to.deep.equal([{ code: SPAN_STATUS_CODE.ERROR, message: 'thrown' }])
+    expect(setErrorStatus(fakeSpan(), undefined).statuses).to.deep.equal([{ code: SPAN_STATUS_CODE.ERROR }])
+  })
+})
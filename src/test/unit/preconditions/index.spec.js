@@ -0,0 +1,155 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const {
+  IllegalArgumentError,
+  IllegalArgumentTypeError,
+  MissingRequiredArgumentError,
+  IllegalStateError
+} = require('../../../main/errors')
+const {
+  createPreconditions,
+  checkAll,
+  requireArg,
+  checkArgType,
+  checkArg,
+  checkState,
+  oneOf,
+  checkRange
+} = require('../../../main/preconditions')
+
+/**
+ * Returns what the given function throws.
+ */
+const thrown = fn => {
+  try {
+    fn()
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing thrown')
+}
+
+describe('unit tests of preconditions', function () {
+  it('should require arguments', () => {
+    expect(requireArg(0, 'zero')).to.equal(0)
+    expect(requireArg('', 'empty')).to.equal('')
+
+    const e = thrown(() => requireArg(undefined, 'foo'))
+    expect(e).to.be.instanceOf(MissingRequiredArgumentError)
+    expect(e.message).to.equal('E_MISSING_REQUIRED_ARGUMENT: Required argument foo is missing')
+    expect(e.info).to.deep.equal({ name: 'foo', expected: 'defined', actual: 'undefined' })
+    expect(thrown(() => requireArg(null)).info).to.deep.equal({ name: undefined, expected: 'defined', actual: 'null' })
+  })
+
+  it('should check argument types', () => {
+    const date = new Date()
+    expect(checkArgType('x', 'string', 'x')).to.equal('x')
+    expect(checkArgType(date, Date, 'date')).to.equal(date)
+    expect(checkArgType(null, ['string', 'null'], 'nullable')).to.be.null()
+    expect(checkArgType([], 'object')).to.deep.equal([])
+    checkArgType([], 'array')
+    checkArgType(undefined, 'undefined')
+
+    const e = thrown(() => checkArgType(42, 'string', 'foo'))
+    expect(e).to.be.instanceOf(IllegalArgumentTypeError)
+    expect(e.message).to.equal('E_ILLEGAL_ARGUMENT_TYPE: Argument foo is of an illegal type')
+    expect(e.info).to.deep.equal({ name: 'foo', expected: 'string', actual: 'number' })
+
+    expect(thrown(() => checkArgType(date, ['string', RegExp], 'bar')).info).to.deep.equal({ name: 'bar', expected: ['string', 'RegExp'], actual: 'Date' })
+    expect(thrown(() => checkArgType(null, 'object')).info.actual).to.equal('null')
+    expect(thrown(() => checkArgType([], 'string')).info.actual).to.equal('array')
+    expect(thrown(() => checkArgType(Object.create(null), 'string')).info.actual).to.equal('object')
+
+    const bad = thrown(() => checkArgType('x', 'str'))
+    expect(bad).to.be.instanceOf(IllegalArgumentError)
+    expect(bad.info).to.include({ name: 'type', actual: 'str' })
+  })
+
+  it('should check arguments & state', () => {
+    checkArg(true, 'foo')
+    checkArg(() => true, 'foo')
+    checkState(1)
+
+    const arg = thrown(() => checkArg(() => false, 'foo', { expected: '> 0', actual: -1 }))
+    expect(arg).to.be.instanceOf(IllegalArgumentError)
+    expect(arg.message).to.equal('E_ILLEGAL_ARGUMENT: Argument foo is illegal')
+    expect(arg.info).to.deep.equal({ name: 'foo', expected: '> 0', actual: -1 })
+    expect(thrown(() => checkArg(false, 'foo', 'foo must be positive')).message).to.equal('E_ILLEGAL_ARGUMENT: foo must be positive')
+
+    const state = thrown(() => checkState(false, { message: 'not open', name: 'connection', expected: 'open', actual: 'closed' }))
+    expect(state).to.be.instanceOf(IllegalStateError)
+    expect(state.message).to.equal('E_ILLEGAL_STATE: not open')
+    expect(state.info).to.deep.equal({ name: 'connection', expected: 'open', actual: 'closed' })
+    expect(thrown(() => checkState(() => 0)).message).to.equal('E_ILLEGAL_STATE: Illegal state')
+  })
+
+  it('should check allowed values & ranges', () => {
+    expect(oneOf('b', ['a', 'b'], 'letter')).to.equal('b')
+    expect(oneOf(NaN, [NaN])).to.be.NaN()
+    expect(thrown(() => oneOf('c', ['a', 'b'], 'letter')).info).to.deep.equal({ name: 'letter', expected: ['a', 'b'], actual: 'c' })
+
+    expect(checkRange(1, { min: 1, max: 10 }, 'n')).to.equal(1)
+    expect(checkRange(10, { min: 1, max: 10 }, 'n')).to.equal(10)
+    expect(checkRange(BigInt(5), { min: 0 }, 'n')).to.equal(BigInt(5))
+    checkRange(-Infinity, { max: 0 })
+
+    const low = thrown(() => checkRange(1, { min: 1, minExclusive: true, max: 10 }, 'n'))
+    expect(low).to.be.instanceOf(IllegalArgumentError)
+    expect(low.info).to.deep.equal({ name: 'n', expected: { min: 1, minExclusive: true, max: 10, maxExclusive: false }, actual: 1 })
+    expect(thrown(() => checkRange(10, { max: 10, maxExclusive: true }, 'n')).info.expected).to.deep.equal({ max: 10, maxExclusive: true })
+    expect(thrown(() => checkRange(11, { max: 10 }, 'n')).info.actual).to.equal(11)
+
+    const nan = thrown(() => checkRange(NaN, { min: 0 }, 'n'))
+    expect(nan).to.be.instanceOf(IllegalArgumentTypeError)
+    expect(nan.info).to.deep.equal({ name: 'n', expected: ['number', 'bigint'], actual: 'NaN' })
+    expect(thrown(() => checkRange('1', { min: 0 }, 'n')).info.actual).to.equal('string')
+  })
+
+  it('should collect violations', () => {
+    const preconditions = createPreconditions({ collect: true })
+    expect(preconditions.requireArg(undefined, 'a')).to.be.undefined()
+    expect(preconditions.checkArgType(1, 'string', 'b')).to.equal(1)
+    preconditions.checkRange(0, { min: 1 }, 'c')
+    expect(preconditions.checkRange('x', { min: 1 }, 'd')).to.equal('x')
+    createPreconditions({ collect: true }).throwIfViolated()
+
+    expect(preconditions.violations.map(it => it.code)).to.deep.equal(['E_MISSING_REQUIRED_ARGUMENT', 'E_ILLEGAL_ARGUMENT_TYPE', 'E_ILLEGAL_ARGUMENT', 'E_ILLEGAL_ARGUMENT_TYPE'])
+
+    const e = thrown(() => preconditions.throwIfViolated())
+    expect(e).to.be.instanceOf(IllegalArgumentError)
+    expect(e.rawMessage).to.equal('4 preconditions were violated')
+    expect(e.info).to.deep.equal({ count: 4 })
+    expect(e.cause).to.deep.equal(preconditions.violations)
+
+    expect(checkAll(({ requireArg }) => requireArg('x', 'x'))).to.equal('x')
+
+    const single = thrown(() => checkAll(({ oneOf }) => oneOf(3, [1, 2], 'n')))
+    expect(single.info).to.deep.equal({ name: 'n', expected: [1, 2], actual: 3 })
+
+    const mixed = thrown(() => checkAll(({ checkArg, checkState }) => {
+      checkArg(false, 'a')
+      checkState(false, 'closed')
+    }))
+    expect(mixed).to.be.instanceOf(IllegalStateError)
+    expect(mixed.cause.map(it => it.constructor)).to.deep.equal([IllegalArgumentError, IllegalStateError])
+  })
+
+  it('should reject asynchronous checks', async () => {
+    const e = thrown(() => checkAll(async ({ checkArg }) => {
+      await null
+      checkArg(false, 'late')
+    }))
+    expect(e).to.be.instanceOf(IllegalArgumentError)
+    expect(e.rawMessage).to.equal('The function given to checkAll must be synchronous, not return a promise')
+    expect(e.info).to.deep.equal({ name: 'fn' })
+
+    expect(thrown(() => checkAll(() => ({ then: resolve => resolve() }))).info.name).to.equal('fn')
+    expect(thrown(() => checkAll(() => Promise.reject(new Error('ignored')))).info.name).to.equal('fn')
+    await null
+  })
+})
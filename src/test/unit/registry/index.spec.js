@@ -0,0 +1,93 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const CodedError = require('../../../main/errors/CodedError')
+const { ErrorClassRegistry, registry } = require('../../../main/registry')
+
+describe('unit tests of registry', function () {
+  it('should register classes defined by the factory', () => {
+    const Super = CodedError({ code: 'E_REGISTRY_SUPER' })
+    const Sub = Super.subclass({ code: 'E_REGISTRY_SUB' })
+    const Sub2 = Sub.subclass({ code: 'E_REGISTRY_SUB2' })
+    const Sibling = Super.subclass({ code: 'E_REGISTRY_SIBLING' })
+
+    expect(CodedError.registry).to.equal(registry)
+    expect(registry.has(Super.CODE)).to.be.true()
+    expect(registry.has('E_REGISTRY_NOPE')).to.be.false()
+    expect(registry.get(Sub.CODE)).to.equal(Sub)
+    expect(registry.get('E_REGISTRY_NOPE')).to.be.undefined()
+    expect(registry.all()).to.include.members([Super, Sub, Sub2, Sibling])
+
+    expect(registry.parentOf(Super)).to.be.undefined()
+    expect(registry.parentOf(Sub)).to.equal(Super)
+    expect(registry.parentOf('E_REGISTRY_SUB2')).to.equal(Sub)
+    expect(registry.ancestorsOf(Sub2)).to.deep.equal([Sub, Super])
+    expect(registry.ancestorsOf('E_REGISTRY_NOPE')).to.deep.equal([])
+    expect(registry.childrenOf(Super)).to.have.members([Sub, Sibling])
+    expect(registry.childrenOf('E_REGISTRY_SUB')).to.deep.equal([Sub2])
+    expect(registry.childrenOf(Sub2)).to.deep.equal([])
+  })
+
+  it('should detect conflicts', () => {
+    const r = new ErrorClassRegistry()
+    const A = CodedError({ code: 'E_A', name: 'AError' })
+    const A2 = CodedError({ code: 'E_A', name: 'AError' })
+    const B = CodedError({ code: 'E_A', name: 'BError' })
+    const C = CodedError({ code: 'E_C', name: 'AError' })
+
+    r.register(A)
+    r.register(B)
+    expect(r.get('E_A')).to.equal(B)
+
+    r.clear().configure({ onConflict: 'throw' })
+    expect(r.all()).to.deep.equal([])
+    r.register(A)
+    r.register(A2)
+    expect(r.get('E_A')).to.equal(A2)
+    expect(() => r.register(B)).to.throw(/E_A.*AError.*BError/)
+    expect(() => r.register(C)).to.throw(/AError.*E_A.*E_C/)
+
+    const warnings = []
+    r.configure({ onConflict: 'warn', warn: it => warnings.push(it) })
+    r.register(B)
+    expect(r.get('E_A')).to.equal(B)
+    expect(warnings).to.have.lengthOf(1)
+
+    expect(() => r.configure({ onConflict: 'explode' })).to.throw()
+  })
+
+  it('should unregister classes & leave unregistered ones out', () => {
+    const Scoped = CodedError({ code: 'E_REGISTRY_SCOPED' })
+    const Other = CodedError({ code: 'E_REGISTRY_SCOPED' })
+    expect(registry.get('E_REGISTRY_SCOPED')).to.equal(Other)
+
+    expect(registry.unregister(Scoped)).to.equal(registry)
+    expect(registry.get('E_REGISTRY_SCOPED')).to.equal(Other)
+    registry.unregister('E_REGISTRY_SCOPED')
+    expect(registry.has('E_REGISTRY_SCOPED')).to.be.false()
+    registry.unregister('E_REGISTRY_SCOPED')
+
+    const Unregistered = CodedError({ code: 'E_REGISTRY_UNREGISTERED', register: false })
+    const Sub = Unregistered.subclass({ code: 'E_REGISTRY_UNREGISTERED_SUB', register: false })
+    expect(registry.has(Unregistered.CODE)).to.be.false()
+    expect(registry.has(Sub.CODE)).to.be.false()
+    expect(new Sub()).to.be.instanceOf(Unregistered)
+    expect(Unregistered.subclass({ code: 'E_REGISTRY_REGISTERED_SUB' }).CODE).to.satisfy(it => registry.has(it))
+  })
+
+  it('should throw from the factory when configured to', () => {
+    CodedError({ code: 'E_REGISTRY_CONFLICT' })
+
+    registry.configure({ onConflict: 'throw' })
+    try {
+      expect(() => CodedError({ code: 'E_REGISTRY_CONFLICT', name: 'OtherError' })).to.throw()
+      expect(() => CodedError({ code: 'E_REGISTRY_CONFLICT' })).not.to.throw()
+    } finally {
+      registry.configure({ onConflict: 'ignore' })
+    }
+  })
+})
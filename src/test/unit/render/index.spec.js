@@ -0,0 +1,118 @@
+/* global describe, it, AggregateError */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const util = require('util')
+const CodedError = require('../../../main/errors/CodedError')
+const { IllegalArgumentError, IllegalStateError } = require('../../../main/errors')
+const { renderError } = require('../../../main/render')
+const { REDACTED, setDefaultRedaction } = require('../../../main/redaction')
+
+const ANSI = /\u001b\[\d+m/g // eslint-disable-line no-control-regex
+
+const tree = () => {
+  const native = new TypeError('bad type')
+  native.cause = new Error('deep')
+  return new IllegalStateError({
+    message: 'wrapper',
+    info: { a: 1 },
+    cause: [
+      new IllegalArgumentError({ info: { name: 'x' }, cause: native }),
+      'str',
+      new AggregateError([new Error('a1'), new Error('a2')], 'agg')
+    ]
+  })
+}
+
+describe('unit tests of render', function () {
+  it('should render the cause tree with each message, code & info once', () => {
+    expect(renderError(tree())).to.equal([
+      'IllegalStateError [E_ILLEGAL_STATE]: wrapper',
+      '│  info: { a: 1 }',
+      '├─ IllegalArgumentError [E_ILLEGAL_ARGUMENT]: Argument x is illegal',
+      '│  │  info: { name: \'x\' }',
+      '│  └─ TypeError: bad type',
+      '│     └─ Error: deep',
+      '├─ \'str\'',
+      '└─ AggregateError: agg',
+      '   ├─ Error: a1',
+      '   └─ Error: a2'
+    ].join('\n'))
+
+    expect(renderError(new Error(''))).to.equal('Error')
+    expect(renderError(Object.assign(new Error('x'), { name: '' }))).to.equal('Error: x')
+    expect(renderError(42)).to.equal('42')
+  })
+
+  it('should cap depth & width', () => {
+    expect(renderError(tree(), { maxDepth: 1, maxWidth: 30 })).to.equal([
+      'IllegalStateError [E_ILLEGAL_…',
+      '│  info: { a: 1 }',
+      '├─ IllegalArgumentError [E_IL…',
+      '│  │  info: { name: \'x\' }',
+      '│  └─ [1 more cause]',
+      '├─ \'str\'',
+      '└─ AggregateError: agg',
+      '   └─ [2 more causes]'
+    ].join('\n'))
+    expect(renderError(new Error('abc'), { maxWidth: 0 })).to.equal('…')
+
+    const colored = renderError(tree(), { maxDepth: 1, maxWidth: 30, colors: true }).split('\n')
+    expect(colored[0]).to.equal('\u001b[1m\u001b[31mIllegalStateError\u001b[39m\u001b[22m \u001b[33m[E_ILLEGAL_\u001b[39m…')
+    expect(colored.map(it => it.replace(ANSI, ''))).to.deep.equal(renderError(tree(), { maxDepth: 1, maxWidth: 30 }).split('\n'))
+    colored.forEach(it => expect(it.replace(ANSI, '')).to.have.length.below(it.length))
+  })
+
+  it('should include stacks & colors when asked', () => {
+    const e = new IllegalArgumentError({ cause: new Error('inner') })
+    const lines = renderError(e, { stack: true }).split('\n')
+
+    expect(lines[1]).to.match(/^│ {2}at /)
+    expect(lines.find(it => it.startsWith('└─ Error: inner'))).to.exist()
+    expect(lines[lines.length - 1]).to.match(/^ {6}at /)
+
+    const colored = renderError(e, { colors: true, maxWidth: 1000 })
+    expect(colored).to.contain('\u001b[33m[E_ILLEGAL_ARGUMENT]\u001b[39m')
+    expect(colored.replace(ANSI, '')).to.equal(renderError(e))
+  })
+
+  it('should redact info', () => {
+    const e = new IllegalStateError({ info: { user: 'u', password: 'p' }, cause: new IllegalArgumentError({ info: { password: 'q' } }) })
+
+    expect(renderError(e, { redacting: { keys: ['password'] } })).to.not.match(/'[pq]'/)
+    expect(renderError(e, { redacting: { keys: ['password'] } })).to.contain(`password: '${REDACTED}'`)
+    try {
+      setDefaultRedaction({ keys: ['password'] })
+      expect(e.format()).to.not.match(/'[pq]'/)
+      expect(util.inspect(e)).to.not.match(/'[pq]'/)
+      expect(renderError(e, { redacting: false })).to.contain('password: \'p\'')
+    } finally {
+      setDefaultRedaction(undefined)
+    }
+    expect(renderError(e)).to.contain('password: \'p\'')
+  })
+
+  it('should be cycle-safe', () => {
+    const a = new IllegalStateError({ message: 'a' })
+    const b = new IllegalStateError({ message: 'b', cause: a })
+    a.cause = b
+
+    expect(renderError(b)).to.equal([
+      'IllegalStateError [E_ILLEGAL_STATE]: b',
+      '└─ IllegalStateError [E_ILLEGAL_STATE]: a',
+      '   └─ [Circular]'
+    ].join('\n'))
+  })
+
+  it('should be used by format & util.inspect', () => {
+    const e = tree()
+
+    expect(e.format()).to.equal(renderError(e))
+    expect(CodedError.format(e, { maxDepth: 0 })).to.equal(renderError(e, { maxDepth: 0 }))
+    expect(util.inspect(e)).to.equal(renderError(e, { stack: true }))
+    expect(util.inspect(e, { colors: true })).to.equal(renderError(e, { stack: true, colors: true }))
+  })
+})
@@ -0,0 +1,119 @@
+/* global describe, it, AbortController */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { CodedError, IllegalArgumentError, RetryFailedError } = require('../../../main/errors')
+const { isRetryable, retry } = require('../../../main/retry')
+
+const FlakyError = CodedError({ code: 'E_RETRY_FLAKY', transient: true })
+const ConflictError = CodedError({ code: 'E_RETRY_CONFLICT', retryable: true })
+const FatalError = CodedError({ code: 'E_RETRY_FATAL' })
+
+/**
+ * Returns what the given promise is rejected with.
+ */
+const rejected = async promise => {
+  try {
+    await promise
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing rejected')
+}
+
+describe('unit tests of retry', function () {
+  it('should tell whether errors are retryable anywhere in the cause chain', () => {
+    expect(isRetryable(new FlakyError())).to.be.true()
+    expect(isRetryable(new ConflictError())).to.be.true()
+    expect(isRetryable(new FatalError())).to.be.false()
+    expect(isRetryable(new FlakyError({ transient: false }))).to.be.false()
+    expect(isRetryable(new FatalError({ cause: [new Error('no'), new FatalError({ cause: new FlakyError() })] }))).to.be.true()
+    expect(isRetryable(Object.assign(new Error('native'), { retryable: true }))).to.be.true()
+    expect(isRetryable('oops')).to.be.false()
+    expect(isRetryable(null)).to.be.false()
+  })
+
+  it('should retry until success with backoff', async () => {
+    const waits = []
+    let calls = 0
+
+    const value = await retry(attempt => {
+      calls++
+      if (attempt < 4) throw new FlakyError({ info: { attempt } })
+      return 'done'
+    }, {
+      maxAttempts: 5,
+      delay: 1,
+      factor: 2,
+      maxDelay: 3,
+      jitter: 0,
+      onRetry: ({ error, attempt, delay }) => waits.push([error.info.attempt, attempt, delay])
+    })
+
+    expect(value).to.equal('done')
+    expect(calls).to.equal(4)
+    expect(waits).to.deep.equal([[1, 1, 1], [2, 2, 2], [3, 3, 3]])
+
+    expect(await retry(async () => 42)).to.equal(42)
+  })
+
+  it('should apply jitter & delay functions', async () => {
+    const waits = []
+    await retry(attempt => {
+      if (attempt < 3) throw new ConflictError()
+    }, {
+      delay: attempt => attempt * 2,
+      jitter: 1,
+      onRetry: ({ delay }) => waits.push(delay)
+    })
+
+    expect(waits).to.have.length(2)
+    expect(waits[0]).to.be.within(0, 2)
+    expect(waits[1]).to.be.within(0, 4)
+  })
+
+  it('should give up with all errors as the cause', async () => {
+    const exhausted = await rejected(retry(attempt => { throw new FlakyError({ info: { attempt } }) }, { delay: 0 }))
+    expect(exhausted).to.be.instanceOf(RetryFailedError)
+    expect(exhausted.info).to.deep.equal({ attempts: 3, reason: 'exhausted' })
+    expect(exhausted.rawMessage).to.equal('Gave up after 3 attempt(s)')
+    expect(exhausted.cause.map(it => it.info.attempt)).to.deep.equal([1, 2, 3])
+
+    const fatal = new FatalError()
+    const notRetryable = await rejected(retry(attempt => {
+      throw attempt === 1 ? new FlakyError() : fatal
+    }, { delay: 0 }))
+    expect(notRetryable.info).to.deep.equal({ attempts: 2, reason: 'not_retryable' })
+    expect(notRetryable.cause[1]).to.equal(fatal)
+
+    const custom = await rejected(retry(() => { throw new FatalError() }, { delay: 0, maxAttempts: 2, shouldRetry: (e, attempt) => e instanceof FatalError }))
+    expect(custom.info).to.deep.equal({ attempts: 2, reason: 'exhausted' })
+  })
+
+  it('should stop when aborted', async () => {
+    const controller = new AbortController()
+    const started = Date.now()
+    const aborted = await rejected(retry(() => {
+      setTimeout(() => controller.abort(), 5)
+      throw new FlakyError()
+    }, { delay: 10000, signal: controller.signal }))
+
+    expect(Date.now() - started).to.be.below(5000)
+    expect(aborted.info).to.deep.equal({ attempts: 1, reason: 'aborted' })
+    expect(aborted.cause).to.have.length(1)
+
+    let called = false
+    const before = await rejected(retry(() => { called = true }, { signal: controller.signal }))
+    expect(called).to.be.false()
+    expect(before.info).to.deep.equal({ attempts: 0, reason: 'aborted' })
+  })
+
+  it('should reject invalid arguments', async () => {
+    expect(await rejected(retry(42))).to.be.instanceOf(IllegalArgumentError)
+    expect((await rejected(retry(() => {}, { maxAttempts: 0 }))).info).to.include({ name: 'maxAttempts', actual: 0 })
+    expect((await rejected(retry(() => {}, { jitter: 2 }))).info.name).to.equal('jitter')
+  })
+})
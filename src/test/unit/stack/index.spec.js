@@ -0,0 +1,114 @@
+/* global describe, it, before, after */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { pathToFileURL } = require('url')
+const { parseStack, decodeVlq, decodeMappings, remapFrame, isInternalFrame, stackFrames } = require('../../../main/stack')
+
+const frame = props => ({ fn: null, file: null, line: null, column: null, native: false, async: false, ...props })
+
+describe('unit tests of stack', function () {
+  let dir
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-support-'))
+  })
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('should parse V8 stacks', () => {
+    const stack = [
+      'Error: boom',
+      '    at Foo.bar (/app/foo.js:12:34)',
+      '    at /app/anonymous.js:1:2',
+      '    at async Promise.all (index 0)',
+      '    at async run (file:///app/run.mjs:5:6)',
+      '    at new Thing (/app/thing.js:7:8)',
+      '    at Array.map (<anonymous>)',
+      '    at Math.max (native)',
+      '    at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+      '    not a frame'
+    ].join('\n')
+
+    expect(parseStack(stack)).to.deep.equal([
+      frame({ fn: 'Foo.bar', file: '/app/foo.js', line: 12, column: 34 }),
+      frame({ file: '/app/anonymous.js', line: 1, column: 2 }),
+      frame({ fn: 'Promise.all', async: true }),
+      frame({ fn: 'run', file: 'file:///app/run.mjs', line: 5, column: 6, async: true }),
+      frame({ fn: 'new Thing', file: '/app/thing.js', line: 7, column: 8 }),
+      frame({ fn: 'Array.map', file: '<anonymous>' }),
+      frame({ fn: 'Math.max', native: true }),
+      frame({ fn: 'process.processTicksAndRejections', file: 'node:internal/process/task_queues', line: 95, column: 5 })
+    ])
+    expect(parseStack(undefined)).to.deep.equal([])
+  })
+
+  it('should decode source map mappings', () => {
+    expect(decodeVlq('AAAA')).to.deep.equal([0, 0, 0, 0])
+    expect(decodeVlq('CDgBhB')).to.deep.equal([1, -1, 16, -16])
+    expect(() => decodeVlq('!')).to.throw()
+
+    expect(decodeMappings('AAAA,GAAG;;ECCE')).to.deep.equal([
+      [[0, 0, 0, 0], [3, 0, 0, 3]],
+      [],
+      [[2, 1, 1, 5]]
+    ])
+  })
+
+  it('should identify internal frames', () => {
+    expect(isInternalFrame(frame({ file: '/app/node_modules/x/index.js' }))).to.be.true()
+    expect(isInternalFrame(frame({ file: 'node:internal/modules/cjs/loader' }))).to.be.true()
+    expect(isInternalFrame(frame({ file: 'internal/main/run_main_module.js' }))).to.be.true()
+    expect(isInternalFrame(frame({ file: require.resolve('../../../main/errors/CodedError') }))).to.be.true()
+    expect(isInternalFrame(frame({ file: '/app/foo.js' }))).to.be.false()
+    expect(isInternalFrame(frame({ fn: 'Math.max', native: true }))).to.be.false()
+  })
+
+  it('should remap frames via inline & external source maps', () => {
+    // generated line 2, column 5 maps to original line 10, column 3 of original.js
+    const map = { version: 3, sources: ['original.js'], names: [], mappings: ';IASE' }
+
+    const inline = path.join(dir, 'inline.js')
+    fs.writeFileSync(inline, `\n    x()\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}\n`)
+    expect(remapFrame(frame({ fn: 'f', file: inline, line: 2, column: 5 }))).to.deep.equal(frame({ fn: 'f', file: path.join(dir, 'original.js'), line: 10, column: 3 }))
+    expect(remapFrame(frame({ file: pathToFileURL(inline).href, line: 2, column: 9 })).line).to.equal(10)
+
+    fs.mkdirSync(path.join(dir, 'maps'))
+    fs.writeFileSync(path.join(dir, 'maps', 'external.js.map'), JSON.stringify({ ...map, sourceRoot: '../src' }))
+    const external = path.join(dir, 'external.js')
+    fs.writeFileSync(external, '\n    x()\n//# sourceMappingURL=maps/external.js.map\n')
+    expect(remapFrame(frame({ file: external, line: 2, column: 5 })).file).to.equal(path.join(dir, 'src', 'original.js'))
+
+    const unmapped = [
+      frame({ file: external, line: 2, column: 1 }), // before the first segment
+      frame({ file: external, line: 1, column: 1 }), // no segments
+      frame({ file: external, line: 99, column: 1 }), // no such line
+      frame({ file: path.join(dir, 'missing.js'), line: 1, column: 1 }),
+      frame({ file: 'relative.js', line: 1, column: 1 }),
+      frame({ file: external, line: 2, column: null }),
+      frame({ fn: 'Math.max', native: true })
+    ]
+    unmapped.forEach(it => expect(remapFrame(it)).to.equal(it))
+
+    const bad = path.join(dir, 'bad.js')
+    fs.writeFileSync(bad, '//# sourceMappingURL=data:application/json,%7B%7D\n')
+    expect(remapFrame(frame({ file: bad, line: 1, column: 1 })).file).to.equal(bad)
+  })
+
+  it('should return filtered & remapped frames of errors', () => {
+    const error = { stack: 'Error\n    at f (/app/node_modules/x.js:1:1)\n    at g (/app/g.js:2:2)' }
+
+    expect(stackFrames(error).map(it => it.fn)).to.deep.equal(['g'])
+    expect(stackFrames(error, { filter: false }).map(it => it.fn)).to.deep.equal(['f', 'g'])
+    expect(stackFrames(error, { filter: it => it.fn === 'f', sourceMaps: false }).map(it => it.fn)).to.deep.equal(['f'])
+    expect(stackFrames(null)).to.deep.equal([])
+  })
+})
@@ -0,0 +1,129 @@
+/* global describe, it */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const { CodedError, IllegalArgumentError } = require('../../../main/errors')
+const { wrapErrors, attempt } = require('../../../main/wrapping')
+
+const WrappingError = CodedError({ code: 'E_WRAPPING' })
+const WrappingSubError = WrappingError.subclass({ code: 'E_WRAPPING_SUB' })
+
+/**
+ * Returns what the given function throws.
+ */
+const thrown = fn => {
+  try {
+    fn()
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing thrown')
+}
+
+/**
+ * Returns what the given promise is rejected with.
+ */
+const rejected = async promise => {
+  try {
+    await promise
+  } catch (e) {
+    return e
+  }
+  expect.fail('nothing rejected')
+}
+
+describe('unit tests of wrapping', function () {
+  it('should wrap errors of sync functions, preserving name, arity & this', () => {
+    const boom = new Error('boom')
+    const object = {
+      factor: 2,
+      multiply: function multiply (a, b) {
+        if (b === undefined) throw boom
+        return a * b * this.factor
+      }
+    }
+
+    object.multiply = wrapErrors(object.multiply, WrappingError, {
+      message: (e, args) => `Can't multiply ${args.join(' & ')}`,
+      info: { op: 'multiply' }
+    })
+    expect(object.multiply.name).to.equal('multiply')
+    expect(object.multiply.length).to.equal(2)
+    expect(object.multiply(3, 4)).to.equal(24)
+
+    const e = thrown(() => object.multiply(3))
+    expect(e).to.be.instanceOf(WrappingError)
+    expect(e.rawMessage).to.equal('Can\'t multiply 3')
+    expect(e.info).to.deep.equal({ op: 'multiply' })
+    expect(e.cause).to.equal(boom)
+
+    const info = thrown(wrapErrors(() => { throw boom }, WrappingError, { info: (e, args) => ({ args, message: e.message }) })).info
+    expect(info).to.deep.equal({ args: [], message: 'boom' })
+  })
+
+  it('should wrap errors of async functions & promises', async () => {
+    const boom = new Error('boom')
+    const fetch = wrapErrors(async function fetch (id) {
+      if (!id) throw boom
+      return { id }
+    }, WrappingError, { info: (e, [id]) => ({ id }) })
+
+    expect(fetch.name).to.equal('fetch')
+    expect(fetch.length).to.equal(1)
+    expect(await fetch(1)).to.deep.equal({ id: 1 })
+
+    const e = await rejected(fetch(0))
+    expect(e).to.be.instanceOf(WrappingError)
+    expect(e.info).to.deep.equal({ id: 0 })
+    expect(e.cause).to.equal(boom)
+
+    expect(await wrapErrors(Promise.resolve(1), WrappingError)).to.equal(1)
+    const e2 = await rejected(wrapErrors(Promise.reject(boom), WrappingError, { message: 'failed' }))
+    expect(e2.rawMessage).to.equal('failed')
+    expect(e2.cause).to.equal(boom)
+  })
+
+  it('should pass through errors', () => {
+    const sub = new WrappingSubError()
+    const reset = Object.assign(new Error('reset'), { code: 'ECONNRESET' })
+    const other = new Error('other')
+
+    const wrapped = wrapErrors(e => { throw e }, WrappingError, { passThrough: true })
+    expect(thrown(() => wrapped(sub))).to.equal(sub)
+    expect(thrown(() => wrapped(reset)).cause).to.equal(reset)
+
+    const listed = wrapErrors(e => { throw e }, WrappingError, { passThrough: [WrappingError, 'ECONNRESET'] })
+    expect(thrown(() => listed(sub))).to.equal(sub)
+    expect(thrown(() => listed(reset))).to.equal(reset)
+    expect(thrown(() => listed(other)).cause).to.equal(other)
+    expect(thrown(() => listed('oops')).cause).to.equal('oops')
+
+    expect(thrown(() => wrapErrors(e => { throw e }, WrappingError)(sub)).cause).to.equal(sub)
+  })
+
+  it('should attempt functions & promises', async () => {
+    const boom = new Error('boom')
+
+    expect(attempt(() => 1)).to.deep.equal({ ok: true, value: 1 })
+    expect(attempt(() => { throw boom })).to.deep.equal({ ok: false, error: boom })
+
+    const result = attempt(() => { throw boom }, WrappingError, { info: { at: 'attempt' } })
+    expect(result.ok).to.be.false()
+    expect(result.error).to.be.instanceOf(WrappingError)
+    expect(result.error.info).to.deep.equal({ at: 'attempt' })
+    expect(result.error.cause).to.equal(boom)
+
+    expect(await attempt(async () => 2)).to.deep.equal({ ok: true, value: 2 })
+    expect(await attempt(Promise.reject(boom))).to.deep.equal({ ok: false, error: boom })
+    expect((await attempt(Promise.reject(boom), WrappingError)).error.cause).to.equal(boom)
+  })
+
+  it('should reject invalid arguments', () => {
+    expect(thrown(() => wrapErrors(42, WrappingError))).to.be.instanceOf(IllegalArgumentError)
+    expect(thrown(() => wrapErrors(() => {}, 'E_WRAPPING')).info.name).to.equal('ErrorClass')
+    expect(thrown(() => attempt(42)).rawMessage).to.equal('The target must be a function or a promise')
+  })
+})